@@ -4,10 +4,46 @@ import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { GUI } from "lil-gui";
 import palettes from "nice-color-palettes";
 import {
+	DASH_PATTERNS,
 	WireframeMaterial,
 	WireframeMaterialManager,
 	prepareWireframeGeometry,
 } from "../wireframeMatUtils/WireframeMaterial.js";
+import { HiddenLineRenderer } from "../wireframeMatUtils/HiddenLineRenderer.js";
+import { WireframeCapture } from "../wireframeMatUtils/WireframeCapture.js";
+import { WireframeFrameExporter } from "../wireframeMatUtils/WireframeFrameExporter.js";
+import { WireframePicker } from "../wireframeMatUtils/WireframePicker.js";
+import {
+	WireframeTimeline,
+	getDashLoopDuration,
+} from "../wireframeMatUtils/WireframeTimeline.js";
+import { WireframeVectorExporter } from "../wireframeMatUtils/WireframeVectorExporter.js";
+import {
+	createDrawOnClip,
+	createRevealClip,
+} from "../wireframeMatUtils/wireframeAnimation.js";
+import { computeRevealRange } from "../wireframeMatUtils/wireframeGeomtryUtils.js";
+import {
+	migrateGuiPresets,
+	readWireframePreset,
+} from "../wireframeMatUtils/wireframePresets.js";
+import guiPresets from "../wireframeMatUtils/gui.json";
+
+// Feature flags the GUI toggles, each one a shader variant
+const FEATURE_TOGGLES = [
+	"noiseA",
+	"noiseB",
+	"depthFade",
+	"squeeze",
+	"drawOn",
+	"reveal",
+	"dashEnabled",
+	"dashAnimate",
+	"dashOverlap",
+	"dualStroke",
+	"seeThrough",
+	"insideAltColor",
+];
 
 class WireframeDemo {
 	constructor(canvas) {
@@ -23,6 +59,14 @@ class WireframeDemo {
 		this.renderer.setSize(window.innerWidth, window.innerHeight);
 		this.renderer.setClearColor(this.background, 1);
 		this.renderer.setPixelRatio(window.devicePixelRatio);
+		// Draws like renderer.render, plus occluded edges for `hiddenLines`
+		this.hiddenLineRenderer = new HiddenLineRenderer(this.renderer);
+		// Hover and click to highlight faces, edges and vertices
+		this.picker = new WireframePicker(this.renderer);
+		// pointer position to pick the hover at, see animate()
+		this.hoverPointer = null;
+		// Offscreen, tiled image capture
+		this.capture = new WireframeCapture(this.renderer);
 
 		this.canvas.style.background = this.background;
 
@@ -40,7 +84,16 @@ class WireframeDemo {
 		this.materialManager = new WireframeMaterialManager();
 
 		this.init();
+		// Fixed-step time for the animated effects, so loops can be exported
+		this.timeline = new WireframeTimeline();
+		this.timeline.addObject(this.scene);
+		this.frameExporter = new WireframeFrameExporter(this.renderer, this.timeline);
+		// Keyframed style clips, e.g. the draw-on reveal
+		this.styleMixer = new THREE.AnimationMixer(this.material);
+		// the mixer puts back the progress it found, so effects end whole
+		this.styleMixer.addEventListener("finished", ({ action }) => action.stop());
 		this.setupGUI();
+		this.prewarmVariants();
 
 		this.clock = new THREE.Clock();
 		this.autoRotate = true;
@@ -56,7 +109,14 @@ class WireframeDemo {
 		this.initMaterial();
 		// Create instanced cube
 		const cubeGeometry = new THREE.BoxGeometry(1.5, 1.5, 1.5);
-		const preparedCubeGeometry = prepareWireframeGeometry(cubeGeometry, true);
+		const preparedCubeGeometry = prepareWireframeGeometry(cubeGeometry, {
+			edgeMode: "quads",
+			arcLengths: "chains",
+			reveal: "bfs",
+			// outline the +X face, made of the box's first four vertices
+			edgeStyles: (a, b) =>
+				a < 4 && b < 4 ? { stroke: this.palette[3], thickness: 30.0 } : null,
+		});
 		const instancedCubeMesh = new THREE.InstancedMesh(
 			preparedCubeGeometry,
 			this.material,
@@ -72,19 +132,49 @@ class WireframeDemo {
 		matrix.setPosition(-1, 0, 0);
 		instancedCubeMesh.setMatrixAt(1, matrix);
 		instancedCubeMesh.instanceMatrix.needsUpdate = true;
+		// Instances can override the shared material's style
+		this.material.setInstanceStyle(instancedCubeMesh, 1, {
+			stroke: this.palette[2],
+			dashPhase: 0.25,
+		});
 
 		// Create torus
 		const torusGeometry = GeometryFactory.create("Torus");
-		const preparedTorusGeometry = prepareWireframeGeometry(torusGeometry, true);
+		const preparedTorusGeometry = prepareWireframeGeometry(torusGeometry, {
+			edgeMode: "quads",
+			arcLengths: "chains",
+			// hops over the mesh from its first vertex, for the 'attribute' reveal
+			reveal: "bfs",
+			// no styled edges, but the material's edgeStyles toggle needs the attributes
+			edgeStyles: true,
+		});
+		// the reveal runs over the torus, the largest mesh
+		this.revealGeometry = preparedTorusGeometry;
+		this.material.fitRevealRange(preparedTorusGeometry);
 		const torusMesh = new THREE.Mesh(preparedTorusGeometry, this.material);
 		torusMesh.position.set(2, 0, 0);
 
+		// Lights are only used by the lambert / physical shading modes
+		const hemiLight = new THREE.HemisphereLight("#ffffff", "#444444", 1.5);
+		const dirLight = new THREE.DirectionalLight("#ffffff", 2.0);
+		dirLight.position.set(3, 5, 2);
+		this.scene.add(hemiLight, dirLight);
+
 		// Add to scene and store references
 		this.scene.add(instancedCubeMesh);
 		this.scene.add(torusMesh);
 		this.meshes.push(instancedCubeMesh, torusMesh);
 	}
 
+	// Compiles the variant behind every toggle up front, so flipping one
+	// doesn't wait for its shader
+	prewarmVariants() {
+		const variants = FEATURE_TOGGLES.map((name) => ({
+			[name]: !this.material.features[name],
+		}));
+		this.materialManager.prewarm(this.renderer, this.scene, this.camera, variants);
+	}
+
 	initMaterial() {
 		// Use material manager to get optimized material variant
 		this.material = this.materialManager.getMaterial({
@@ -106,23 +196,28 @@ class WireframeDemo {
 			depthFadeNear: 1.0,
 			depthFadeFar: 20.0,
 			depthFadeMin: 0.1,
+			edgeStyles: true,
+			highlight: true,
 		});
 	}
 
 	animate = () => {
-		this.renderer.render(this.scene, this.camera);
-		const time = this.clock.getElapsedTime();
+		// picking renders the scene again and stalls on the read back, so
+		// the hover is picked at most once a frame, not per pointer event
+		if (this.hoverPointer) {
+			const [x, y] = this.hoverPointer;
+			this.hoverPointer = null;
+			const hit = this.picker.pick(this.scene, this.camera, x, y);
+			this.picker.setHighlight("hover", hit);
+			this.canvas.style.cursor = hit ? "pointer" : "";
+		}
+		this.hiddenLineRenderer.render(this.scene, this.camera);
+		const delta = this.clock.getDelta();
+		this.timeline.update(delta);
+		this.styleMixer.update(delta);
 
 		// Update orbit controls
 		this.controls.update();
-		this.material.updateTime(time);
-
-		// Update all meshes in demo scene
-		this.meshes.forEach((mesh) => {
-			if (mesh.material && mesh.material.updateTime) {
-				mesh.material.updateTime(time);
-			}
-		});
 		requestAnimationFrame(this.animate);
 	};
 
@@ -134,20 +229,6 @@ class WireframeDemo {
 	}
 
 	updateUniforms(updates) {
-		// Feature flags that affect shader defines
-		const featureFlags = [
-			"noiseA",
-			"noiseB",
-			"depthFade",
-			"squeeze",
-			"dashEnabled",
-			"dashAnimate",
-			"dashOverlap",
-			"dualStroke",
-			"seeThrough",
-			"insideAltColor",
-		];
-
 		// Check if any feature flags are being updated
 		const featureUpdates = {};
 		let hasFeatureChanges = false;
@@ -158,19 +239,39 @@ class WireframeDemo {
 			}
 
 			// Track feature flag changes
-			if (featureFlags.includes(key) && this.material.features[key] !== value) {
+			if (FEATURE_TOGGLES.includes(key) && this.material.features[key] !== value) {
 				featureUpdates[key] = value;
 				hasFeatureChanges = true;
 			}
 		});
 
-		// Update material features and trigger shader recompilation if needed
+		// Switch shader variants once compiled, without stalling the animation
 		if (hasFeatureChanges) {
-			this.material.updateFeatures(featureUpdates);
+			this.material.updateFeaturesAsync(featureUpdates);
 		}
 	}
 	setupEventListeners() {
 		window.addEventListener("resize", () => this.resize());
+
+		this.canvas.addEventListener("pointermove", (event) => {
+			this.hoverPointer = [event.offsetX, event.offsetY];
+		});
+		this.canvas.addEventListener("pointerleave", () => {
+			this.hoverPointer = null;
+			this.picker.setHighlight("hover", null);
+			this.canvas.style.cursor = "";
+		});
+		// select on click, but not at the end of an orbit drag
+		this.canvas.addEventListener("pointerdown", (event) => {
+			this.pointerDown = [event.offsetX, event.offsetY];
+		});
+		this.canvas.addEventListener("pointerup", (event) => {
+			if (!this.pointerDown) return;
+			const [x, y] = this.pointerDown;
+			if (Math.hypot(event.offsetX - x, event.offsetY - y) > 4) return;
+			const hit = this.picker.pick(this.scene, this.camera, x, y);
+			this.picker.setHighlight("selection", hit);
+		});
 	}
 	resize(
 		width = window.innerWidth,
@@ -182,18 +283,73 @@ class WireframeDemo {
 		this.camera.aspect = width / height;
 		this.camera.updateProjectionMatrix();
 	}
-	saveScreenshot() {
+	async saveScreenshot() {
 		const width = 2048;
-		const height = 2048;
-		this.resize(width, height, 1);
-
-		const dataURI = this.canvas.toDataURL("image/png");
-		this.resize();
+		const blob = await this.capture.toBlob(this.scene, this.camera, {
+			width,
+			supersample: 2,
+			transparent: this.guiData.transparentCapture,
+			// lines as thick, relative to the image, as on screen
+			lineScale: width / this.canvas.width,
+			render: (scene, camera) => this.hiddenLineRenderer.render(scene, camera),
+		});
 
 		const link = document.createElement("a");
 		link.download = "Screenshot.png";
-		link.href = dataURI;
+		link.href = URL.createObjectURL(blob);
 		link.click();
+		URL.revokeObjectURL(link.href);
+	}
+	// Frames of one loop of the timeline, or one second, as PNGs or a WebM
+	async saveLoop(format) {
+		const width = 1024;
+		const options = {
+			width,
+			lineScale: width / this.canvas.width,
+			render: (scene, camera) => this.hiddenLineRenderer.render(scene, camera),
+		};
+		const download = (blob, name) => {
+			const link = document.createElement("a");
+			link.download = name;
+			link.href = URL.createObjectURL(blob);
+			link.click();
+			URL.revokeObjectURL(link.href);
+		};
+
+		try {
+			if (format === "webm") {
+				download(await this.frameExporter.exportWebM(this.scene, this.camera, options), "Loop.webm");
+			} else {
+				await this.frameExporter.exportFrames(this.scene, this.camera, {
+					...options,
+					onFrame: (blob, index) => download(blob, `Frame-${String(index).padStart(4, "0")}.png`),
+				});
+			}
+		} catch (error) {
+			alert(error.message);
+		}
+	}
+	saveVector(format) {
+		const { width, height } = this.canvas.getBoundingClientRect();
+		const exporter = new WireframeVectorExporter({
+			width: Math.round(width),
+			height: Math.round(height),
+			background: this.guiData.backgroundHex,
+		});
+		const blob =
+			format === "pdf"
+				? new Blob([exporter.toPDF(this.scene, this.camera)], {
+						type: "application/pdf",
+				  })
+				: new Blob([exporter.toSVG(this.scene, this.camera)], {
+						type: "image/svg+xml",
+				  });
+
+		const link = document.createElement("a");
+		link.download = `Wireframe.${format}`;
+		link.href = URL.createObjectURL(blob);
+		link.click();
+		URL.revokeObjectURL(link.href);
 	}
 	initControls() {
 		this.controls = new OrbitControls(this.camera, this.canvas);
@@ -210,8 +366,34 @@ class WireframeDemo {
 			backgroundHex: this.background,
 			fillHex: `#${this.material.uniforms.fill.value.getHexString()}`,
 			strokeHex: `#${this.material.uniforms.stroke.value.getHexString()}`,
+			shading: this.material.features.shading,
+			widthUnits: this.material.features.widthUnits,
+			hiddenLines: this.material.features.hiddenLines,
+			dashUnits: this.material.features.dashUnits,
+			dashPattern: this.material.dashPattern || "none",
+			edgeStyles: this.material.features.edgeStyles,
 			randomColors: () => this.randomColors(),
 			saveScreenshot: () => this.saveScreenshot(),
+			transparentCapture: false,
+			saveSVG: () => this.saveVector("svg"),
+			loopDuration: this.timeline.loopDuration,
+			fitLoop: () => {
+				guiData.loopDuration = getDashLoopDuration(
+					this.material.uniforms.dashRepeats.value,
+					Math.max(guiData.loopDuration, 2)
+				);
+				this.timeline.setLoopDuration(guiData.loopDuration);
+				this.gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+			},
+			saveFrames: () => this.saveLoop("png"),
+			saveWebM: () => this.saveLoop("webm"),
+			playDrawOn: () => this.playDrawOn(),
+			revealSource: this.material.features.revealSource,
+			playReveal: () => this.playReveal(),
+			savePDF: () => this.saveVector("pdf"),
+			preset: "Custom",
+			exportPreset: () => this.exportPreset(),
+			importPreset: () => this.importPreset(),
 		};
 
 		// Add uniforms to GUI data
@@ -224,6 +406,19 @@ class WireframeDemo {
 			}
 		});
 
+		// Style presets, starting with those of the legacy gui.json
+		this.presets = migrateGuiPresets(guiPresets);
+		const presets = this.gui.addFolder("Presets");
+		presets
+			.add(guiData, "preset", ["Custom", ...this.presets.map(({ name }) => name)])
+			.name("Preset")
+			.onChange((name) => {
+				const preset = this.presets.find((preset) => preset.name === name);
+				if (preset) this.applyPreset(preset);
+			});
+		presets.add(guiData, "exportPreset").name("Export JSON");
+		presets.add(guiData, "importPreset").name("Import JSON");
+
 		const shader = this.gui.addFolder("Shader");
 
 		// Shader controls
@@ -236,6 +431,22 @@ class WireframeDemo {
 			.step(0.01)
 			.name("Thickness")
 			.onChange(() => this.updateUniforms(guiData));
+		shader
+			.add(guiData, "shading", ["flat", "lambert", "physical"])
+			.name("Shading")
+			.onChange((value) => this.material.updateFeaturesAsync({ shading: value }));
+		shader
+			.add(guiData, "widthUnits", ["screen", "world", "uv"])
+			.name("Width Units")
+			.onChange((value) => this.material.updateFeaturesAsync({ widthUnits: value }));
+		shader
+			.add(guiData, "hiddenLines", ["off", "hide", "dashed", "faded"])
+			.name("Hidden Lines")
+			.onChange((value) => this.material.updateFeaturesAsync({ hiddenLines: value }));
+		shader
+			.add(guiData, "edgeStyles")
+			.name("Edge Styles")
+			.onChange((value) => this.material.updateFeaturesAsync({ edgeStyles: value }));
 		shader
 			.addColor(guiData, "backgroundHex")
 			.name("Background")
@@ -268,6 +479,20 @@ class WireframeDemo {
 			);
 		shader.add(guiData, "randomColors").name("Random Palette");
 		shader.add(guiData, "saveScreenshot").name("Save PNG");
+		shader.add(guiData, "transparentCapture").name("Transparent PNG");
+		shader.add(guiData, "saveSVG").name("Save SVG");
+		shader.add(guiData, "savePDF").name("Save PDF");
+
+		// Seamless loops of the animated dashes and noise
+		const loop = shader.addFolder("Loop");
+		loop
+			.add(guiData, "loopDuration", 0, 20)
+			.step(0.1)
+			.name("Duration (0 = off)")
+			.onChange((value) => this.timeline.setLoopDuration(value));
+		loop.add(guiData, "fitLoop").name("Fit to Dashes");
+		loop.add(guiData, "saveFrames").name("Save Frames");
+		loop.add(guiData, "saveWebM").name("Record WebM");
 
 		// Dash controls
 		const dash = shader.addFolder("Dash");
@@ -293,6 +518,16 @@ class WireframeDemo {
 			.add(guiData, "dashOverlap")
 			.name("Overlap Join")
 			.onChange(() => this.updateUniforms(guiData));
+		dash
+			.add(guiData, "dashUnits", ["edge", "world"])
+			.name("Units")
+			.onChange((value) => this.material.updateFeaturesAsync({ dashUnits: value }));
+		dash
+			.add(guiData, "dashPattern", ["none", ...Object.keys(DASH_PATTERNS)])
+			.name("Pattern")
+			.onChange((value) =>
+				this.material.setDashPattern(value === "none" ? null : value)
+			);
 
 		// Effects controls
 		const effects = shader.addFolder("Effects");
@@ -332,6 +567,43 @@ class WireframeDemo {
 			.step(0.01)
 			.name("Squeeze Max")
 			.onChange(() => this.updateUniforms(guiData));
+		effects
+			.add(guiData, "drawOn")
+			.name("Draw On")
+			.onChange(() => this.updateUniforms(guiData));
+		effects
+			.add(guiData, "drawOnProgress", 0, 1)
+			.step(0.01)
+			.name("Draw On Progress")
+			.onChange(() => this.updateUniforms(guiData));
+		effects.add(guiData, "playDrawOn").name("Play Draw On");
+
+		// Edges, then the fill, appearing over the meshes
+		const reveal = shader.addFolder("Reveal");
+		reveal
+			.add(guiData, "reveal")
+			.name("Enable Reveal")
+			.onChange(() => this.updateUniforms(guiData));
+		reveal
+			.add(guiData, "revealSource", ["radial", "axis", "attribute"])
+			.name("Reveal Source")
+			.onChange((value) => this.setRevealSource(value));
+		reveal
+			.add(guiData, "revealProgress", 0, 1)
+			.step(0.01)
+			.name("Stroke Progress")
+			.onChange(() => this.updateUniforms(guiData));
+		reveal
+			.add(guiData, "revealFillProgress", 0, 1)
+			.step(0.01)
+			.name("Fill Progress")
+			.onChange(() => this.updateUniforms(guiData));
+		reveal
+			.add(guiData, "revealSoftness", 0, 1)
+			.step(0.01)
+			.name("Edge Softness")
+			.onChange(() => this.updateUniforms(guiData));
+		reveal.add(guiData, "playReveal").name("Play Reveal");
 		effects
 			.add(guiData, "dualStroke")
 			.name("Dual Stroke")
@@ -379,21 +651,123 @@ class WireframeDemo {
 				const stats = this.materialManager.getCacheStats();
 				console.log("Material Cache Stats:", stats);
 				alert(
-					`Cached shader variants: ${stats.cachedVariants}\nMemory estimate: ${stats.memoryEstimate}`
+					`Materials alive: ${stats.instancesAlive}\nShader variants: ${stats.variants}\nPrograms compiled: ${stats.programsCompiled}\nCompile time: ${stats.totalCompileTime.toFixed(1)} ms (max ${stats.maxCompileTime.toFixed(1)} ms)`
 				);
 			},
 			clearCache: () => {
 				this.materialManager.clearCache();
-				console.log("Material cache cleared");
+				console.log("Compile timings cleared");
 			},
 		};
 		performance.add(perfData, "showCacheStats").name("Show Cache Stats");
-		performance.add(perfData, "clearCache").name("Clear Cache");
+		performance.add(perfData, "clearCache").name("Clear Timings");
 
 		// Store guiData for randomColors method
 		this.guiData = guiData;
 	}
 
+	// Plays the draw-on clip once, switching the effect on
+	playDrawOn() {
+		if (!this.drawOnAction) {
+			this.drawOnAction = this.styleMixer.clipAction(createDrawOnClip());
+			this.drawOnAction.setLoop(THREE.LoopOnce);
+		}
+		this.guiData.drawOn = true;
+		this.guiData.drawOnProgress = 1;
+		this.updateUniforms(this.guiData);
+		this.gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+		this.drawOnAction.reset().play();
+	}
+
+	// Plays the reveal clip once, switching the effect on
+	playReveal() {
+		if (!this.revealAction) {
+			this.revealAction = this.styleMixer.clipAction(createRevealClip());
+			this.revealAction.setLoop(THREE.LoopOnce);
+		}
+		this.guiData.reveal = true;
+		this.guiData.revealProgress = 1;
+		this.guiData.revealFillProgress = 1;
+		this.updateUniforms(this.guiData);
+		this.gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+		this.revealAction.reset().play();
+	}
+
+	// Switches the reveal field, fitting its range to the torus right away
+	// rather than once the new variant is compiled
+	setRevealSource(source) {
+		const { uniforms } = this.material;
+		const { min, max } = computeRevealRange(
+			this.revealGeometry,
+			source,
+			uniforms.revealCenter.value,
+			uniforms.revealAxis.value
+		);
+		this.guiData.revealMin = min;
+		this.guiData.revealMax = max;
+		this.updateUniforms({ revealMin: min, revealMax: max });
+		this.material.updateFeaturesAsync({ revealSource: source });
+	}
+
+	applyPreset(preset) {
+		this.material.applyPreset(preset);
+		const { style } = this.material.exportPreset();
+		const userData = preset.userData || {};
+		if (userData.background) this.guiData.backgroundHex = userData.background;
+
+		// mirror the new style in the GUI
+		Object.keys(this.guiData).forEach((key) => {
+			if (key in style && typeof this.guiData[key] !== "function") {
+				this.guiData[key] = style[key];
+			}
+		});
+		this.guiData.fillHex = style.fill;
+		this.guiData.strokeHex = style.stroke;
+		this.guiData.dashPattern =
+			typeof style.dashPattern === "string" ? style.dashPattern : "none";
+		this.updateColors(
+			this.guiData.backgroundHex,
+			this.guiData.fillHex,
+			this.guiData.strokeHex
+		);
+		this.gui.controllersRecursive().forEach((controller) => {
+			controller.updateDisplay();
+		});
+	}
+
+	exportPreset() {
+		const name = this.guiData.preset === "Custom" ? "" : this.guiData.preset;
+		const preset = this.material.exportPreset({
+			name,
+			userData: { background: this.guiData.backgroundHex },
+		});
+		const blob = new Blob([JSON.stringify(preset, null, "\t")], {
+			type: "application/json",
+		});
+		const link = document.createElement("a");
+		link.download = `${name || "wireframe-preset"}.json`;
+		link.href = URL.createObjectURL(blob);
+		link.click();
+		URL.revokeObjectURL(link.href);
+	}
+
+	importPreset() {
+		const input = document.createElement("input");
+		input.type = "file";
+		input.accept = "application/json,.json";
+		input.onchange = async () => {
+			if (!input.files.length) return;
+			try {
+				const preset = readWireframePreset(await input.files[0].text());
+				this.guiData.preset = "Custom";
+				this.applyPreset(preset);
+			} catch (error) {
+				alert(error.message);
+			}
+		};
+		input.click();
+	}
+
 	randomColors() {
 		this.palette =
 			palettes[Math.floor(Math.random() * palettes.length)].slice();
@@ -0,0 +1,64 @@
+// Compares the two prepareWireframeGeometry layouts on large meshes: the
+// un-indexed one with three vertices per triangle, and the indexed one.
+// Run with `npm run bench`, optionally passing triangle counts:
+//   npm run bench -- 200000 1000000
+// Vite loads the sources, so the shader imports resolve like in the app.
+import * as THREE from "three";
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+if (sizes.length === 0) sizes.push(100000, 1000000);
+
+const server = await createServer({
+	root,
+	configFile: false,
+	logLevel: "error",
+	appType: "custom",
+	server: { middlewareMode: true, hmr: false },
+});
+
+try {
+	const { prepareWireframeGeometry } = await server.ssrLoadModule(
+		"/wireframeMatUtils/WireframeMaterial.js"
+	);
+
+	const rows = [];
+	sizes.forEach((triangles) => {
+		const source = createScan(triangles);
+		rows.push(measure("source", source, null));
+		[false, true].forEach((indexed) => {
+			const start = performance.now();
+			const prepared = prepareWireframeGeometry(source, { indexed });
+			const time = performance.now() - start;
+			rows.push(measure(indexed ? "indexed" : "un-indexed", prepared, time));
+			prepared.dispose();
+		});
+	});
+	console.table(rows);
+} finally {
+	await server.close();
+}
+
+// A torus knot standing in for a dense scan, with about `triangles` triangles
+function createScan(triangles) {
+	const radial = 32;
+	const tubular = Math.max(3, Math.round(triangles / (radial * 2)));
+	return new THREE.TorusKnotGeometry(1, 0.3, tubular, radial);
+}
+
+function measure(layout, geometry, time) {
+	const index = geometry.getIndex();
+	const arrays = Object.values(geometry.attributes).map(({ array }) => array);
+	if (index) arrays.push(index.array);
+	const bytes = arrays.reduce((sum, array) => sum + array.byteLength, 0);
+	return {
+		layout,
+		triangles: (index ? index.count : geometry.getAttribute("position").count) / 3,
+		vertices: geometry.getAttribute("position").count,
+		attributes: Object.keys(geometry.attributes).length,
+		"memory (MB)": +(bytes / 2 ** 20).toFixed(1),
+		"prepare (ms)": time === null ? "" : Math.round(time),
+	};
+}
@@ -0,0 +1,91 @@
+// Parses the OBJ and PLY fixtures with the wireframe loaders and counts the
+// triangle edges prepareWireframeGeometry hides in each mesh, in both
+// layouts: both sides of every diagonal inside the quads and n-gons of the
+// files, and nothing else. Run with `npm test`.
+import { readFileSync } from "node:fs";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { resolvePath, withModules } from "./viteModules.js";
+
+// Hidden triangle edges of every mesh, by file and mesh name
+const FIXTURES = {
+	"polygons.obj": { cube: 12, prism: 24 },
+	"polygons.ply": { pentagonalPrism: 18 },
+	"polygons_binary.ply": { pentagonalPrism: 18 },
+};
+
+await withModules(
+	[
+		"/wireframeMatUtils/WireframeMaterial.js",
+		"/wireframeMatUtils/wireframeLoaders.js",
+		"/wireframeMatUtils/wireframeGeomtryUtils.js",
+	],
+	(
+		{ prepareWireframeGeometry },
+		{ WireframeOBJLoader, WireframePLYLoader },
+		{ getHiddenEdgeMask, getTriangleLayout }
+	) => {
+		const loadMeshes = (file) => {
+			const data = readFileSync(resolvePath(`fixtures/${file}`));
+			if (file.endsWith(".obj")) {
+				const container = new WireframeOBJLoader().parse(data.toString("utf8"));
+				return container.children.map(({ name, geometry }) => ({ name, geometry }));
+			}
+			const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+			return [{ name: "pentagonalPrism", geometry: new WireframePLYLoader().parse(buffer) }];
+		};
+
+		const countHiddenEdges = (geometry) => {
+			const layout = getTriangleLayout(geometry);
+			const triangles = layout.indexed
+				? geometry.getIndex().count / 3
+				: geometry.getAttribute("position").count / 3;
+			let count = 0;
+			for (let t = 0; t < triangles; t++) {
+				const mask = getHiddenEdgeMask(geometry, t, layout);
+				count += (mask & 1) + ((mask >> 1) & 1) + ((mask >> 2) & 1);
+			}
+			return count;
+		};
+
+		let failed = 0;
+		Object.entries(FIXTURES).forEach(([file, expected]) => {
+			const meshes = loadMeshes(file);
+			const names = meshes.map(({ name }) => name).join(", ");
+			if (names !== Object.keys(expected).join(", ")) {
+				failed++;
+				console.log(`${file}: expected meshes ${Object.keys(expected).join(", ")}, got ${names}`);
+				return;
+			}
+
+			meshes.forEach(({ name, geometry }) => {
+				const polygonIds = geometry.userData.polygonIds;
+				// OBJLoader gives every triangle vertices of its own, weld them
+				// for the indexed layout
+				let source = geometry;
+				if (!source.getIndex()) {
+					source = geometry.clone();
+					source.deleteAttribute("normal");
+					source.deleteAttribute("uv");
+					source = mergeVertices(source);
+				}
+				[false, true].forEach((indexed) => {
+					const prepared = prepareWireframeGeometry(indexed ? source : geometry, {
+						indexed,
+						polygonIds,
+					});
+					const layout = indexed ? "indexed" : "un-indexed";
+					const hidden = countHiddenEdges(prepared);
+					if (Boolean(prepared.getIndex()) !== indexed || hidden !== expected[name]) {
+						failed++;
+						console.log(
+							`${file} ${name} ${layout}: ${hidden} hidden edges, expected ${expected[name]}`
+						);
+					} else {
+						console.log(`ok ${file} ${name} ${layout}: ${hidden} hidden edges`);
+					}
+				});
+			});
+		});
+		if (failed) process.exitCode = 1;
+	}
+);
@@ -0,0 +1,368 @@
+// Exports reference scenes with WireframeVectorExporter and compares the SVG
+// with the fixtures in fixtures/vector, so changes to the output show up
+// without a browser. Run with `npm test`, or rewrite the fixtures after an
+// intended change with:
+//   node test/vectorExport.js --update
+// The fixtures only catch changes, so the cube exports are also checked
+// against the box itself: one stroke per edge of the faces turned to the
+// camera, none along the quad diagonals, with the width and dashes of the
+// material settings.
+import * as THREE from "three";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { resolvePath, withModules } from "./viteModules.js";
+
+const update = process.argv.includes("--update");
+
+await withModules(
+	[
+		"/wireframeMatUtils/WireframeMaterial.js",
+		"/wireframeMatUtils/WireframeVectorExporter.js",
+		"/wireframeMatUtils/applyWireframe.js",
+	],
+	(
+		{ WireframeMaterial, prepareWireframeGeometry },
+		{ WireframeVectorExporter },
+		{ applyWireframe }
+	) => {
+		const scenes = {
+			// edge removal and occlusion of a plain cube
+			cube() {
+				const material = new WireframeMaterial({
+					stroke: new THREE.Color("#202020"),
+					thickness: 4,
+				});
+				const mesh = new THREE.Mesh(
+					prepareWireframeGeometry(new THREE.BoxGeometry(1.5, 1.5, 1.5)),
+					material
+				);
+				return [mesh];
+			},
+
+			// world widths, dashes in world units and dashed hidden lines
+			dashedTorus() {
+				const material = new WireframeMaterial({
+					stroke: new THREE.Color("#1f4e8c"),
+					thickness: 0.03,
+					widthUnits: "world",
+					dashEnabled: true,
+					dashUnits: "world",
+					dashRepeats: 8,
+					dashLength: 0.5,
+					hiddenLines: "dashed",
+				});
+				const mesh = new THREE.Mesh(
+					prepareWireframeGeometry(new THREE.TorusGeometry(1, 0.35, 8, 16), {
+						arcLengths: "chains",
+					}),
+					material
+				);
+				mesh.rotation.x = Math.PI / 3;
+				return [mesh];
+			},
+
+			// instance styles, dual strokes and a patched built-in material
+			instances() {
+				const material = new WireframeMaterial({
+					stroke: new THREE.Color("#303030"),
+					thickness: 6,
+					dualStroke: true,
+					dualThickness: 0.3,
+				});
+				const geometry = prepareWireframeGeometry(new THREE.BoxGeometry());
+				const cubes = new THREE.InstancedMesh(geometry, material, 2);
+				const matrix = new THREE.Matrix4();
+				[-1.2, 0].forEach((x, i) => {
+					cubes.setMatrixAt(i, matrix.makeTranslation(x, 0, 0));
+				});
+				material.setInstanceStyle(cubes, 1, { stroke: "#c0392b", thickness: 25 });
+
+				const patched = new THREE.MeshStandardMaterial();
+				applyWireframe(patched, {
+					stroke: new THREE.Color("#27ae60"),
+					thickness: 3,
+					seeThrough: true,
+				});
+				const sphere = new THREE.Mesh(
+					prepareWireframeGeometry(new THREE.IcosahedronGeometry(0.6, 1)),
+					patched
+				);
+				sphere.position.set(1.3, 0, 0);
+				return [cubes, sphere];
+			},
+
+			// partly drawn and revealed strokes
+			drawOnReveal() {
+				const material = new WireframeMaterial({
+					stroke: new THREE.Color("#8e44ad"),
+					thickness: 5,
+					drawOn: true,
+					drawOnProgress: 0.6,
+					reveal: true,
+					revealSource: "axis",
+					revealProgress: 0.5,
+				});
+				const geometry = prepareWireframeGeometry(new THREE.SphereGeometry(1, 12, 8));
+				material.fitRevealRange(geometry);
+				return [new THREE.Mesh(geometry, material)];
+			},
+		};
+
+		const exporter = new WireframeVectorExporter({
+			width: 400,
+			height: 300,
+			background: "#ffffff",
+		});
+		const camera = new THREE.PerspectiveCamera(45, 400 / 300, 0.1, 100);
+		camera.position.set(3, 2, 4);
+		camera.lookAt(0, 0, 0);
+
+		// Problems with the strokes of a scene, checked without the fixtures
+		const checks = {
+			cube(segments, [mesh]) {
+				const { uniforms } = mesh.material;
+				const edges = getBoxEdges(1.5, camera, exporter);
+				const problems = findEdgeProblems(segments, edges.front, edges.diagonals);
+
+				// screen widths shrink with the depth fade of each end point
+				const fade = (point) =>
+					THREE.MathUtils.lerp(
+						1,
+						uniforms.depthFadeMin.value,
+						THREE.MathUtils.smoothstep(
+							point.distanceTo(camera.position),
+							uniforms.depthFadeNear.value,
+							uniforms.depthFadeFar.value
+						)
+					);
+				segments.forEach(({ edge, attributes }) => {
+					if (!edge) return;
+					const expected =
+						(uniforms.thickness.value * (fade(edge.world[0]) + fade(edge.world[1]))) / 2;
+					const width = Number(attributes["stroke-width"]);
+					if (Math.abs(width - expected) > 0.01) {
+						problems.push(`stroke width ${width}, expected ${expected.toFixed(2)}`);
+					}
+					if (attributes["stroke-dasharray"] !== undefined) {
+						problems.push("dashed stroke without dashes");
+					}
+				});
+				return problems;
+			},
+		};
+
+		let failed = 0;
+		const report = (name, problems) => {
+			if (problems.length) {
+				failed++;
+				console.log(`${name}: ${problems.join(", ")}`);
+			} else {
+				console.log(`ok ${name}`);
+			}
+		};
+
+		// an orthographic camera keeps each edge one stroke of even width,
+		// so its dashes are the material's dash lengths over the screen
+		// length of the edge
+		{
+			const material = new WireframeMaterial({
+				thickness: 3,
+				depthFade: false,
+				dashEnabled: true,
+				dashRepeats: 3,
+				dashLength: 0.4,
+				hiddenLines: "dashed",
+				hiddenDashRepeats: 5,
+				hiddenDashLength: 0.3,
+			});
+			const scene = new THREE.Scene();
+			const geometry = prepareWireframeGeometry(new THREE.BoxGeometry(1.5, 1.5, 1.5));
+			scene.add(new THREE.Mesh(geometry, material));
+			const orthographic = new THREE.OrthographicCamera(-2, 2, 1.5, -1.5, 0.1, 100);
+			orthographic.position.copy(camera.position);
+			orthographic.lookAt(0, 0, 0);
+
+			const segments = parseSegments(exporter.toSVG(scene, orthographic));
+			const edges = getBoxEdges(1.5, orthographic, exporter);
+			const problems = findEdgeProblems(
+				segments,
+				[...edges.front, ...edges.back],
+				edges.diagonals
+			);
+			const { uniforms } = material;
+			segments.forEach(({ edge, attributes }) => {
+				if (!edge) return;
+				const front = edges.front.includes(edge);
+				const [length, repeats] = front
+					? [uniforms.dashLength.value, uniforms.dashRepeats.value]
+					: [uniforms.hiddenDashLength.value, uniforms.hiddenDashRepeats.value];
+				const period = edge.screen[0].distanceTo(edge.screen[1]) / repeats;
+				const expected = [length * period, (1 - length) * period];
+				const dashArray = (attributes["stroke-dasharray"] || "").split(" ").map(Number);
+				if (
+					dashArray.length !== 2 ||
+					dashArray.some((value, i) => Math.abs(value - expected[i]) > 0.01)
+				) {
+					const expectedText = expected.map((value) => value.toFixed(2)).join(" ");
+					problems.push(
+						`${front ? "visible" : "hidden"} dashes ${dashArray.join(" ")}, expected ${expectedText}`
+					);
+				}
+				if (Number(attributes["stroke-width"]) !== uniforms.thickness.value) {
+					problems.push(`stroke width ${attributes["stroke-width"]}`);
+				}
+			});
+			report("dashed cube strokes", problems);
+		}
+
+		Object.entries(scenes).forEach(([name, createObjects]) => {
+			const scene = new THREE.Scene();
+			const objects = createObjects();
+			scene.add(...objects);
+			const svg = exporter.toSVG(scene, camera);
+			const path = resolvePath(`fixtures/vector/${name}.svg`);
+			if (checks[name]) {
+				report(`${name} strokes`, checks[name](parseSegments(svg), objects));
+			}
+
+			if (update) {
+				writeFileSync(path, svg);
+				console.log(`updated ${name}.svg`);
+				return;
+			}
+			if (!existsSync(path)) {
+				failed++;
+				console.log(`missing ${name}.svg, create it with --update`);
+				return;
+			}
+			const difference = findDifference(readFileSync(path, "utf8"), svg);
+			if (difference) {
+				failed++;
+				console.log(`${name}.svg differs at line ${difference.line}`);
+				console.log(`  expected: ${difference.expected}`);
+				console.log(`  actual:   ${difference.actual}`);
+			} else {
+				console.log(`ok ${name}.svg`);
+			}
+		});
+		if (failed) process.exitCode = 1;
+	}
+);
+
+// The edges of a box of `size` at the origin, as end points in the world
+// and on the page, split into those of faces turned to the camera (front)
+// and the others (back), and the diagonals of its faces
+function getBoxEdges(size, camera, { width, height }) {
+	camera.updateMatrixWorld();
+	const corners = [];
+	for (let i = 0; i < 8; i++) {
+		const half = size / 2;
+		corners.push(
+			new THREE.Vector3(i & 1 ? half : -half, i & 2 ? half : -half, i & 4 ? half : -half)
+		);
+	}
+	const toScreen = (point) => {
+		const ndc = point.clone().project(camera);
+		return new THREE.Vector2(((ndc.x + 1) / 2) * width, ((1 - ndc.y) / 2) * height);
+	};
+	const facesCamera = (axis, sign) => {
+		const normal = new THREE.Vector3().setComponent(axis, sign);
+		const toCamera = camera.isOrthographicCamera
+			? camera.getWorldDirection(new THREE.Vector3()).negate()
+			: camera.position.clone().sub(normal.clone().multiplyScalar(size / 2));
+		return normal.dot(toCamera) > 0;
+	};
+
+	const edges = { front: [], back: [], diagonals: [] };
+	for (let i = 0; i < 8; i++) {
+		for (let j = i + 1; j < 8; j++) {
+			const edge = {
+				world: [corners[i], corners[j]],
+				screen: [toScreen(corners[i]), toScreen(corners[j])],
+			};
+			const differing = [0, 1, 2].filter((axis) => ((i ^ j) >> axis) & 1);
+			if (differing.length === 2) {
+				edges.diagonals.push(edge);
+			} else if (differing.length === 1) {
+				// the edge borders the faces on the two axes it runs across
+				const front = [0, 1, 2].some(
+					(axis) => axis !== differing[0] && facesCamera(axis, (i >> axis) & 1 ? 1 : -1)
+				);
+				edges[front ? "front" : "back"].push(edge);
+			}
+		}
+	}
+	return edges;
+}
+
+// Straight segments of an exported SVG, with the attributes of their path
+function parseSegments(svg) {
+	const segments = [];
+	for (const [, d, text] of svg.matchAll(/<path d="([^"]*)" ([^>]*)\/>/g)) {
+		const attributes = Object.fromEntries(
+			[...text.matchAll(/([\w-]+)="([^"]*)"/g)].map(([, name, value]) => [name, value])
+		);
+		for (const match of d.matchAll(/M(\S+) (\S+)L(\S+?) (\S+?)(?=M|$)/g)) {
+			const [x0, y0, x1, y1] = match.slice(1).map(Number);
+			segments.push({
+				points: [new THREE.Vector2(x0, y0), new THREE.Vector2(x1, y1)],
+				attributes,
+			});
+		}
+	}
+	return segments;
+}
+
+// Matches every segment to the edge it draws, setting segment.edge, and
+// lists segments off the edges or along a diagonal and edges drawn other
+// than once. Occluded edges may stop a little short of the silhouette.
+function findEdgeProblems(segments, edges, diagonals) {
+	const distanceToLine = (point, [p, q]) => {
+		const line = new THREE.Line3(new THREE.Vector3(p.x, p.y), new THREE.Vector3(q.x, q.y));
+		const target = new THREE.Vector3(point.x, point.y);
+		return line.closestPointToPoint(target, true, new THREE.Vector3()).distanceTo(target);
+	};
+	const onLine = (points, line, tolerance) =>
+		points.every((point) => distanceToLine(point, line) < tolerance);
+
+	const problems = [];
+	const counts = new Map(edges.map((edge) => [edge, 0]));
+	segments.forEach((segment) => {
+		const { points } = segment;
+		const length = points[0].distanceTo(points[1]);
+		segment.edge = edges.find(
+			({ screen }) =>
+				onLine(points, screen, 0.02) && length > screen[0].distanceTo(screen[1]) - 1
+		);
+		if (segment.edge) {
+			counts.set(segment.edge, counts.get(segment.edge) + 1);
+			return;
+		}
+		const [a, b] = points;
+		const onDiagonal = diagonals.some(({ screen }) => onLine(points, screen, 0.5));
+		const kind = onDiagonal ? "stroke along a quad diagonal" : "stroke off the edges";
+		problems.push(`${kind} from ${a.x} ${a.y} to ${b.x} ${b.y}`);
+	});
+	const drawn = [...counts.values()];
+	if (drawn.some((count) => count !== 1)) {
+		problems.push(`edges drawn ${drawn.join(", ")} times, expected once each`);
+	}
+	return problems;
+}
+
+// First line two documents differ on, its text shortened to where they part
+function findDifference(expected, actual) {
+	const expectedLines = expected.split("\n");
+	const actualLines = actual.split("\n");
+	const count = Math.max(expectedLines.length, actualLines.length);
+	for (let i = 0; i < count; i++) {
+		const a = expectedLines[i];
+		const b = actualLines[i];
+		if (a === b) continue;
+		let start = 0;
+		while (a !== undefined && b !== undefined && a[start] === b[start]) start++;
+		const excerpt = (line) =>
+			line === undefined ? "(end of file)" : `…${line.slice(Math.max(0, start - 20), start + 60)}…`;
+		return { line: i + 1, expected: excerpt(a), actual: excerpt(b) };
+	}
+	return null;
+}
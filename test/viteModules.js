@@ -0,0 +1,28 @@
+// Loads library modules through Vite for the scripts in this folder, so the
+// shader imports resolve like in the app. Calls callback with the modules
+// of `paths`, relative to the repository root, and closes the server after.
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+export async function withModules(paths, callback) {
+	const server = await createServer({
+		root,
+		configFile: false,
+		logLevel: "error",
+		appType: "custom",
+		server: { middlewareMode: true, hmr: false },
+	});
+	try {
+		const modules = await Promise.all(paths.map((path) => server.ssrLoadModule(path)));
+		return await callback(...modules);
+	} finally {
+		await server.close();
+	}
+}
+
+// Absolute path of a file in the repository
+export function resolvePath(path) {
+	return fileURLToPath(new URL(`../${path}`, import.meta.url));
+}
@@ -0,0 +1,111 @@
+// Loads fixtures/scene.glb with three's GLTFLoader and switches it to
+// wireframe with wireframeScene(), in both geometry layouts: every mesh gets
+// the one WireframeMaterial and prepared geometry hiding the diagonal of
+// each quad, the geometry the cube shares with its instances is prepared
+// once, and the node tree, the primitives of the two-material mesh and the
+// instances are kept. Run with `npm test`.
+import { readFileSync } from "node:fs";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { resolvePath, withModules } from "./viteModules.js";
+
+// Meshes of the fixture by name, with their triangles and the triangle edges
+// hidden in them. GLTFLoader makes a mesh of each primitive of "panels",
+// which had a material of their own.
+const MESHES = {
+	cube: { triangles: 12, hidden: 12 },
+	panels_1: { triangles: 2, hidden: 2 },
+	panels_2: { triangles: 2, hidden: 2 },
+	instances: { triangles: 12, hidden: 12, instances: 3 },
+};
+const TREE = "model(cube, panels(panels_1, panels_2), instances)";
+
+await withModules(
+	[
+		"/wireframeMatUtils/WireframeMaterial.js",
+		"/wireframeMatUtils/wireframeLoaders.js",
+		"/wireframeMatUtils/wireframeGeomtryUtils.js",
+	],
+	async (
+		{ WireframeMaterial },
+		{ wireframeScene },
+		{ getHiddenEdgeMask, getTriangleLayout }
+	) => {
+		const data = readFileSync(resolvePath("fixtures/scene.glb"));
+		const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+		const describe = (object) =>
+			object.children.length
+				? `${object.name}(${object.children.map(describe).join(", ")})`
+				: object.name;
+
+		const countHiddenEdges = (geometry) => {
+			const layout = getTriangleLayout(geometry);
+			let count = 0;
+			for (let t = 0; t < countTriangles(geometry); t++) {
+				const mask = getHiddenEdgeMask(geometry, t, layout);
+				count += (mask & 1) + ((mask >> 1) & 1) + ((mask >> 2) & 1);
+			}
+			return count;
+		};
+
+		let failed = 0;
+		const check = (ok, message) => {
+			if (ok) {
+				console.log(`ok ${message}`);
+			} else {
+				failed++;
+				console.log(`failed ${message}`);
+			}
+		};
+
+		for (const indexed of [false, true]) {
+			const layout = indexed ? "indexed" : "un-indexed";
+			const gltf = await new GLTFLoader().parseAsync(buffer, "");
+			const [model] = gltf.scene.children;
+			const sources = new Map();
+			model.traverse((object) => {
+				if (object.isMesh) sources.set(object.name, object.geometry);
+			});
+
+			const material = wireframeScene(gltf.scene, { edgeMode: "quads", indexed });
+			check(material instanceof WireframeMaterial, `${layout}: makes a WireframeMaterial`);
+			check(describe(model) === TREE, `${layout}: keeps the node tree ${describe(model)}`);
+
+			const meshes = {};
+			model.traverse((object) => {
+				if (object.isMesh) meshes[object.name] = object;
+			});
+			Object.entries(MESHES).forEach(([name, expected]) => {
+				const mesh = meshes[name];
+				const geometry = mesh.geometry;
+				const triangles = countTriangles(geometry);
+				const hidden = countHiddenEdges(geometry);
+				check(
+					mesh.material === material &&
+						geometry !== sources.get(name) &&
+						geometry.hasAttribute("barycentric") &&
+						Boolean(geometry.getIndex()) === indexed &&
+						triangles === expected.triangles &&
+						hidden === expected.hidden,
+					`${layout} ${name}: ${triangles} triangles, ${hidden} hidden edges`
+				);
+				if (expected.instances) {
+					check(
+						mesh.isInstancedMesh && mesh.count === expected.instances,
+						`${layout} ${name}: ${mesh.count} instances`
+					);
+				}
+			});
+			check(
+				meshes.cube.geometry === meshes.instances.geometry,
+				`${layout}: prepares the shared cube geometry once`
+			);
+		}
+		if (failed) process.exitCode = 1;
+	}
+);
+
+function countTriangles(geometry) {
+	const index = geometry.getIndex();
+	return (index ? index.count : geometry.getAttribute("position").count) / 3;
+}
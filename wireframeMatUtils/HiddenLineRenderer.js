@@ -0,0 +1,176 @@
+import * as THREE from "three";
+import { getWireframePatch } from "./applyWireframe.js";
+
+// Camera layer used to pick the objects drawn by each pass
+const PASS_LAYER = 31;
+
+// Renders a scene with hidden-line removal for wireframe materials using the
+// `hiddenLines` option ('hide' | 'dashed' | 'faded'). A depth pre-pass of
+// every mesh tells those materials which of their fragments are occluded, so
+// edges behind other meshes are found as well as the mesh's own back edges.
+// The scene is then drawn as usual minus the occluded fragments, and for
+// 'dashed' / 'faded' the occluded strokes are drawn on top of it.
+// Use it in place of renderer.render(scene, camera). WebGL only, and the
+// renderer's reverseDepthBuffer option is not supported. Layer 31 is
+// reserved for it and WireframePicker.
+export class HiddenLineRenderer {
+	constructor(renderer) {
+		this.renderer = renderer;
+		this.depthTarget = new THREE.WebGLRenderTarget(1, 1, {
+			depthTexture: new THREE.DepthTexture(1, 1, THREE.FloatType),
+		});
+		// depth only, double sided so open surfaces occlude from behind too
+		this.depthMaterial = new THREE.MeshBasicMaterial({
+			colorWrite: false,
+			side: THREE.DoubleSide,
+		});
+		this._size = new THREE.Vector2();
+	}
+
+	render(scene, camera) {
+		const renderer = this.renderer;
+		const targets = collectHiddenLineTargets(scene);
+		if (targets.length === 0) {
+			renderer.render(scene, camera);
+			return;
+		}
+
+		const renderTarget = renderer.getRenderTarget();
+		if (renderTarget) {
+			this._size.set(renderTarget.width, renderTarget.height);
+		} else {
+			renderer.getDrawingBufferSize(this._size);
+		}
+		this.depthTarget.setSize(this._size.x, this._size.y);
+
+		this._renderDepth(scene, camera);
+		renderer.setRenderTarget(renderTarget);
+
+		targets.forEach(({ uniforms }) => {
+			uniforms.hiddenLineDepth.value = this.depthTarget.depthTexture;
+			uniforms.hiddenLineResolution.value.copy(this._size);
+			uniforms.hiddenLineCameraNear.value = camera.near;
+			uniforms.hiddenLineCameraFar.value = camera.far;
+			uniforms.hiddenLineOrthographic.value =
+				camera.isOrthographicCamera === true;
+			uniforms.hiddenLinePass.value = false;
+		});
+
+		// visible pass, the materials discard what the depth pass hides
+		renderer.render(scene, camera);
+
+		const hiddenTargets = targets.filter(
+			({ features }) =>
+				features.hiddenLines === "dashed" || features.hiddenLines === "faded"
+		);
+		if (hiddenTargets.length > 0) {
+			this._renderHidden(scene, camera, hiddenTargets);
+		}
+	}
+
+	dispose() {
+		this.depthTarget.depthTexture.dispose();
+		this.depthTarget.dispose();
+		this.depthMaterial.dispose();
+	}
+
+	// Depth of every visible mesh, whatever its material
+	_renderDepth(scene, camera) {
+		const renderer = this.renderer;
+		const overrideMaterial = scene.overrideMaterial;
+		const background = scene.background;
+		scene.overrideMaterial = this.depthMaterial;
+		scene.background = null;
+
+		renderer.setRenderTarget(this.depthTarget);
+		renderer.clear();
+		renderWith(scene, camera, (object) => object.isMesh, () => {
+			renderer.render(scene, camera);
+		});
+
+		scene.overrideMaterial = overrideMaterial;
+		scene.background = background;
+	}
+
+	// Occluded strokes only, drawn over the finished frame
+	_renderHidden(scene, camera, targets) {
+		const renderer = this.renderer;
+		const materials = new Set(targets.map(({ material }) => material));
+		const states = targets.map(({ material }) => [
+			material.depthTest,
+			material.depthWrite,
+		]);
+		targets.forEach(({ material, uniforms }) => {
+			uniforms.hiddenLinePass.value = true;
+			material.depthTest = false;
+			material.depthWrite = false;
+		});
+		const background = scene.background;
+		const autoClear = renderer.autoClear;
+		scene.background = null;
+		renderer.autoClear = false;
+
+		renderWith(
+			scene,
+			camera,
+			(object) =>
+				getMaterials(object).some((material) => materials.has(material)),
+			() => renderer.render(scene, camera)
+		);
+
+		renderer.autoClear = autoClear;
+		scene.background = background;
+		targets.forEach(({ material, uniforms }, i) => {
+			uniforms.hiddenLinePass.value = false;
+			[material.depthTest, material.depthWrite] = states[i];
+		});
+	}
+}
+
+// Wireframe materials (or patched built-in materials) with hiddenLines on,
+// along with the uniforms and features driving them
+function collectHiddenLineTargets(scene) {
+	const targets = new Map();
+	scene.traverseVisible((object) => {
+		getMaterials(object).forEach((material) => {
+			if (targets.has(material)) return;
+			const style = material.isWireframeMaterial
+				? material
+				: getWireframePatch(material);
+			if (style && style.features.hiddenLines !== "off") {
+				targets.set(material, {
+					material,
+					uniforms: style.uniforms,
+					features: style.features,
+				});
+			}
+		});
+	});
+	return [...targets.values()];
+}
+
+function getMaterials(object) {
+	if (!object.material) return [];
+	return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+// Calls render() with the camera only seeing lights and the objects passing
+// `filter`. Uses a spare layer rather than `visible`, which would also hide
+// the children of filtered out objects.
+export function renderWith(scene, camera, filter, render) {
+	const enabled = [];
+	scene.traverseVisible((object) => {
+		if (!object.layers.test(camera.layers)) return;
+		if (object.layers.isEnabled(PASS_LAYER)) return;
+		if (object.isLight || filter(object)) {
+			object.layers.enable(PASS_LAYER);
+			enabled.push(object);
+		}
+	});
+
+	const mask = camera.layers.mask;
+	camera.layers.set(PASS_LAYER);
+	render();
+	camera.layers.mask = mask;
+	enabled.forEach((object) => object.layers.disable(PASS_LAYER));
+}
@@ -0,0 +1,273 @@
+import * as THREE from "three";
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass.js";
+import { getWireframePatch } from "./applyWireframe.js";
+
+// Width and height limit of a rendered tile, in pixels
+const DEFAULT_TILE_SIZE = 1024;
+
+// Captures images of any size, e.g. 8K posters, without touching the canvas.
+// capture() renders the image in tiles to a WebGLRenderTarget, each one a
+// view offset of the camera, and reads them back into one RGBA buffer,
+// { width, height, data }, top row first. toBlob() encodes it as PNG or
+// WebP. Options of both:
+//   width, height - image size, the canvas' drawing buffer size by default;
+//                   a missing one follows the camera's aspect. Perspective
+//                   cameras take the image's aspect while capturing, so
+//                   nothing is stretched; other cameras should match it.
+//   supersample   - renders at this many times the size and averages down
+//   transparent   - leaves the background out, with alpha for what isn't
+//                   covered, e.g. see-through fills
+//   lineScale     - scale of 'screen' widths, e.g. the capture width over
+//                   the canvas width to keep their look at poster sizes.
+//                   Supersampling scales them on top, so lines keep their
+//                   width in image pixels.
+//   render        - (scene, camera) => void drawing each tile, e.g. a
+//                   HiddenLineRenderer's render(), renderer.render by default
+// Tiles are rendered linear, in half float, then tone mapped and encoded
+// with the renderer's toneMapping and outputColorSpace by an OutputPass, as
+// the canvas shades materials, before they're read back.
+// Instance and edge thickness overrides aren't scaled by lineScale.
+export class WireframeCapture {
+	constructor(renderer, options = {}) {
+		this.renderer = renderer;
+		this.tileSize = options.tileSize || DEFAULT_TILE_SIZE;
+		// multisampling of each tile, unless supersampling
+		this.samples = options.samples !== undefined ? options.samples : 4;
+		this.renderTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+		// the tile in the output color space, 8 bits per channel
+		this.outputTarget = new THREE.WebGLRenderTarget(1, 1);
+		this.outputPass = new OutputPass();
+		this._size = new THREE.Vector2();
+	}
+
+	capture(scene, camera, options = {}) {
+		const renderer = this.renderer;
+		const { width, height } = this.getImageSize(camera, options);
+		const supersample = Math.max(1, Math.round(options.supersample || 1));
+		const transparent = options.transparent === true;
+		const render =
+			options.render || ((tileScene, tileCamera) => renderer.render(tileScene, tileCamera));
+
+		// tiles are whole image pixels, within the GPU's limits
+		const maxSize = Math.min(
+			renderer.capabilities.maxTextureSize,
+			renderer.getContext().getParameter(renderer.getContext().MAX_RENDERBUFFER_SIZE)
+		);
+		const tilePixels = Math.max(
+			1,
+			Math.floor(Math.min(this.tileSize, maxSize) / supersample)
+		);
+		const fullWidth = width * supersample;
+		const fullHeight = height * supersample;
+
+		const restore = this._setUp(scene, camera, {
+			width,
+			height,
+			transparent,
+			lineScale: (options.lineScale || 1) * supersample,
+		});
+		const samples = supersample > 1 ? 0 : this.samples;
+		if (this.renderTarget.samples !== samples) {
+			// reallocated with the new sample count on next use
+			this.renderTarget.dispose();
+			this.renderTarget.samples = samples;
+		}
+
+		const data = new Uint8ClampedArray(width * height * 4);
+		let pixels = null;
+		try {
+			for (let y = 0; y < height; y += tilePixels) {
+				for (let x = 0; x < width; x += tilePixels) {
+					const tileWidth = Math.min(tilePixels, width - x);
+					const tileHeight = Math.min(tilePixels, height - y);
+					const renderWidth = tileWidth * supersample;
+					const renderHeight = tileHeight * supersample;
+					camera.setViewOffset(
+						fullWidth,
+						fullHeight,
+						x * supersample,
+						y * supersample,
+						renderWidth,
+						renderHeight
+					);
+
+					this.renderTarget.setSize(renderWidth, renderHeight);
+					this.outputTarget.setSize(renderWidth, renderHeight);
+					renderer.setRenderTarget(this.renderTarget);
+					renderer.clear();
+					render(scene, camera);
+					this.outputPass.render(renderer, this.outputTarget, this.renderTarget);
+
+					const count = renderWidth * renderHeight * 4;
+					if (!pixels || pixels.length < count) pixels = new Uint8Array(count);
+					renderer.readRenderTargetPixels(
+						this.outputTarget,
+						0,
+						0,
+						renderWidth,
+						renderHeight,
+						pixels
+					);
+					copyTile(pixels, renderWidth, renderHeight, supersample, data, width, x, y);
+				}
+			}
+		} finally {
+			restore();
+		}
+
+		if (transparent) unpremultiply(data);
+		return { width, height, data };
+	}
+
+	// The capture as a PNG or WebP Blob, options.type 'image/png' (default)
+	// or 'image/webp' with options.quality 0 .. 1. Browsers without WebP
+	// encoding give a PNG.
+	async toBlob(scene, camera, options = {}) {
+		const { width, height, data } = this.capture(scene, camera, options);
+		const type = options.type || "image/png";
+
+		const canvas =
+			typeof OffscreenCanvas !== "undefined"
+				? new OffscreenCanvas(width, height)
+				: Object.assign(document.createElement("canvas"), { width, height });
+		canvas.getContext("2d").putImageData(new ImageData(data, width, height), 0, 0);
+		if (canvas.convertToBlob) {
+			return canvas.convertToBlob({ type, quality: options.quality });
+		}
+		return new Promise((resolve) => canvas.toBlob(resolve, type, options.quality));
+	}
+
+	dispose() {
+		this.renderTarget.dispose();
+		this.outputTarget.dispose();
+		this.outputPass.dispose();
+	}
+
+	// Size in pixels of the images capture() makes with these options
+	getImageSize(camera, options = {}) {
+		const aspect = camera.isPerspectiveCamera
+			? camera.aspect
+			: (camera.right - camera.left) / (camera.top - camera.bottom);
+		let { width, height } = options;
+		if (!width && !height) {
+			this.renderer.getDrawingBufferSize(this._size);
+			width = this._size.x;
+			height = this._size.y;
+		} else if (!height) {
+			height = width / aspect;
+		} else if (!width) {
+			width = height * aspect;
+		}
+		return {
+			width: Math.max(1, Math.round(width)),
+			height: Math.max(1, Math.round(height)),
+		};
+	}
+
+	// Sets the renderer, camera, scene and materials up for the capture,
+	// returning the function that puts them back
+	_setUp(scene, camera, { width, height, transparent, lineScale }) {
+		const renderer = this.renderer;
+		const renderTarget = renderer.getRenderTarget();
+		const clearAlpha = renderer.getClearAlpha();
+		const clearColor = renderer.getClearColor(new THREE.Color());
+		const background = scene.background;
+		const view = camera.view && camera.view.enabled ? { ...camera.view } : null;
+		const aspect = camera.aspect;
+
+		if (camera.isPerspectiveCamera) camera.aspect = width / height;
+
+		// tiles are cleared before rendering, so a background color is
+		// drawn as the clear color
+		if (transparent) {
+			scene.background = null;
+			renderer.setClearColor(0x000000, 0);
+		} else if (background && background.isColor) {
+			scene.background = null;
+			renderer.setClearColor(background, 1);
+		}
+
+		const widths = scaleScreenWidths(scene, lineScale);
+
+		return () => {
+			widths.forEach(([uniform, value]) => (uniform.value = value));
+			renderer.setRenderTarget(renderTarget);
+			renderer.setClearColor(clearColor, clearAlpha);
+			scene.background = background;
+			if (camera.isPerspectiveCamera) camera.aspect = aspect;
+			if (view) {
+				camera.setViewOffset(
+					view.fullWidth,
+					view.fullHeight,
+					view.offsetX,
+					view.offsetY,
+					view.width,
+					view.height
+				);
+			} else {
+				camera.clearViewOffset();
+			}
+		};
+	}
+}
+
+// Scales the thickness of wireframe materials with 'screen' widths, once per
+// material, returning the [uniform, value] pairs to restore
+function scaleScreenWidths(scene, scale) {
+	const scaled = [];
+	if (scale === 1) return scaled;
+
+	const styles = new Set();
+	scene.traverse((object) => {
+		if (!object.isMesh) return;
+		const materials = Array.isArray(object.material) ? object.material : [object.material];
+		materials.forEach((material) => {
+			if (!material) return;
+			const style = material.isWireframeMaterial ? material : getWireframePatch(material);
+			if (style && style.features.widthUnits === "screen") styles.add(style);
+		});
+	});
+	styles.forEach(({ uniforms }) => {
+		[uniforms.thickness, uniforms.dualThickness].forEach((uniform) => {
+			scaled.push([uniform, uniform.value]);
+			uniform.value *= scale;
+		});
+	});
+	return scaled;
+}
+
+// Averages a tile read back from the GPU, bottom row first, down by the
+// supersample factor into the image at (x, y), top row first
+function copyTile(pixels, renderWidth, renderHeight, supersample, data, width, x, y) {
+	const tileWidth = renderWidth / supersample;
+	const tileHeight = renderHeight / supersample;
+	const weight = 1 / (supersample * supersample);
+
+	for (let row = 0; row < tileHeight; row++) {
+		for (let column = 0; column < tileWidth; column++) {
+			const target = ((y + row) * width + x + column) * 4;
+			for (let channel = 0; channel < 4; channel++) {
+				let sum = 0;
+				for (let sy = 0; sy < supersample; sy++) {
+					const sourceRow = renderHeight - 1 - (row * supersample + sy);
+					for (let sx = 0; sx < supersample; sx++) {
+						sum += pixels[(sourceRow * renderWidth + column * supersample + sx) * 4 + channel];
+					}
+				}
+				data[target + channel] = sum * weight;
+			}
+		}
+	}
+}
+
+// Blending over a transparent clear leaves colors multiplied by alpha,
+// images keep them apart
+function unpremultiply(data) {
+	for (let i = 0; i < data.length; i += 4) {
+		const alpha = data[i + 3];
+		if (alpha === 0 || alpha === 255) continue;
+		data[i] = (data[i] * 255) / alpha;
+		data[i + 1] = (data[i + 1] * 255) / alpha;
+		data[i + 2] = (data[i + 2] * 255) / alpha;
+	}
+}
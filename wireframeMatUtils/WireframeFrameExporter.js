@@ -0,0 +1,206 @@
+import { WireframeCapture } from "./WireframeCapture.js";
+import { createWebM, getWebMCodecId } from "./wireframeWebM.js";
+
+// Frames queued in the VideoEncoder before capturing more waits, each one
+// holds a whole image
+const MAX_ENCODE_QUEUE = 4;
+
+// Renders the frames of a WireframeTimeline offscreen with WireframeCapture,
+// as a sequence of PNG / WebP images or as a WebM video. Frames are picked
+// with the timeline's setFrame(), so they come out the same on every run,
+// and the timeline is put back on its frame afterwards. Options of both
+// exports are those of WireframeCapture.capture() (width, height,
+// supersample, transparent, lineScale, render) plus:
+//   start  - first frame, 0 by default
+//   count  - frames to render, one loop of the timeline by default, or one
+//            second when it doesn't loop
+//   signal - an AbortSignal that stops the export and rejects with its reason
+// Animate anything else, e.g. the camera, from onFrame or the render option.
+export class WireframeFrameExporter {
+	constructor(renderer, timeline, options = {}) {
+		this.renderer = renderer;
+		this.timeline = timeline;
+		this.capture = new WireframeCapture(renderer, options);
+	}
+
+	// Image Blobs of the frames, in order. Takes WireframeCapture.toBlob()'s
+	// type and quality, and calls onFrame(blob, index) as each one is ready,
+	// e.g. to save them as they go.
+	async exportFrames(scene, camera, options = {}) {
+		const { onFrame, start, count, signal, ...captureOptions } = options;
+		const blobs = [];
+		await this._forEachFrame(options, async (index) => {
+			const blob = await this.capture.toBlob(scene, camera, captureOptions);
+			blobs.push(blob);
+			if (onFrame) onFrame(blob, index);
+		});
+		return blobs;
+	}
+
+	// A WebM Blob of the frames at the timeline's fps, encoded with
+	// WebCodecs' VideoEncoder: frame i is stamped i / fps seconds whatever
+	// time it took to render, so the video is the same on every run. Options
+	// also take codec ('vp09.00.10.08', VP9, by default, or 'vp8' or an AV1
+	// 'av01...' string), videoBitsPerSecond and keyFrameInterval (one key
+	// frame per second by default). Sizes are rounded up to even numbers of
+	// pixels for the codecs' chroma subsampling.
+	// Without VideoEncoder, it falls back to recording with MediaRecorder,
+	// see recordWebM().
+	async exportWebM(scene, camera, options = {}) {
+		if (typeof VideoEncoder === "undefined") {
+			return this.recordWebM(scene, camera, options);
+		}
+		const {
+			codec = "vp09.00.10.08",
+			videoBitsPerSecond,
+			keyFrameInterval,
+			mimeType,
+			start = 0,
+			count,
+			signal,
+			...captureOptions
+		} = options;
+		getWebMCodecId(codec);
+		const fps = this.timeline.fps;
+		const size = this.capture.getImageSize(camera, captureOptions);
+		const width = size.width + (size.width % 2);
+		const height = size.height + (size.height % 2);
+		const config = { codec, width, height, framerate: fps, bitrate: videoBitsPerSecond };
+		const { supported } = await VideoEncoder.isConfigSupported(config);
+		if (!supported) {
+			throw new Error(`Encoding ${codec} at ${width}x${height} is not supported`);
+		}
+
+		const frames = [];
+		let description = null;
+		let failure = null;
+		const encoder = new VideoEncoder({
+			output: (chunk, metadata) => {
+				const data = new Uint8Array(chunk.byteLength);
+				chunk.copyTo(data);
+				frames.push({ data, timestamp: chunk.timestamp, key: chunk.type === "key" });
+				if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+					description = metadata.decoderConfig.description;
+				}
+			},
+			error: (error) => (failure = error),
+		});
+		encoder.configure(config);
+		const keyFrames = Math.max(1, Math.round(keyFrameInterval || fps));
+
+		try {
+			await this._forEachFrame(options, async (index) => {
+				const i = index - start;
+				const { data } = this.capture.capture(scene, camera, {
+					...captureOptions,
+					width,
+					height,
+				});
+				const frame = new VideoFrame(data, {
+					format: "RGBA",
+					codedWidth: width,
+					codedHeight: height,
+					timestamp: Math.round((i * 1e6) / fps),
+					duration: Math.round(1e6 / fps),
+				});
+				encoder.encode(frame, { keyFrame: i % keyFrames === 0 });
+				frame.close();
+				while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !failure) {
+					await new Promise((resolve) =>
+						encoder.addEventListener("dequeue", resolve, { once: true })
+					);
+				}
+				if (failure) throw failure;
+			});
+			await encoder.flush();
+			if (failure) throw failure;
+		} finally {
+			if (encoder.state !== "closed") encoder.close();
+		}
+		return createWebM({ codec, width, height, fps, description, frames });
+	}
+
+	// A WebM Blob of the frames recorded with MediaRecorder from a canvas
+	// stream, the fallback of exportWebM() for browsers without WebCodecs.
+	// Options also take mimeType ('video/webm' by default, e.g.
+	// 'video/webm;codecs=vp9') and videoBitsPerSecond. This video isn't
+	// deterministic: MediaRecorder stamps frames as they arrive, so each one
+	// is held for 1 / fps seconds of real time, and frames slower to render
+	// than that last longer in the video.
+	async recordWebM(scene, camera, options = {}) {
+		const {
+			mimeType = "video/webm",
+			videoBitsPerSecond,
+			codec,
+			keyFrameInterval,
+			start,
+			count,
+			signal,
+			...captureOptions
+		} = options;
+		if (typeof MediaRecorder === "undefined" || !MediaRecorder.isTypeSupported(mimeType)) {
+			throw new Error(`Recording ${mimeType} is not supported`);
+		}
+
+		const frameTime = 1000 / this.timeline.fps;
+		let canvas = null;
+		let track = null;
+		let recorder = null;
+		let stopped = null;
+		const chunks = [];
+		let next = 0;
+
+		try {
+			await this._forEachFrame(options, async () => {
+				const { width, height, data } = this.capture.capture(scene, camera, captureOptions);
+				if (!canvas) {
+					canvas = Object.assign(document.createElement("canvas"), { width, height });
+					const stream = canvas.captureStream(0);
+					track = stream.getVideoTracks()[0];
+					recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+					recorder.ondataavailable = (event) => {
+						if (event.data.size > 0) chunks.push(event.data);
+					};
+					stopped = new Promise((resolve) => (recorder.onstop = resolve));
+					recorder.start();
+					next = performance.now();
+				}
+
+				canvas.getContext("2d").putImageData(new ImageData(data, width, height), 0, 0);
+				track.requestFrame();
+				next += frameTime;
+				await wait(next - performance.now());
+			});
+		} finally {
+			if (recorder) {
+				recorder.stop();
+				await stopped;
+			}
+		}
+		return new Blob(chunks, { type: mimeType });
+	}
+
+	dispose() {
+		this.capture.dispose();
+	}
+
+	// Sets the timeline to each frame in turn, restoring it at the end
+	async _forEachFrame({ start = 0, count, signal }, callback) {
+		const timeline = this.timeline;
+		const frames = count !== undefined ? count : timeline.frameCount || timeline.fps;
+		const frame = timeline.frame;
+		try {
+			for (let i = 0; i < frames; i++) {
+				if (signal && signal.aborted) throw signal.reason;
+				timeline.setFrame(start + i);
+				await callback(start + i);
+			}
+		} finally {
+			timeline.setFrame(frame);
+		}
+	}
+}
+
+function wait(milliseconds) {
+	return new Promise((resolve) => setTimeout(resolve, Math.max(0, milliseconds)));
+}
@@ -1,108 +1,191 @@
 import * as THREE from "three";
 import fragmentShader from "./fragment.glsl?raw";
 import vertexShader from "./vertex.glsl?raw";
+import "./wireframeShaderChunks.js";
 import {
-	addBarycentricCoordinates,
-	unindexBufferGeometry,
+	buildWireframeGeometry,
+	computeRevealRange,
+	deserializeGeometry,
+	resolveGeometryOptions,
+	resolveIndexedLayout,
+	serializeGeometry,
 } from "./wireframeGeomtryUtils.js";
+import {
+	EDGE_STYLE_DEFAULTS,
+	addEdgeStyles,
+	setEdgeStyle,
+	setEdgeStyles,
+	warnMissingEdgeStyles,
+} from "./wireframeEdgeStyles.js";
+import {
+	INSTANCE_STYLE_DEFAULTS,
+	setInstanceStyle,
+} from "./wireframeInstancing.js";
+import {
+	DASH_PATTERNS,
+	WIREFRAME_FEATURES,
+	createHiddenLineUniforms,
+	createPickingUniforms,
+	createWireframeUniforms,
+	getWireframeDefaults,
+	getWireframeDefines,
+	resolveDashPattern,
+} from "./wireframeStyle.js";
+import { applyWireframePreset, createWireframePreset } from "./wireframePresets.js";
+
+export {
+	DASH_PATTERNS,
+	WIREFRAME_FEATURES,
+	createWireframeUniforms,
+	getWireframeDefaults,
+	getWireframeDefines,
+	resolveDashPattern,
+};
 
 export class WireframeMaterial extends THREE.ShaderMaterial {
 	constructor(options = {}) {
 		const defaults = {
-			fill: new THREE.Color("#ffffff"),
-			stroke: new THREE.Color("#000000"),
-			thickness: 0.01,
-			seeThrough: false,
-			dashEnabled: false,
-			dashRepeats: 2.0,
-			dashLength: 0.55,
-			dashAnimate: false,
-			dashOverlap: false,
-			noiseA: false,
-			noiseB: false,
-			noiseAIntensity: 5.15,
-			noiseBIntensity: 10.12,
-			dualStroke: false,
-			dualThickness: 0.05,
-			squeeze: false,
-			squeezeMin: 0.1,
-			squeezeMax: 1.0,
-			insideAltColor: true,
-			depthFade: true,
-			depthFadeNear: 1.0,
-			depthFadeFar: 20.0,
-			depthFadeMin: 0.1,
+			...getWireframeDefaults(),
+			shading: "flat",
+			roughness: 0.5,
+			metalness: 0.0,
+			envMap: null,
+			envMapIntensity: 1.0,
+			fog: true,
 		};
 
 		const settings = { ...defaults, ...options };
 
-		// Generate defines based on enabled features
-		const defines = {};
-		if (settings.noiseA) defines["NOISE_A_ENABLED"] = "";
-		if (settings.noiseB) defines["NOISE_B_ENABLED"] = "";
-		if (settings.depthFade) defines["DEPTH_FADE_ENABLED"] = "";
-		if (settings.squeeze) defines["SQUEEZE_ENABLED"] = "";
-		if (settings.dashEnabled) {
-			defines["DASH_ENABLED"] = "";
-			if (settings.dashAnimate) defines["DASH_ANIMATE"] = "";
-			if (settings.dashOverlap) defines["DASH_OVERLAP"] = "";
-		}
-		if (settings.dualStroke) defines["DUAL_STROKE_ENABLED"] = "";
-		if (settings.seeThrough) {
-			defines["SEE_THROUGH"] = "";
-			if (settings.insideAltColor) defines["INSIDE_ALT_COLOR"] = "";
-		}
-
 		const uniforms = {
-			time: { value: 0 },
-			fill: { value: settings.fill },
-			stroke: { value: settings.stroke },
-			thickness: { value: settings.thickness },
-			seeThrough: { value: settings.seeThrough },
-			dashEnabled: { value: settings.dashEnabled },
-			dashRepeats: { value: settings.dashRepeats },
-			dashLength: { value: settings.dashLength },
-			dashAnimate: { value: settings.dashAnimate },
-			noiseA: { value: settings.noiseA },
-			noiseB: { value: settings.noiseB },
-			noiseAIntensity: { value: settings.noiseAIntensity },
-			noiseBIntensity: { value: settings.noiseBIntensity },
-			dualStroke: { value: settings.dualStroke },
-			dualThickness: { value: settings.dualThickness },
-			squeeze: { value: settings.squeeze },
-			squeezeMin: { value: settings.squeezeMin },
-			squeezeMax: { value: settings.squeezeMax },
-			dashOverlap: { value: settings.dashOverlap },
-			insideAltColor: { value: settings.insideAltColor },
-			depthFade: { value: settings.depthFade },
-			depthFadeNear: { value: settings.depthFadeNear },
-			depthFadeFar: { value: settings.depthFadeFar },
-			depthFadeMin: { value: settings.depthFadeMin },
+			...createWireframeUniforms(settings),
+			...createHiddenLineUniforms(settings),
+			...createPickingUniforms(settings),
+			roughness: { value: settings.roughness },
+			metalness: { value: settings.metalness },
+			envMap: { value: null },
+			envMapIntensity: { value: settings.envMapIntensity },
+			envMapRotation: { value: new THREE.Matrix3() },
+			flipEnvMap: { value: 1 },
+			// light uniforms are always present so shading can change at runtime
+			...THREE.UniformsUtils.clone(THREE.UniformsLib.lights),
+			...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
 		};
 
 		super({
 			extensions: { derivatives: true },
 			transparent: true,
 			side: THREE.DoubleSide,
+			// let the renderer drive fog, clipping planes and their defines
+			// like it does for built-in materials
+			fog: settings.fog,
+			clipping: true,
 			uniforms,
 			fragmentShader,
 			vertexShader,
-			defines,
+			defines: {},
 		});
 
-		// Store feature flags for potential runtime changes
-		this.features = {
-			noiseA: settings.noiseA,
-			noiseB: settings.noiseB,
-			depthFade: settings.depthFade,
-			squeeze: settings.squeeze,
-			dashEnabled: settings.dashEnabled,
-			dashAnimate: settings.dashAnimate,
-			dashOverlap: settings.dashOverlap,
-			dualStroke: settings.dualStroke,
-			seeThrough: settings.seeThrough,
-			insideAltColor: settings.insideAltColor,
+		this.isWireframeMaterial = true;
+
+		// what the shaders read for style attributes a geometry doesn't have
+		this.defaultAttributeValues = {
+			...this.defaultAttributeValues,
+			...INSTANCE_STYLE_DEFAULTS,
+			...EDGE_STYLE_DEFAULTS,
 		};
+
+		// Environment map requested for physical shading. The texture the
+		// renderer sees (this.envMap) is its PMREM version, resolved per frame
+		// in onBeforeRender so scene.environment works as a fallback.
+		this.envMapSource = settings.envMap;
+		this.envMap = null;
+
+		// Store feature flags for potential runtime changes
+		this.features = {};
+		WIREFRAME_FEATURES.forEach((name) => {
+			this.features[name] = settings[name];
+		});
+		this.features.shading = settings.shading;
+		this.dashPattern = settings.dashPattern;
+		this.features.dashPatternType = resolveDashPattern(
+			settings.dashPattern
+		).type;
+
+		// see updateFeaturesAsync
+		this._pendingFeatures = null;
+		this._retiredVariant = null;
+
+		this._updateDefines();
+	}
+
+	copy(source) {
+		super.copy(source);
+		this.envMapSource = source.envMapSource;
+		this.envMap = source.envMap;
+		this.features = { ...source.features };
+		this.dashPattern = source.dashPattern;
+		return this;
+	}
+
+	// Resolves the environment map for physical shading and the object id
+	// for highlights before each draw, and starts compiling a variant
+	// requested by updateFeaturesAsync
+	onBeforeRender(renderer, scene, camera, geometry, object) {
+		const pending = this._pendingFeatures;
+		if (pending && !pending.compiling) {
+			pending.compiling = true;
+			// the renderer is busy with this frame, compile right after it
+			queueMicrotask(() => this._compileVariant(pending, renderer, scene, camera));
+		}
+		if (this._retiredVariant) {
+			// this frame's draws take the programs over from the compiled variant
+			const variant = this._retiredVariant;
+			this._retiredVariant = null;
+			queueMicrotask(() => variant.dispose());
+		}
+
+		if (this.features.edgeStyles) warnMissingEdgeStyles(geometry);
+		if (this.features.highlight || this.features.picking) {
+			// shared by every object using this material, so upload per draw
+			this.uniforms.wireframeObjectId.value = object.id + 1;
+			this.uniformsNeedUpdate = true;
+		}
+
+		let envMap = null;
+		if (this.features.shading === "physical") {
+			envMap = getPMREMTexture(
+				renderer,
+				this.envMapSource || scene.environment
+			);
+		}
+		if (this.envMap !== envMap) {
+			this.envMap = envMap;
+			this.uniforms.envMap.value = envMap;
+			this.needsUpdate = true;
+		}
+	}
+
+	// Set the environment map used by physical shading (null = scene.environment)
+	setEnvMap(texture, intensity = this.uniforms.envMapIntensity.value) {
+		this.envMapSource = texture;
+		this.uniforms.envMapIntensity.value = intensity;
+	}
+
+	// Override the style of one instance of an InstancedMesh using this material
+	setInstanceStyle(mesh, index, style) {
+		setInstanceStyle(mesh, index, style);
+	}
+
+	// Override the style of the edge between source vertices a and b of a
+	// geometry prepared with edgeStyles, see wireframeEdgeStyles.js
+	setEdgeStyle(geometry, a, b, style) {
+		return setEdgeStyle(geometry, a, b, style);
+	}
+
+	// Set many edge styles at once, from a Map / object keyed by "a,b" or a
+	// callback (a, b) => style
+	setEdgeStyles(geometry, styles) {
+		setEdgeStyles(geometry, styles);
 	}
 
 	// Helper method to update time for animations
@@ -128,6 +211,16 @@ export class WireframeMaterial extends THREE.ShaderMaterial {
 		this.uniforms.dashAnimate.value = animate;
 	}
 
+	// Dash with a DASH_PATTERNS name, a dash array or a pattern texture
+	// instead of dashLength, null to go back to it
+	setDashPattern(pattern) {
+		const { type, stops, texture } = resolveDashPattern(pattern);
+		this.dashPattern = pattern;
+		this.uniforms.dashPatternStops.value = stops;
+		this.uniforms.dashPatternMap.value = texture;
+		this.updateFeature("dashPatternType", type);
+	}
+
 	// Enable/disable depth fade effect
 	enableDepthFade(enabled = true) {
 		this.uniforms.depthFade.value = enabled;
@@ -140,10 +233,25 @@ export class WireframeMaterial extends THREE.ShaderMaterial {
 		this.uniforms.depthFadeMin.value = minScale;
 	}
 
+	// Fits revealMin / revealMax to a prepared geometry, so the reveal runs
+	// over the whole mesh with the current source, center and axis
+	fitRevealRange(geometry) {
+		const { min, max } = computeRevealRange(
+			geometry,
+			this.features.revealSource,
+			this.uniforms.revealCenter.value,
+			this.uniforms.revealAxis.value
+		);
+		this.uniforms.revealMin.value = min;
+		this.uniforms.revealMax.value = max;
+	}
+
 	// Update multiple properties at once
 	updateProperties(properties) {
 		Object.entries(properties).forEach(([key, value]) => {
-			if (this.uniforms[key]) {
+			if (key === "dashPattern") {
+				this.setDashPattern(value);
+			} else if (this.uniforms[key]) {
 				this.uniforms[key].value = value;
 			}
 		});
@@ -174,6 +282,136 @@ export class WireframeMaterial extends THREE.ShaderMaterial {
 		}
 	}
 
+	// Names the shader variant, so every wireframe material with the same
+	// feature flags shares a program whatever its uniforms, and wrapping
+	// onBeforeCompile (see WireframeMaterialManager) doesn't split them
+	customProgramCacheKey() {
+		return (
+			"WireframeMaterial:" +
+			Object.keys(this.defines)
+				.sort()
+				.map((key) => key + "=" + this.defines[key])
+				.join(",")
+		);
+	}
+
+	// Like updateFeatures, but keeps drawing with the current shader variant
+	// while the renderer compiles the new one in the background, then
+	// switches. Resolves once switched, or rejects if compiling fails, when
+	// the current variant stays. Compiling starts right away given the
+	// renderer, scene and camera the material is drawn with, otherwise after
+	// the next frame drawing it. It only runs in parallel with
+	// KHR_parallel_shader_compile, elsewhere the driver may still block.
+	updateFeaturesAsync(features, renderer, scene, camera) {
+		const previous = this._pendingFeatures;
+		const pending = {
+			changes: previous ? { ...previous.changes, ...features } : { ...features },
+			requests: previous ? previous.requests : [],
+			compiling: false,
+		};
+		const changed = Object.entries(pending.changes).some(
+			([key, value]) => this.features[key] !== value
+		);
+		if (!changed) {
+			this._pendingFeatures = null;
+			pending.requests.forEach(({ resolve }) => resolve());
+			return Promise.resolve();
+		}
+		this._pendingFeatures = pending;
+		const promise = new Promise((resolve, reject) => {
+			pending.requests.push({ resolve, reject });
+		});
+		if (renderer) {
+			pending.compiling = true;
+			this._compileVariant(pending, renderer, scene, camera);
+		}
+		return promise;
+	}
+
+	// Compiles the pending variant for copies of the scene's objects using
+	// this material, with its lights and fog, and switches to it unless
+	// another request came since
+	_compileVariant(pending, renderer, scene, camera) {
+		const finish = () => {
+			this._pendingFeatures = null;
+			this.updateFeatures(pending.changes);
+			pending.requests.forEach(({ resolve }) => resolve());
+		};
+		if (typeof renderer.compileAsync !== "function") {
+			finish();
+			return;
+		}
+
+		const variant = this.clone();
+		variant.updateFeatures(pending.changes);
+		const proxies = new THREE.Group();
+		scene.traverseVisible((object) => {
+			const materials = Array.isArray(object.material)
+				? object.material
+				: [object.material];
+			if (!materials.includes(this)) return;
+			const proxy = object.clone(false);
+			proxy.material = variant;
+			proxies.add(proxy);
+		});
+		renderer.compileAsync(proxies, camera, scene).then(
+			() => {
+				if (this._pendingFeatures !== pending) {
+					variant.dispose();
+					return;
+				}
+				// disposing the variant now would drop the program with it
+				this._retiredVariant = variant;
+				finish();
+			},
+			(error) => {
+				variant.dispose();
+				// a newer request compiles a variant of its own
+				if (this._pendingFeatures !== pending) return;
+				this._pendingFeatures = null;
+				pending.requests.forEach(({ reject }) => reject(error));
+			}
+		);
+	}
+
+	// Applies a style preset, see wireframePresets.js
+	applyPreset(preset) {
+		return applyWireframePreset(this, preset);
+	}
+
+	// The current style as a preset, options are { name, userData }
+	exportPreset(options) {
+		return createWireframePreset(this, options);
+	}
+
+	// Serialized as a ShaderMaterial, which any three.js loader reads back
+	// with the same look, plus the style as a preset in userData.
+	// fromJSON, WireframeMaterialLoader and WireframeObjectLoader restore a
+	// WireframeMaterial from it.
+	toJSON(meta) {
+		const data = super.toJSON(meta);
+		data.userData = { ...data.userData, wireframePreset: this.exportPreset() };
+		return data;
+	}
+
+	// Rebuilds a material from its toJSON data, with the textures of
+	// MaterialLoader.setTextures
+	static fromJSON(json, textures = {}) {
+		const loaded = new THREE.MaterialLoader().setTextures(textures).parse(json);
+		const material = new WireframeMaterial();
+		THREE.Material.prototype.copy.call(material, loaded);
+		material.uuid = loaded.uuid;
+		const preset = material.userData.wireframePreset;
+		delete material.userData.wireframePreset;
+		if (preset) material.applyPreset(preset);
+		return material;
+	}
+
+	// Switch fill shading between 'flat', 'lambert' and 'physical'
+	setShading(shading) {
+		this.updateFeature("shading", shading);
+	}
+
 	// Internal method to update defines based on current features
 	_updateDefines() {
 		// Clear existing defines
@@ -182,46 +420,197 @@ export class WireframeMaterial extends THREE.ShaderMaterial {
 		});
 
 		// Regenerate defines based on current features
-		if (this.features.noiseA) this.defines["NOISE_A_ENABLED"] = "";
-		if (this.features.noiseB) this.defines["NOISE_B_ENABLED"] = "";
-		if (this.features.depthFade) this.defines["DEPTH_FADE_ENABLED"] = "";
-		if (this.features.squeeze) this.defines["SQUEEZE_ENABLED"] = "";
-		if (this.features.dashEnabled) {
-			this.defines["DASH_ENABLED"] = "";
-			if (this.features.dashAnimate) this.defines["DASH_ANIMATE"] = "";
-			if (this.features.dashOverlap) this.defines["DASH_OVERLAP"] = "";
+		Object.assign(this.defines, getWireframeDefines(this.features));
+		if (this.features.shading === "lambert") {
+			this.defines["LIT_FILL"] = "";
+			this.defines["SHADING_LAMBERT"] = "";
+		} else if (this.features.shading === "physical") {
+			this.defines["LIT_FILL"] = "";
+			this.defines["SHADING_PHYSICAL"] = "";
+			this.defines["STANDARD"] = "";
 		}
-		if (this.features.dualStroke) this.defines["DUAL_STROKE_ENABLED"] = "";
-		if (this.features.seeThrough) {
-			this.defines["SEE_THROUGH"] = "";
-			if (this.features.insideAltColor) this.defines["INSIDE_ALT_COLOR"] = "";
+
+		// lit variants need the renderer's light state
+		this.lights = this.features.shading !== "flat";
+	}
+}
+
+// PMREM versions of environment maps, shared by every lit wireframe material
+const pmremGenerators = new WeakMap();
+const pmremTargets = new WeakMap();
+
+function getPMREMTexture(renderer, texture) {
+	if (!texture) return null;
+	if (texture.mapping === THREE.CubeUVReflectionMapping) return texture;
+
+	const isEquirect =
+		texture.mapping === THREE.EquirectangularReflectionMapping ||
+		texture.mapping === THREE.EquirectangularRefractionMapping;
+	const isCube =
+		texture.isCubeTexture ||
+		texture.mapping === THREE.CubeReflectionMapping ||
+		texture.mapping === THREE.CubeRefractionMapping;
+	if (!isEquirect && !isCube) return null;
+
+	let target = pmremTargets.get(texture);
+	if (!target) {
+		// wait until the source image is loaded
+		const image = texture.image;
+		const ready = isCube
+			? image && image.length === 6 && image.every((face) => face)
+			: image && image.height > 0;
+		if (!ready) return null;
+
+		let generator = pmremGenerators.get(renderer);
+		if (!generator) {
+			generator = new THREE.PMREMGenerator(renderer);
+			pmremGenerators.set(renderer, generator);
 		}
+		target = isCube
+			? generator.fromCubemap(texture)
+			: generator.fromEquirectangular(texture);
+		pmremTargets.set(texture, target);
+		texture.addEventListener("dispose", () => {
+			target.dispose();
+			pmremTargets.delete(texture);
+		});
 	}
+	return target.texture;
 }
 
-// Helper function to prepare geometry for wireframe rendering
-export function prepareWireframeGeometry(geometry, edgeRemoval = true) {
+// Helper function to prepare geometry for wireframe rendering.
+// Options: { edgeMode: 'all' | 'quads' | 'creases', creaseAngle, quadAngle,
+// seams, flatNormals, edgeHeights, arcLengths: false | 'edges' | 'chains',
+// chainAngle, edgeStyles, indexed, polygonIds, reveal, revealStart }. A
+// boolean is still accepted for the old `edgeRemoval` flag.
+// 'quads' hides the inner edges of the source polygons when the geometry
+// has polygon ids, from the `polygonIds` option or userData.polygonIds as
+// set by the loaders in wireframeLoaders.js, and guesses quads otherwise.
+// edgeHeights bakes the data used by the 'world' and 'uv' widthUnits and
+// arcLengths the data used by the 'world' dashUnits, turn them off to save
+// memory when they are not used.
+// edgeStyles bakes per-edge stroke / thickness / visible overrides for the
+// edgeStyles material feature: true to only set them later with
+// setEdgeStyle, or the initial styles as a Map / object keyed by source
+// vertex pairs "a,b", or a callback (a, b) => style.
+// reveal bakes the revealField of the 'attribute' revealSource: 'bfs' for
+// edge hops from the vertex nearest revealStart, 'triangleOrder' for the
+// order triangles come in, see addRevealField. Without it, a revealField
+// attribute the application set on the source geometry is kept.
+// indexed keeps indexed geometry indexed rather than giving every triangle
+// its own three vertices, see indexWireframeGeometry. 'auto' (the default)
+// does so when WebGL2 is available and flatNormals is off, which needs
+// un-indexed faces. The indexed layout is WebGL only, WireframeNodeMaterial
+// needs `indexed: false`, see prepareWireframeNodeGeometry.
+export function prepareWireframeGeometry(geometry, options = {}) {
+	const settings = resolveGeometryOptions(options);
 	const clonedGeometry = geometry.clone();
-	unindexBufferGeometry(clonedGeometry);
-	addBarycentricCoordinates(clonedGeometry, edgeRemoval);
+	const edgeIndex = buildWireframeGeometry(clonedGeometry, settings);
+	if (edgeIndex) addEdgeStyles(clonedGeometry, edgeIndex, settings.edgeStyles);
 	return clonedGeometry;
 }
 
-// Material manager for efficient shader variant caching
+// prepareWireframeGeometry in a Worker, so large models don't block the
+// main thread. Takes the same options plus:
+//   onProgress - called with (progress, stage) as the worker goes, progress
+//                running from 0 to 1
+//   signal     - an AbortSignal that terminates the worker and rejects
+// Resolves with the prepared geometry. The source geometry is copied, not
+// transferred, so it stays usable. edgeStyles callbacks run on the main
+// thread once the worker is done. Without Worker support (e.g. in Node) the
+// geometry is prepared synchronously.
+export function prepareWireframeGeometryAsync(geometry, options = {}) {
+	const { onProgress, signal, ...geometryOptions } = options;
+	const settings = resolveGeometryOptions(geometryOptions);
+
+	return new Promise((resolve, reject) => {
+		if (signal && signal.aborted) {
+			reject(signal.reason);
+			return;
+		}
+		if (typeof Worker === "undefined") {
+			resolve(prepareWireframeGeometry(geometry, settings));
+			return;
+		}
+
+		const worker = new Worker(
+			new URL("./wireframeGeometryWorker.js", import.meta.url),
+			{ type: "module" }
+		);
+		const finish = () => {
+			worker.terminate();
+			if (signal) signal.removeEventListener("abort", abort);
+		};
+		const abort = () => {
+			finish();
+			reject(signal.reason);
+		};
+		if (signal) signal.addEventListener("abort", abort);
+
+		worker.onmessage = ({ data: message }) => {
+			if (message.type === "progress") {
+				if (onProgress) onProgress(message.progress, message.stage);
+				return;
+			}
+			finish();
+			if (message.type === "error") {
+				reject(new Error(message.message));
+				return;
+			}
+			const prepared = deserializeGeometry(message.geometry);
+			prepared.name = geometry.name;
+			prepared.userData = geometry.userData;
+			if (message.edgeIndex) {
+				addEdgeStyles(prepared, message.edgeIndex, settings.edgeStyles);
+			}
+			resolve(prepared);
+		};
+		worker.onerror = (event) => {
+			finish();
+			reject(event.error || new Error(event.message));
+		};
+
+		const { data, transfer } = serializeGeometry(geometry);
+		worker.postMessage(
+			{
+				geometry: data,
+				// the worker can't run 'auto' detection or styling callbacks
+				options: {
+					...settings,
+					indexed: resolveIndexedLayout(geometry, settings),
+					edgeStyles: Boolean(settings.edgeStyles),
+					// userData is not sent along
+					polygonIds: settings.polygonIds || geometry.userData.polygonIds,
+				},
+			},
+			transfer
+		);
+	});
+}
+
+// Creates and keeps track of wireframe materials. Every getMaterial() /
+// acquire() call gets a material of its own, so colors, thickness and other
+// uniforms are never shared by accident, while materials with the same
+// feature flags share one compiled program through customProgramCacheKey.
+// Materials are reference counted: acquire() takes a reference, release()
+// drops one and disposes the material with the last one.
 export class WireframeMaterialManager {
 	constructor() {
-		this.materialCache = new Map();
+		// material -> references
+		this.materials = new Map();
+		// { variant, time } of every program compiled for a draw, in ms
+		this.compileTimings = [];
+		// { variants, time } of every prewarm() call, in ms
+		this.prewarmTimings = [];
+		// materials holding on to the prewarmed programs
+		this._prewarmed = [];
+		this._renderers = new Set();
+		this._draws = new WeakMap();
 	}
 
-	// Get a material with specific features, using cache when possible
+	// A new material from options, holding one reference
 	getMaterial(options = {}) {
-		const cacheKey = this._createCacheKey(options);
-
-		if (!this.materialCache.has(cacheKey)) {
-			this.materialCache.set(cacheKey, new WireframeMaterial(options));
-		}
-
-		return this.materialCache.get(cacheKey);
+		return this.acquire(options);
 	}
 
 	// Create a basic wireframe material (most optimized)
@@ -255,40 +644,175 @@ export class WireframeMaterialManager {
 		});
 	}
 
-	// Clear cache (useful for memory management)
-	clearCache() {
-		this.materialCache.forEach((material) => {
-			material.dispose();
+	// Takes one more reference to a material of this manager, or creates a
+	// material from options. Materials made elsewhere are taken over.
+	acquire(materialOrOptions = {}) {
+		const references = this.materials.get(materialOrOptions);
+		if (references !== undefined) {
+			this.materials.set(materialOrOptions, references + 1);
+			return materialOrOptions;
+		}
+
+		const material = materialOrOptions.isMaterial
+			? materialOrOptions
+			: new WireframeMaterial(materialOrOptions);
+		this._track(material);
+		this.materials.set(material, 1);
+		return material;
+	}
+
+	// Drops a reference to a material, disposing it once none is left.
+	// Returns the number of references left.
+	release(material) {
+		const references = this.materials.get(material);
+		if (references === undefined) return 0;
+		if (references > 1) {
+			this.materials.set(material, references - 1);
+			return references - 1;
+		}
+		this.materials.delete(material);
+		material.dispose();
+		return 0;
+	}
+
+	// Compiles variants of the manager's materials used in a scene ahead of
+	// time, e.g. the ones GUI toggles switch between, so switching to them
+	// later doesn't stall a frame. `variants` lists feature overrides, like
+	// [{ dashEnabled: true }, { noiseA: false }], each compiled for every
+	// managed material of the scene and the meshes using it. Uses
+	// renderer.compileAsync, which waits on KHR_parallel_shader_compile where
+	// available. The programs are kept until clearCache(). Resolves with the
+	// time taken in ms.
+	prewarm(renderer, scene, camera, variants) {
+		const proxies = new THREE.Group();
+		const copies = new Map();
+		scene.traverse((object) => {
+			if (!object.material) return;
+			const materials = Array.isArray(object.material)
+				? object.material
+				: [object.material];
+			materials.forEach((material) => {
+				if (!this.materials.has(material)) return;
+				if (!copies.has(material)) {
+					copies.set(
+						material,
+						variants.map((features) => {
+							const copy = material.clone();
+							copy.updateFeatures(features);
+							return copy;
+						})
+					);
+				}
+				copies.get(material).forEach((copy) => {
+					const proxy = object.clone(false);
+					proxy.material = copy;
+					proxies.add(proxy);
+				});
+			});
+		});
+		copies.forEach((list) => this._prewarmed.push(...list));
+		this._renderers.add(renderer);
+
+		if (proxies.children.length === 0 || typeof renderer.compileAsync !== "function") {
+			return Promise.resolve(0);
+		}
+		const start = performance.now();
+		return renderer.compileAsync(proxies, camera, scene).then(() => {
+			const time = performance.now() - start;
+			this.prewarmTimings.push({ variants: variants.length, time });
+			return time;
 		});
-		this.materialCache.clear();
+	}
+
+	// Forgets the compile timings and frees the prewarmed programs. Materials
+	// are no longer disposed here, as they may still be in use, release()
+	// does it with the last reference.
+	clearCache() {
+		this.compileTimings = [];
+		this.prewarmTimings = [];
+		this._prewarmed.forEach((material) => material.dispose());
+		this._prewarmed = [];
 	}
 
 	// Get cache statistics
 	getCacheStats() {
+		const variants = new Set();
+		const programs = new Set();
+		let references = 0;
+		this.materials.forEach((count, material) => {
+			references += count;
+			variants.add(material.customProgramCacheKey());
+		});
+		[...this.materials.keys(), ...this._prewarmed].forEach((material) => {
+			this._renderers.forEach((renderer) => {
+				if (!renderer.properties.has(material)) return;
+				const materialPrograms = renderer.properties.get(material).programs;
+				if (materialPrograms) materialPrograms.forEach((program) => programs.add(program));
+			});
+		});
+
+		const times = this.compileTimings.map(({ time }) => time);
+		const totalCompileTime = times.reduce((sum, time) => sum + time, 0);
 		return {
-			cachedVariants: this.materialCache.size,
-			memoryEstimate: this.materialCache.size * 0.1 + " MB (approximate)",
+			instancesAlive: this.materials.size,
+			references,
+			variants: variants.size,
+			programsCompiled: programs.size,
+			compiles: times.length,
+			totalCompileTime,
+			averageCompileTime: times.length > 0 ? totalCompileTime / times.length : 0,
+			maxCompileTime: times.length > 0 ? Math.max(...times) : 0,
+			prewarmedVariants: this._prewarmed.length,
+			prewarmTime: this.prewarmTimings.reduce((sum, { time }) => sum + time, 0),
 		};
 	}
 
-	// Private method to create cache key from options
-	_createCacheKey(options) {
-		const features = {
-			noiseA: options.noiseA || false,
-			noiseB: options.noiseB || false,
-			depthFade: options.depthFade || false,
-			squeeze: options.squeeze || false,
-			dashEnabled: options.dashEnabled || false,
-			dashAnimate: options.dashAnimate || false,
-			dashOverlap: options.dashOverlap || false,
-			dualStroke: options.dualStroke || false,
-			seeThrough: options.seeThrough || false,
-			insideAltColor: options.insideAltColor || false,
+	// Times the programs compiled for the manager's materials, from
+	// onBeforeCompile to the end of the draw that needed them, which is where
+	// the renderer waits for the driver
+	_track(material) {
+		const manager = this;
+		const onBeforeRender = material.onBeforeRender;
+		const onBeforeCompile = material.onBeforeCompile;
+
+		material.onBeforeRender = function (renderer, scene, camera, geometry, object, group) {
+			const { frame, calls } = renderer.info.render;
+			manager._draws.set(this, { object, frame, calls });
+			onBeforeRender.call(this, renderer, scene, camera, geometry, object, group);
 		};
+		material.onBeforeCompile = function (parameters, renderer) {
+			onBeforeCompile.call(this, parameters, renderer);
+			manager._renderers.add(renderer);
 
-		return Object.keys(features)
-			.sort()
-			.map((key) => `${key}:${features[key]}`)
-			.join("|");
+			// renderer.compile() has no draw to wait for, so isn't timed
+			const draw = manager._draws.get(this);
+			const { frame, calls } = renderer.info.render;
+			if (!draw || draw.frame !== frame || draw.calls !== calls) return;
+			manager._draws.delete(this);
+
+			const programCount = renderer.info.programs.length;
+			const variant = this.customProgramCacheKey();
+			const start = performance.now();
+			afterDraw(draw.object, () => {
+				// a program another material already compiled costs nothing
+				if (renderer.info.programs.length <= programCount) return;
+				manager.compileTimings.push({ variant, time: performance.now() - start });
+			});
+		};
 	}
 }
+
+// Calls back once, after the next draw of an object
+function afterDraw(object, callback) {
+	const hasOwn = Object.prototype.hasOwnProperty.call(object, "onAfterRender");
+	const onAfterRender = object.onAfterRender;
+	object.onAfterRender = function (...args) {
+		if (hasOwn) {
+			object.onAfterRender = onAfterRender;
+		} else {
+			delete object.onAfterRender;
+		}
+		callback();
+		onAfterRender.apply(this, args);
+	};
+}
@@ -0,0 +1,742 @@
+import { DoubleSide, InstancedInterleavedBuffer, NodeMaterial } from "three/webgpu";
+import {
+	Discard,
+	Fn,
+	PI,
+	abs,
+	attribute,
+	buffer,
+	cameraPosition,
+	clamp,
+	distance,
+	dot,
+	float,
+	floor,
+	fract,
+	frontFacing,
+	fwidth,
+	instanceIndex,
+	instancedBufferAttribute,
+	length,
+	mat4,
+	max,
+	min,
+	mix,
+	normalize,
+	modelWorldMatrix,
+	positionGeometry,
+	positionWorld,
+	select,
+	sRGBTransferEOTF,
+	sin,
+	smoothstep,
+	step,
+	texture,
+	uniform,
+	uniformArray,
+	varying,
+	vec2,
+	vec3,
+	vec4,
+} from "three/tsl";
+import { prepareWireframeGeometry } from "./WireframeMaterial.js";
+import { setEdgeStyle, setEdgeStyles } from "./wireframeEdgeStyles.js";
+import { computeRevealRange } from "./wireframeGeomtryUtils.js";
+import { setInstanceStyle } from "./wireframeInstancing.js";
+import {
+	DASH_PATTERN_STOPS,
+	WIREFRAME_FEATURES,
+	createWireframeUniforms,
+	getWireframeDefaults,
+	resolveDashPattern,
+} from "./wireframeStyle.js";
+import { applyWireframePreset, createWireframePreset } from "./wireframePresets.js";
+
+// TSL version of WireframeMaterial for WebGPURenderer. Takes the same style
+// options, exposes the same uniforms / features / helpers and renders
+// geometry prepared in the un-indexed layout, by prepareWireframeNodeGeometry
+// or with `indexed: false`: the indexed layout relies on WebGL's flat
+// varyings, and drawing it throws. Feature flags pick which nodes are built,
+// like the shader defines do for WireframeMaterial.
+// The fill is always flat: `shading` and the env map options are ignored,
+// and so are `hiddenLines` and `highlight`, as HiddenLineRenderer and
+// WireframePicker only support WebGL.
+export class WireframeNodeMaterial extends NodeMaterial {
+	static get type() {
+		return "WireframeNodeMaterial";
+	}
+
+	constructor(options = {}) {
+		super();
+
+		this.isWireframeNodeMaterial = true;
+
+		const settings = { ...getWireframeDefaults(), fog: true, ...options };
+
+		this.transparent = true;
+		this.side = DoubleSide;
+		this.fog = settings.fog;
+		this.lights = false;
+
+		// Same names as WireframeMaterial.uniforms, backed by uniform nodes.
+		// The dash pattern uses an array and a texture node instead.
+		this.uniforms = {};
+		Object.entries(createWireframeUniforms(settings)).forEach(
+			([name, { value }]) => {
+				if (name === "dashPatternStops" || name === "dashPatternMap") return;
+				this.uniforms[name] = uniform(value);
+			}
+		);
+		const dashPattern = resolveDashPattern(settings.dashPattern);
+		this.uniforms.dashPatternStops = uniformArray(dashPattern.stops, "float");
+		this.uniforms.dashPatternMap = texture(dashPattern.texture || undefined);
+
+		// Store feature flags for potential runtime changes
+		this.features = {};
+		WIREFRAME_FEATURES.forEach((name) => {
+			this.features[name] = settings[name];
+		});
+		this.dashPattern = settings.dashPattern;
+		this.features.dashPatternType = dashPattern.type;
+
+		this._updateNodes();
+	}
+
+	// Override the style of the edge between source vertices a and b of a
+	// geometry prepared with edgeStyles
+	setEdgeStyle(geometry, a, b, style) {
+		return setEdgeStyle(geometry, a, b, style);
+	}
+
+	setEdgeStyles(geometry, styles) {
+		setEdgeStyles(geometry, styles);
+	}
+
+	// Helper method to update time for animations
+	updateTime(time) {
+		this.uniforms.time.value = time;
+	}
+
+	// Helper methods for common operations
+	setColors(fill, stroke) {
+		this.uniforms.fill.value.set(fill);
+		this.uniforms.stroke.value.set(stroke);
+	}
+
+	setThickness(thickness) {
+		this.uniforms.thickness.value = thickness;
+	}
+
+	enableDash(enabled = true) {
+		this.updateFeature("dashEnabled", enabled);
+	}
+
+	animateDash(animate = true) {
+		this.updateFeature("dashAnimate", animate);
+	}
+
+	// Dash with a DASH_PATTERNS name, a dash array or a pattern texture
+	// instead of dashLength, null to go back to it
+	setDashPattern(pattern) {
+		const { type, stops, texture: map } = resolveDashPattern(pattern);
+		this.dashPattern = pattern;
+		this.uniforms.dashPatternStops.array = stops;
+		if (map) this.uniforms.dashPatternMap.value = map;
+		this.updateFeature("dashPatternType", type);
+	}
+
+	// Enable/disable depth fade effect
+	enableDepthFade(enabled = true) {
+		this.updateFeature("depthFade", enabled);
+	}
+
+	// Set depth fade range
+	setDepthFadeRange(near, far, minScale = 0.1) {
+		this.uniforms.depthFadeNear.value = near;
+		this.uniforms.depthFadeFar.value = far;
+		this.uniforms.depthFadeMin.value = minScale;
+	}
+
+	// Override the style of one instance of an InstancedMesh using this material
+	setInstanceStyle(mesh, index, style) {
+		setInstanceStyle(mesh, index, style);
+	}
+
+	// Fits revealMin / revealMax to a prepared geometry, so the reveal runs
+	// over the whole mesh with the current source, center and axis
+	fitRevealRange(geometry) {
+		const { min, max } = computeRevealRange(
+			geometry,
+			this.features.revealSource,
+			this.uniforms.revealCenter.value,
+			this.uniforms.revealAxis.value
+		);
+		this.uniforms.revealMin.value = min;
+		this.uniforms.revealMax.value = max;
+	}
+
+	// Update multiple properties at once
+	updateProperties(properties) {
+		Object.entries(properties).forEach(([key, value]) => {
+			if (key === "dashPattern") {
+				this.setDashPattern(value);
+			} else if (this.uniforms[key]) {
+				this.uniforms[key].value = value;
+			}
+		});
+	}
+
+	// Update feature flags and rebuild the node graph if needed
+	updateFeature(featureName, enabled) {
+		if (this.features[featureName] !== enabled) {
+			this.features[featureName] = enabled;
+			this._updateNodes();
+			this.needsUpdate = true;
+		}
+	}
+
+	// Batch update multiple features
+	updateFeatures(features) {
+		let needsUpdate = false;
+		Object.entries(features).forEach(([key, value]) => {
+			if (this.features[key] !== value) {
+				this.features[key] = value;
+				needsUpdate = true;
+			}
+		});
+
+		if (needsUpdate) {
+			this._updateNodes();
+			this.needsUpdate = true;
+		}
+	}
+
+	// Applies a style preset, see wireframePresets.js
+	applyPreset(preset) {
+		return applyWireframePreset(this, preset);
+	}
+
+	// The current style as a preset, options are { name, userData }
+	exportPreset(options) {
+		return createWireframePreset(this, options);
+	}
+
+	// Mirrors getStyledWireframe() in wireframe_pars_fragment.glsl
+	_updateNodes() {
+		const u = this.uniforms;
+		const features = this.features;
+
+		const barycentric = Fn(({ geometry }) => {
+			if (geometry && geometry.getIndex()) {
+				throw new Error(
+					"WireframeNodeMaterial can't draw the indexed layout, prepare the geometry with prepareWireframeNodeGeometry()"
+				);
+			}
+			return attribute("barycentric", "vec3");
+		})();
+		// distance to each edge in widthUnits, see getEdgeDistance()
+		const absoluteWidth = features.widthUnits !== "screen";
+		let edgeDistance = barycentric;
+		if (features.widthUnits === "world") {
+			edgeDistance = barycentric.mul(
+				varying(attribute("edgeHeights", "vec3").mul(modelScale))
+			);
+		} else if (features.widthUnits === "uv") {
+			edgeDistance = barycentric.mul(attribute("uvEdgeHeights", "vec3"));
+		}
+		const derivatives = fwidth(edgeDistance);
+
+		// per-instance overrides, see wireframeInstancing.js
+		const instanceStroke = styleAttribute("instanceStroke", "vec4", vec4(0.0));
+		const instanceFill = styleAttribute("instanceFill", "vec4", vec4(0.0));
+		const instanceThickness = styleAttribute(
+			"instanceThickness",
+			"float",
+			float(-1.0)
+		);
+		const instanceDashPhase = styleAttribute(
+			"instanceDashPhase",
+			"float",
+			float(0.0)
+		);
+		let strokeColor = mix(u.stroke, instanceStroke.rgb, instanceStroke.a);
+		const fillColor = mix(u.fill, instanceFill.rgb, instanceFill.a);
+
+		let noiseOff = float(0.0);
+		if (features.noiseA) {
+			noiseOff = noiseOff.add(
+				timeNoise(u, positionGeometry, 0.35).mul(u.noiseAIntensity)
+			);
+		}
+		if (features.noiseB) {
+			noiseOff = noiseOff.add(
+				timeNoise(u, positionGeometry.mul(80.0), 0.5).mul(u.noiseBIntensity)
+			);
+		}
+
+		let baseThickness = vec3(
+			select(instanceThickness.lessThan(0.0), u.thickness, instanceThickness)
+		);
+
+		// per-edge overrides, see wireframeEdgeStyles.js
+		let edgeStrokes = null;
+		let edgeVisibility = null;
+		if (features.edgeStyles) {
+			edgeStrokes = styleAttribute("edgeStrokes", "vec3", vec3(-1.0));
+			const edgeThicknesses = styleAttribute(
+				"edgeThicknesses",
+				"vec3",
+				vec3(-1.0)
+			);
+			edgeVisibility = step(-1.5, edgeThicknesses);
+			baseThickness = mix(
+				baseThickness,
+				edgeThicknesses,
+				step(0.0, edgeThicknesses)
+			);
+		}
+		const wireframe = (lineWidth) =>
+			computeEdgeCoverage(
+				edgeDistance,
+				derivatives,
+				lineWidth,
+				absoluteWidth,
+				edgeVisibility
+			);
+		let thicknessFactor = float(1.0);
+		if (features.depthFade) {
+			const distanceToCamera = length(positionWorld.sub(cameraPosition));
+			const depthFactor = smoothstep(
+				u.depthFadeNear,
+				u.depthFadeFar,
+				distanceToCamera
+			);
+			thicknessFactor = mix(1.0, u.depthFadeMin, depthFactor);
+			baseThickness = baseThickness.mul(thicknessFactor);
+		}
+
+		const noisyThickness = baseThickness.add(noiseOff);
+		const coverage = wireframe(noisyThickness);
+		let edge = maxComponent(coverage);
+		if (edgeStrokes) {
+			// see getEdgeStroke()
+			const packed = select(
+				coverage.x
+					.greaterThanEqual(coverage.y)
+					.and(coverage.x.greaterThanEqual(coverage.z)),
+				edgeStrokes.x,
+				select(
+					coverage.y.greaterThanEqual(coverage.z),
+					edgeStrokes.y,
+					edgeStrokes.z
+				)
+			);
+			strokeColor = select(
+				packed.lessThan(0.0),
+				strokeColor,
+				unpackEdgeStroke(packed)
+			);
+		}
+
+		const along = max(barycentric.x, barycentric.y);
+		const positionAlong = select(
+			barycentric.y
+				.lessThan(barycentric.x)
+				.and(barycentric.y.lessThan(barycentric.z)),
+			float(1.0).sub(along),
+			along
+		);
+
+		// see getDashPosition()
+		let dashPosition = positionAlong;
+		if (features.dashUnits === "world") {
+			const arcLengths = varying(
+				attribute("arcLengths", "vec3").mul(modelScale)
+			);
+			dashPosition = select(
+				barycentric.x
+					.lessThanEqual(barycentric.y)
+					.and(barycentric.x.lessThanEqual(barycentric.z)),
+				arcLengths.x,
+				select(
+					barycentric.y.lessThanEqual(barycentric.z),
+					arcLengths.y,
+					arcLengths.z
+				)
+			);
+		}
+
+		if (features.squeeze) {
+			const squeezeFactor = mix(
+				u.squeezeMin,
+				u.squeezeMax,
+				float(1.0).sub(sin(positionAlong.mul(PI)))
+			);
+			edge = maxComponent(wireframe(noisyThickness.mul(squeezeFactor)));
+		}
+
+		// see getDrawOnMask()
+		let drawOnMask = float(1.0);
+		if (features.drawOn) {
+			const fromEnd = min(positionAlong, float(1.0).sub(positionAlong));
+			drawOnMask = select(
+				u.drawOnProgress.greaterThanEqual(1.0),
+				float(1.0),
+				select(
+					u.drawOnProgress.lessThanEqual(0.0),
+					float(0.0),
+					float(1.0).sub(aastep(u.drawOnProgress.mul(0.5), fromEnd))
+				)
+			);
+			edge = edge.mul(drawOnMask);
+		}
+
+		// see getRevealMask()
+		let strokeReveal = float(1.0);
+		let fillReveal = float(1.0);
+		if (features.reveal) {
+			const field = revealField(u, features.revealSource);
+			strokeReveal = revealMask(u, field, u.revealProgress);
+			fillReveal = revealMask(u, field, u.revealFillProgress);
+			edge = edge.mul(strokeReveal);
+		}
+
+		if (features.dashEnabled) {
+			// see getDashPhase()
+			const dashPhase = (firstDash) => {
+				let offset = float(1.0)
+					.div(u.dashRepeats)
+					.mul(firstDash)
+					.div(2.0)
+					.add(instanceDashPhase);
+				if (!features.dashOverlap) {
+					offset = offset.add(float(1.0).div(u.dashRepeats).div(2.0));
+				}
+				if (features.dashAnimate) {
+					offset = offset.add(dashAnimationOffset(u, u.dashRepeats));
+				}
+				return dashPosition.add(offset).mul(u.dashRepeats);
+			};
+
+			if (features.dashPatternType === "array") {
+				// see getDashPatternMask()
+				const stops = u.dashPatternStops;
+				const phase = dashPhase(stops.element(0));
+				const afwidth = fwidth(phase).mul(0.5);
+				const pattern = fract(phase);
+				const dashEdge = (threshold) =>
+					smoothstep(threshold.sub(afwidth), threshold.add(afwidth), pattern);
+				let mask = float(0.0);
+				for (let i = 0; i < DASH_PATTERN_STOPS; i += 2) {
+					const dashStart = i === 0 ? float(0.0) : stops.element(i - 1);
+					mask = mask.add(dashEdge(dashStart).sub(dashEdge(stops.element(i))));
+				}
+				edge = edge.mul(clamp(mask, 0.0, 1.0));
+			} else if (features.dashPatternType === "texture") {
+				const pattern = fract(dashPhase(float(0.0)));
+				edge = edge.mul(u.dashPatternMap.sample(vec2(pattern, 0.5)).r);
+			} else {
+				const pattern = fract(dashPhase(u.dashLength));
+				edge = edge.mul(float(1.0).sub(aastep(u.dashLength, pattern)));
+			}
+		}
+
+		let colorNode;
+		if (features.seeThrough) {
+			const seeThroughColor = features.insideAltColor
+				? select(frontFacing, strokeColor, fillColor)
+				: strokeColor;
+			colorNode = vec4(seeThroughColor, edge);
+		} else if (features.dualStroke) {
+			const secondWireframe = maxComponent(
+				wireframe(vec3(u.dualThickness.mul(thicknessFactor)))
+			)
+				.mul(drawOnMask)
+				.mul(strokeReveal);
+			const wireColor = mix(fillColor, strokeColor, abs(secondWireframe.sub(edge)));
+			colorNode = features.reveal
+				? revealedColor(wireColor, max(secondWireframe, edge), fillColor, fillReveal)
+				: vec4(wireColor, 1.0);
+		} else {
+			const mainStroke = mix(fillColor, strokeColor, edge);
+			colorNode = features.reveal
+				? revealedColor(mainStroke, edge, fillColor, fillReveal)
+				: vec4(mainStroke, 1.0);
+		}
+
+		this.colorNode = colorNode;
+	}
+}
+
+// prepareWireframeGeometry in the un-indexed layout WireframeNodeMaterial
+// draws, whatever `indexed` says
+export function prepareWireframeNodeGeometry(geometry, options = {}) {
+	return prepareWireframeGeometry(geometry, { ...options, indexed: false });
+}
+
+// Per-instance or per-edge override from wireframeInstancing.js and
+// wireframeEdgeStyles.js, or the "inherit" value when the geometry has no
+// such attribute. The attribute names are part of the render object's cache
+// key, so adding them rebuilds the shader.
+function styleAttribute(name, type, inherit) {
+	return Fn(({ geometry }) =>
+		geometry && geometry.hasAttribute(name) ? attribute(name, type) : inherit
+	)();
+}
+
+function aastep(threshold, dist) {
+	const afwidth = fwidth(dist).mul(0.5);
+	return smoothstep(threshold.sub(afwidth), threshold.add(afwidth), dist);
+}
+
+// Mirrors computeEdgeCoverage(): screen widths scale with the derivatives,
+// world and uv widths are absolute, and edges with a visibility of 0.0 are
+// left out
+function computeEdgeCoverage(
+	edgeDistance,
+	derivatives,
+	lineWidth,
+	absolute,
+	visibility
+) {
+	const halfWidth = lineWidth.mul(0.5);
+	const smoothed = absolute
+		? smoothstep(
+				halfWidth.sub(derivatives.mul(0.5)),
+				halfWidth.add(derivatives.mul(0.5)),
+				edgeDistance
+		  )
+		: smoothstep(
+				derivatives.mul(halfWidth.sub(0.5)),
+				derivatives.mul(halfWidth.add(0.5)),
+				edgeDistance
+		  );
+	const coverage = vec3(1.0).sub(smoothed);
+	return visibility ? coverage.mul(visibility) : coverage;
+}
+
+const maxComponent = (v) => max(max(v.x, v.y), v.z);
+
+// Decodes a 0xRRGGBB sRGB stroke, see getEdgeStroke()
+function unpackEdgeStroke(packed) {
+	const value = floor(packed.add(0.5));
+	const r = floor(value.div(65536.0));
+	const g = floor(value.div(256.0)).sub(r.mul(256.0));
+	const b = value.sub(floor(value.div(256.0)).mul(256.0));
+	return sRGBTransferEOTF(vec3(r, g, b).div(255.0));
+}
+
+// Instance matrix of an InstancedMesh, read like InstanceNode does: from a
+// uniform buffer up to 1000 instances, from instanced attributes past that.
+function instanceMatrixNode(mesh) {
+	const { count, instanceMatrix } = mesh;
+	if (count <= 1000) {
+		return buffer(instanceMatrix.array, "mat4", Math.max(count, 1)).element(instanceIndex);
+	}
+	const interleaved = new InstancedInterleavedBuffer(instanceMatrix.array, 16, 1);
+	const columns = [0, 4, 8, 12].map((offset) =>
+		instancedBufferAttribute(interleaved, "vec4", 16, offset)
+	);
+	// re-upload when instanceMatrix changes
+	columns[0].onObjectUpdate(() => {
+		interleaved.version = instanceMatrix.version;
+	});
+	return mat4(...columns);
+}
+
+// Average scale of the model matrix, times the instance matrix of
+// InstancedMesh, applied to the object space heights and arc lengths
+const modelScale = Fn(({ object }) => {
+	let matrix = modelWorldMatrix;
+	if (object && object.isInstancedMesh) {
+		matrix = matrix.mul(instanceMatrixNode(object));
+	}
+	return matrix
+		.element(0)
+		.xyz.length()
+		.add(matrix.element(1).xyz.length())
+		.add(matrix.element(2).xyz.length())
+		.div(3.0);
+})();
+
+// see getRevealField(), on the rest pose
+function revealField(u, source) {
+	let value;
+	if (source === "axis") {
+		value = dot(positionGeometry.sub(u.revealCenter), normalize(u.revealAxis));
+	} else if (source === "attribute") {
+		value = styleAttribute("revealField", "float", float(0.0));
+	} else {
+		value = distance(positionGeometry, u.revealCenter);
+	}
+	return value.sub(u.revealMin).div(max(u.revealMax.sub(u.revealMin), 1e-6));
+}
+
+// see getRevealMask()
+function revealMask(u, field, progress) {
+	const softness = max(u.revealSoftness, 1e-4);
+	const front = progress.mul(softness.add(1.0));
+	return select(
+		progress.greaterThanEqual(1.0),
+		float(1.0),
+		select(
+			progress.lessThanEqual(0.0),
+			float(0.0),
+			float(1.0).sub(smoothstep(front.sub(softness), front, field))
+		)
+	);
+}
+
+// see getRevealedColor()
+const revealedColor = Fn(([color, coverage, fillColor, fillReveal]) => {
+	const alpha = coverage.add(fillReveal.mul(float(1.0).sub(coverage)));
+	Discard(alpha.lessThan(0.001));
+	const hidden = fillColor
+		.mul(float(1.0).sub(coverage))
+		.mul(float(1.0).sub(fillReveal));
+	return vec4(color.sub(hidden).div(max(alpha, 1e-6)), alpha);
+});
+
+// Animation time within the loop, see getLoopTime()
+function loopTime(u) {
+	const loop = max(u.loopDuration, 1e-6);
+	const looped = u.time.sub(floor(u.time.div(loop)).mul(loop));
+	return select(u.loopDuration.greaterThan(0.0), looped, u.time);
+}
+
+// see getDashAnimationOffset()
+function dashAnimationOffset(u, repeats) {
+	const loop = max(u.loopDuration, 1e-6);
+	const periods = max(1.0, floor(loop.mul(repeats).mul(0.22).add(0.5)));
+	return select(
+		u.loopDuration.greaterThan(0.0),
+		loopTime(u).mul(periods).div(loop.mul(repeats)),
+		u.time.mul(0.22)
+	);
+}
+
+// see getTimeNoise(), the blend is 0 when not looping
+function timeNoise(u, position, speed) {
+	const t = loopTime(u);
+	const blend = select(
+		u.loopDuration.greaterThan(0.0),
+		t.div(max(u.loopDuration, 1e-6)),
+		float(0.0)
+	);
+	return mix(
+		simplexNoise4(vec4(position, t.mul(speed))),
+		simplexNoise4(vec4(position, t.sub(u.loopDuration).mul(speed))),
+		blend
+	);
+}
+
+// 4D simplex noise, ported from wireframe_pars_fragment.glsl
+const mod289 = (x) => x.sub(floor(x.mul(1.0 / 289.0)).mul(289.0));
+const permute = (x) => mod289(x.mul(34.0).add(1.0).mul(x));
+const taylorInvSqrt = (r) => float(1.79284291400159).sub(r.mul(0.85373472095314));
+
+const grad4 = Fn(([j, ip]) => {
+	const p = vec4(0.0).toVar();
+	p.xyz.assign(floor(fract(vec3(j).mul(ip.xyz)).mul(7.0)).mul(ip.z).sub(1.0));
+	p.w.assign(float(1.5).sub(dot(abs(p.xyz), vec3(1.0))));
+	// 1.0 where p < 0.0
+	const s = vec4(1.0).sub(step(vec4(0.0), p));
+	p.xyz.addAssign(s.xyz.mul(2.0).sub(1.0).mul(s.www));
+	return p;
+}).setLayout({
+	name: "wireframeGrad4",
+	type: "vec4",
+	inputs: [
+		{ name: "j", type: "float" },
+		{ name: "ip", type: "vec4" },
+	],
+});
+
+const simplexNoise4 = Fn(([v]) => {
+	const C = vec4(
+		0.138196601125011, // (5 - sqrt(5))/20  G4
+		0.276393202250021, // 2 * G4
+		0.414589803375032, // 3 * G4
+		-0.447213595499958 // -1 + 4 * G4
+	);
+
+	// First corner
+	const i = floor(v.add(dot(v, vec4(0.309016994374947451)))).toVar();
+	const x0 = v.sub(i).add(dot(i, C.xxxx)).toVar();
+
+	// Other corners, rank sorting by Bill Licea-Kane
+	const isX = step(x0.yzw, x0.xxx);
+	const isYZ = step(x0.zww, x0.yyz);
+	const i0 = vec4(0.0).toVar();
+	i0.x.assign(isX.x.add(isX.y).add(isX.z));
+	i0.yzw.assign(vec3(1.0).sub(isX));
+	i0.y.addAssign(isYZ.x.add(isYZ.y));
+	i0.zw.addAssign(vec2(1.0).sub(isYZ.xy));
+	i0.z.addAssign(isYZ.z);
+	i0.w.addAssign(float(1.0).sub(isYZ.z));
+
+	const i3 = clamp(i0, 0.0, 1.0).toVar();
+	const i2 = clamp(i0.sub(1.0), 0.0, 1.0).toVar();
+	const i1 = clamp(i0.sub(2.0), 0.0, 1.0).toVar();
+
+	const x1 = x0.sub(i1).add(C.xxxx);
+	const x2 = x0.sub(i2).add(C.yyyy);
+	const x3 = x0.sub(i3).add(C.zzzz);
+	const x4 = x0.add(C.wwww);
+
+	// Permutations
+	i.assign(mod289(i));
+	const j0 = permute(
+		permute(permute(permute(i.w).add(i.z)).add(i.y)).add(i.x)
+	);
+	const j1 = permute(
+		permute(
+			permute(
+				permute(i.w.add(vec4(i1.w, i2.w, i3.w, 1.0)))
+					.add(i.z)
+					.add(vec4(i1.z, i2.z, i3.z, 1.0))
+			)
+				.add(i.y)
+				.add(vec4(i1.y, i2.y, i3.y, 1.0))
+		)
+			.add(i.x)
+			.add(vec4(i1.x, i2.x, i3.x, 1.0))
+	).toVar();
+
+	// Gradients: 7x7x6 points over a cube, mapped onto a 4-cross polytope
+	const ip = vec4(1.0 / 294.0, 1.0 / 49.0, 1.0 / 7.0, 0.0);
+
+	const p0 = grad4(j0, ip).toVar();
+	const p1 = grad4(j1.x, ip).toVar();
+	const p2 = grad4(j1.y, ip).toVar();
+	const p3 = grad4(j1.z, ip).toVar();
+	const p4 = grad4(j1.w, ip).toVar();
+
+	// Normalise gradients
+	const norm = taylorInvSqrt(
+		vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3))
+	).toVar();
+	p0.mulAssign(norm.x);
+	p1.mulAssign(norm.y);
+	p2.mulAssign(norm.z);
+	p3.mulAssign(norm.w);
+	p4.mulAssign(taylorInvSqrt(dot(p4, p4)));
+
+	// Mix contributions from the five corners
+	const m0 = max(
+		vec3(0.6).sub(vec3(dot(x0, x0), dot(x1, x1), dot(x2, x2))),
+		0.0
+	).toVar();
+	const m1 = max(vec2(0.6).sub(vec2(dot(x3, x3), dot(x4, x4))), 0.0).toVar();
+	m0.assign(m0.mul(m0));
+	m1.assign(m1.mul(m1));
+	return float(49.0).mul(
+		dot(m0.mul(m0), vec3(dot(p0, x0), dot(p1, x1), dot(p2, x2))).add(
+			dot(m1.mul(m1), vec2(dot(p3, x3), dot(p4, x4)))
+		)
+	);
+}).setLayout({
+	name: "wireframeSimplexNoise4",
+	type: "float",
+	inputs: [{ name: "v", type: "vec4" }],
+});
@@ -0,0 +1,249 @@
+import * as THREE from "three";
+import { getWireframePatch } from "./applyWireframe.js";
+import { renderWith } from "./HiddenLineRenderer.js";
+import { WireframeMaterial } from "./WireframeMaterial.js";
+import {
+	edgeKey,
+	getHiddenEdgeMask,
+	getTriangleLayout,
+	indexEdges,
+} from "./wireframeGeomtryUtils.js";
+
+// GPU picking for meshes drawn with wireframe materials (WireframeMaterial
+// or patched built-in materials). pick() renders the pixel under the
+// pointer with an id-encoding variant of each material, so edges are hit
+// at their drawn width plus the material's pickPadding, and returns
+// { mesh, instanceId, triangleIndex, edgeIndex, cornerIndex, type }, or null.
+// triangleIndex counts triangles of the prepared geometry, which keeps the
+// source geometry's order, indexed or not. edgeIndex is the triangle edge
+// k, from vertex k to vertex (k + 1) % 3, or -1 on the face, and
+// cornerIndex the vertex the hit is near, or -1. Other meshes occlude but
+// are never hit.
+// Each pick() renders the scene once more and reads the pixel back, which
+// stalls until the GPU is done: pick on clicks, or for hovering save the
+// latest pointer position and pick at most once per frame in the render
+// loop, never in every pointermove handler.
+// setHighlight() shows a hit in the normal render with the hover or
+// selection color of materials using the `highlight` option.
+// WebGL only; shares layer 31 with HiddenLineRenderer.
+export class WireframePicker {
+	constructor(renderer) {
+		this.renderer = renderer;
+		this.pickTarget = new THREE.WebGLRenderTarget(1, 1, {
+			type: THREE.FloatType,
+			minFilter: THREE.NearestFilter,
+			magFilter: THREE.NearestFilter,
+		});
+		// depth only, so other meshes hide what is behind them
+		this.occluderMaterial = new THREE.MeshBasicMaterial({
+			colorWrite: false,
+			side: THREE.DoubleSide,
+		});
+		this._pixel = new Float32Array(4);
+		this._size = new THREE.Vector2();
+		this._clearColor = new THREE.Color();
+		this._pickMaterials = new WeakMap();
+		this._edgeIndices = new WeakMap();
+		this._highlighted = { hover: [], selection: [] };
+	}
+
+	// Picks at (x, y) in CSS pixels from the top left of the canvas
+	pick(scene, camera, x, y) {
+		const renderer = this.renderer;
+		const pixelRatio = renderer.getPixelRatio();
+		renderer.getSize(this._size);
+
+		// render only the pixel under the pointer, at full resolution so
+		// screen space widths and derivatives match the normal render
+		const view = camera.view && camera.view.enabled ? { ...camera.view } : null;
+		camera.setViewOffset(
+			Math.floor(this._size.x * pixelRatio),
+			Math.floor(this._size.y * pixelRatio),
+			Math.floor(x * pixelRatio),
+			Math.floor(y * pixelRatio),
+			1,
+			1
+		);
+
+		const renderTarget = renderer.getRenderTarget();
+		const background = scene.background;
+		const clearAlpha = renderer.getClearAlpha();
+		renderer.getClearColor(this._clearColor);
+		scene.background = null;
+		renderer.setClearColor(0x000000, 0);
+		renderer.setRenderTarget(this.pickTarget);
+		renderer.clear();
+
+		const swapped = [];
+		renderWith(scene, camera, (object) => object.isMesh, () => {
+			scene.traverseVisible((object) => {
+				if (!object.isMesh || !object.material) return;
+				swapped.push([object, object.material]);
+				object.material = Array.isArray(object.material)
+					? object.material.map((material) => this._getPickMaterial(material))
+					: this._getPickMaterial(object.material);
+			});
+			renderer.render(scene, camera);
+		});
+		swapped.forEach(([object, material]) => (object.material = material));
+
+		renderer.readRenderTargetPixels(this.pickTarget, 0, 0, 1, 1, this._pixel);
+		renderer.setRenderTarget(renderTarget);
+		renderer.setClearColor(this._clearColor, clearAlpha);
+		scene.background = background;
+		if (view) {
+			camera.setViewOffset(
+				view.fullWidth,
+				view.fullHeight,
+				view.offsetX,
+				view.offsetY,
+				view.width,
+				view.height
+			);
+		} else {
+			camera.clearViewOffset();
+		}
+
+		return decodePick(scene, this._pixel);
+	}
+
+	// Highlights a pick result in the 'hover' or 'selection' color of the
+	// mesh's materials, null clears it. Edges are highlighted on both
+	// triangles sharing them, and faces across hidden quad diagonals.
+	setHighlight(slot, hit) {
+		this._highlighted[slot].forEach((uniforms) => {
+			uniforms[slot + "Target"].value.set(0, 0);
+			uniforms[slot + "Parts"].value.set(-1, 0, -1, 0);
+		});
+		this._highlighted[slot] = [];
+		if (!hit) return;
+
+		const parts = this._getHighlightParts(hit);
+		const materials = Array.isArray(hit.mesh.material)
+			? hit.mesh.material
+			: [hit.mesh.material];
+		materials.forEach((material) => {
+			const style = material.isWireframeMaterial
+				? material
+				: getWireframePatch(material);
+			if (!style || !style.features.highlight) return;
+			style.uniforms[slot + "Target"].value.set(
+				hit.mesh.id + 1,
+				hit.instanceId || 0
+			);
+			style.uniforms[slot + "Parts"].value.copy(parts);
+			this._highlighted[slot].push(style.uniforms);
+		});
+	}
+
+	dispose() {
+		this.pickTarget.dispose();
+		this.occluderMaterial.dispose();
+	}
+
+	// The id-encoding variant of a wireframe material, sharing its uniforms
+	// so thickness, noise and animation match, or the occluder for others
+	_getPickMaterial(material) {
+		const style = material.isWireframeMaterial
+			? material
+			: getWireframePatch(material);
+		if (!style) return this.occluderMaterial;
+
+		let pickMaterial = this._pickMaterials.get(material);
+		if (!pickMaterial) {
+			pickMaterial = new WireframeMaterial({ fog: false });
+			Object.assign(pickMaterial.uniforms, style.uniforms);
+			pickMaterial.transparent = false;
+			this._pickMaterials.set(material, pickMaterial);
+		}
+		pickMaterial.side = material.side;
+		pickMaterial.clippingPlanes = material.clippingPlanes;
+		pickMaterial.clipIntersection = material.clipIntersection;
+		pickMaterial.updateFeatures({
+			...style.features,
+			shading: "flat",
+			hiddenLines: "off",
+			highlight: false,
+			picking: true,
+		});
+		return pickMaterial;
+	}
+
+	// (triangle, part) pairs for the highlight uniforms: the hit and the
+	// triangle across its edge, or across the hidden diagonal of its quad
+	_getHighlightParts(hit) {
+		const { triangleIndex, edgeIndex } = hit;
+		const geometry = hit.mesh.geometry;
+		const layout = getTriangleLayout(geometry);
+		const parts = new THREE.Vector4(
+			triangleIndex,
+			toShaderEdge(layout, triangleIndex, edgeIndex) + 1,
+			-1,
+			0
+		);
+
+		const edge = edgeIndex >= 0 ? edgeIndex : getHiddenEdge(geometry, triangleIndex);
+		if (edge < 0) return parts;
+
+		let edgeIndexData = this._edgeIndices.get(geometry);
+		if (!edgeIndexData) {
+			edgeIndexData = indexEdges(geometry);
+			this._edgeIndices.set(geometry, edgeIndexData);
+		}
+		const { vertices, welded, weldedCount, edges } = edgeIndexData;
+		const v0 = vertices[triangleIndex * 3 + edge];
+		const v1 = vertices[triangleIndex * 3 + ((edge + 1) % 3)];
+		const corners = edges.get(edgeKey(welded[v0], welded[v1], weldedCount)) || [];
+		const other = corners.find((corner) => Math.floor(corner / 3) !== triangleIndex);
+		if (other !== undefined) {
+			parts.z = Math.floor(other / 3);
+			parts.w = edgeIndex >= 0 ? toShaderEdge(layout, parts.z, other % 3) + 1 : 0;
+		}
+		return parts;
+	}
+}
+
+function decodePick(scene, [objectId, instance, triangle, part]) {
+	if (objectId < 0.5) return null;
+	const mesh = scene.getObjectById(Math.round(objectId) - 1);
+	if (!mesh) return null;
+
+	const code = Math.round(part);
+	const triangleIndex = Math.round(triangle);
+	const layout = getTriangleLayout(mesh.geometry);
+	const shaderEdge = (code % 4) - 1;
+	const shaderCorner = Math.floor(code / 4) - 1;
+	const edgeIndex =
+		shaderEdge < 0
+			? -1
+			: (toCorner(layout, triangleIndex, (shaderEdge + 2) % 3) + 1) % 3;
+	const cornerIndex =
+		shaderCorner < 0 ? -1 : toCorner(layout, triangleIndex, shaderCorner);
+	return {
+		mesh,
+		instanceId: mesh.isInstancedMesh ? Math.round(instance) : null,
+		triangleIndex,
+		edgeIndex,
+		cornerIndex,
+		type: cornerIndex >= 0 ? "vertex" : edgeIndex >= 0 ? "edge" : "face",
+	};
+}
+
+// The shaders number edges and corners by barycentric component, which the
+// indexed layout orders by slot rather than by corner. Edge k is opposite
+// corner (k + 2) % 3 either way.
+function toCorner(layout, triangle, component) {
+	return [0, 1, 2].find((k) => layout.component(triangle, k) === component);
+}
+
+function toShaderEdge(layout, triangle, edge) {
+	if (edge < 0) return -1;
+	return (layout.component(triangle, (edge + 2) % 3) + 1) % 3;
+}
+
+// The edge of a triangle hidden by prepareWireframeGeometry, e.g. a quad
+// diagonal, or -1
+function getHiddenEdge(geometry, triangle) {
+	const mask = getHiddenEdgeMask(geometry, triangle);
+	return mask ? Math.log2(mask & -mask) : -1;
+}
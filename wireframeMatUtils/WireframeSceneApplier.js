@@ -0,0 +1,186 @@
+import { WireframeMaterial, prepareWireframeGeometry } from "./WireframeMaterial.js";
+
+// Cache key of the material made from static options
+const OPTIONS_KEY = {};
+
+// Switches every mesh under a root to wireframe rendering and back. apply()
+// prepares each geometry with prepareWireframeGeometry and swaps the
+// materials, restore() puts the originals back, so a scene can toggle
+// between its normal and wireframe views. Unlike wireframeScene, nothing of
+// the source scene is lost.
+// Options are those of prepareWireframeGeometry plus:
+//   material - the material to use, the options of a WireframeMaterial to
+//              create, or a callback (sourceMaterial) => material | options,
+//              called once per source material
+//   filter   - (mesh) => boolean, the meshes to switch, all by default
+//   manager  - a WireframeMaterialManager to create the materials with,
+//              released back to it once no mesh uses them
+// Geometry shared by several meshes is prepared once, and geometry that is
+// already prepared is used as is, but each InstancedMesh gets geometry of
+// its own, prepared or copied from its source: instance styles are stored
+// on the geometry (see setInstanceStyle). Multi-material meshes keep their
+// groups, with every entry swapped like a single material, and
+// InstancedMesh / SkinnedMesh keep their instances and skinning. Prepared geometries and
+// created materials are counted by the meshes using them: once none is
+// left their GPU resources are freed, but they are kept to switch back
+// quickly until dispose().
+export class WireframeSceneApplier {
+	constructor(options = {}) {
+		const { material, filter, manager, ...geometryOptions } = options;
+		this.material = material;
+		this.filter = filter || null;
+		this.manager = manager || null;
+		this.geometryOptions = geometryOptions;
+		this._meshes = new Map();
+		this._geometries = new Map();
+		this._materials = new Map();
+	}
+
+	// Switches the meshes under root, skipping those already switched
+	apply(root) {
+		root.traverse((object) => {
+			if (!object.isMesh || this._meshes.has(object)) return;
+			if (this.filter && !this.filter(object)) return;
+
+			const record = {
+				geometry: object.geometry,
+				material: object.material,
+				materialKeys: [],
+			};
+			const acquire = (material) => {
+				const key = this._getMaterialKey(material);
+				record.materialKeys.push(key);
+				return this._acquireMaterial(key, material);
+			};
+			record.geometryKey = this._getGeometryKey(object);
+			object.geometry = this._acquireGeometry(record.geometryKey, object.geometry);
+			object.material = Array.isArray(object.material)
+				? object.material.map(acquire)
+				: acquire(object.material);
+			record.appliedGeometry = object.geometry;
+			record.appliedMaterial = object.material;
+			this._meshes.set(object, record);
+		});
+	}
+
+	// Puts the original geometry and material back on the meshes under root,
+	// or on every switched mesh. Geometry or materials set on a mesh since
+	// apply() are left alone.
+	restore(root) {
+		const meshes = [];
+		if (root) {
+			root.traverse((object) => {
+				if (this._meshes.has(object)) meshes.push(object);
+			});
+		} else {
+			meshes.push(...this._meshes.keys());
+		}
+
+		meshes.forEach((mesh) => {
+			const record = this._meshes.get(mesh);
+			this._meshes.delete(mesh);
+			if (mesh.geometry === record.appliedGeometry) mesh.geometry = record.geometry;
+			if (mesh.material === record.appliedMaterial) mesh.material = record.material;
+			this._releaseGeometry(record.geometryKey);
+			record.materialKeys.forEach((key) => this._releaseMaterial(key));
+		});
+	}
+
+	// Switches the meshes under root to wireframe or back
+	setEnabled(root, enabled) {
+		if (enabled) {
+			this.apply(root);
+		} else {
+			this.restore(root);
+		}
+	}
+
+	isApplied(mesh) {
+		return this._meshes.has(mesh);
+	}
+
+	// Restores every mesh and disposes the prepared geometries and the
+	// materials created here. Materials passed in are left to their owner.
+	dispose() {
+		this.restore();
+		this._geometries.forEach((entry) => {
+			if (entry.owned) entry.geometry.dispose();
+		});
+		this._materials.forEach((entry) => {
+			if (entry.owned) entry.material.dispose();
+		});
+		this._geometries.clear();
+		this._materials.clear();
+	}
+
+	// Meshes share the geometry prepared from the same source, instanced
+	// meshes each keep their own to hold their instance styles
+	_getGeometryKey(mesh) {
+		return mesh.isInstancedMesh ? mesh : mesh.geometry;
+	}
+
+	_acquireGeometry(key, source) {
+		let entry = this._geometries.get(key);
+		if (!entry) {
+			// both layouts have barycentric coordinates
+			const prepared = Boolean(source.getAttribute("barycentric"));
+			let geometry = source;
+			if (!prepared) {
+				geometry = prepareWireframeGeometry(source, this.geometryOptions);
+			} else if (key !== source) {
+				// the copy keeps the instance styles set so far
+				geometry = source.clone();
+			}
+			entry = { geometry, owned: geometry !== source, users: 0 };
+			this._geometries.set(key, entry);
+		}
+		entry.users++;
+		return entry.geometry;
+	}
+
+	_releaseGeometry(key) {
+		const entry = this._geometries.get(key);
+		if (!entry) return;
+		entry.users--;
+		// frees the GPU buffers only, the arrays stay for the next apply()
+		if (entry.users === 0 && entry.owned) entry.geometry.dispose();
+	}
+
+	// Callbacks give one material per source material, static options one
+	// for the whole scene
+	_getMaterialKey(source) {
+		return typeof this.material === "function" ? source : OPTIONS_KEY;
+	}
+
+	_acquireMaterial(key, source) {
+		let entry = this._materials.get(key);
+		if (!entry) {
+			let material = this.material;
+			if (typeof material === "function") material = material(source);
+			const owned = !(material && material.isMaterial);
+			if (owned) {
+				material = this.manager
+					? this.manager.acquire(material)
+					: new WireframeMaterial(material);
+			}
+			entry = { material, owned, users: 0 };
+			this._materials.set(key, entry);
+		}
+		entry.users++;
+		return entry.material;
+	}
+
+	_releaseMaterial(key) {
+		const entry = this._materials.get(key);
+		if (!entry) return;
+		entry.users--;
+		if (entry.users > 0 || !entry.owned) return;
+		if (this.manager) {
+			this.manager.release(entry.material);
+			this._materials.delete(key);
+		} else {
+			// the material can still be used again, three recompiles it on demand
+			entry.material.dispose();
+		}
+	}
+}
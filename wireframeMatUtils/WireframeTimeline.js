@@ -0,0 +1,101 @@
+import { getWireframePatch } from "./applyWireframe.js";
+import { DASH_SPEED } from "./wireframeStyle.js";
+
+// Drives the `time` of wireframe materials from a fixed-step clock, so
+// animated dashes and noise come out the same on every run. Time moves in
+// whole frames of 1 / fps seconds: setFrame() jumps to a frame, update()
+// advances by elapsed real time for live playback.
+// With a loopDuration the materials repeat every loopDuration seconds:
+// dashes move a whole number of periods per loop and noise fades back into
+// its start, see getTimeNoise in wireframe_pars_fragment.glsl. Loops last a
+// whole number of frames, frameCount of them, so a sequence of frameCount
+// frames plays as a seamless GIF or video loop.
+// Options: fps (60), loopDuration (0, no loop) and materials, which take
+// WireframeMaterial, WireframeNodeMaterial or patched built-in materials.
+export class WireframeTimeline {
+	constructor(options = {}) {
+		this.fps = options.fps || 60;
+		this.frame = 0;
+		this.materials = new Set();
+		this._elapsed = 0;
+		this.setLoopDuration(options.loopDuration || 0);
+		(options.materials || []).forEach((material) => this.add(material));
+	}
+
+	// Seconds of the current frame, within the loop when looping
+	get time() {
+		const frameCount = this.frameCount;
+		const frame = frameCount > 0 ? this.frame % frameCount : this.frame;
+		return frame / this.fps;
+	}
+
+	// Frames of one loop, 0 when not looping
+	get frameCount() {
+		return Math.round(this.loopDuration * this.fps);
+	}
+
+	add(material) {
+		const style = getWireframePatch(material) || material;
+		this.materials.add(style);
+		this._updateMaterial(style);
+	}
+
+	remove(material) {
+		this.materials.delete(getWireframePatch(material) || material);
+	}
+
+	// Adds the wireframe materials of every mesh under an object
+	addObject(object) {
+		object.traverse((child) => {
+			if (!child.isMesh) return;
+			const materials = Array.isArray(child.material) ? child.material : [child.material];
+			materials.forEach((material) => {
+				if (!material) return;
+				if (
+					material.isWireframeMaterial ||
+					material.isWireframeNodeMaterial ||
+					getWireframePatch(material)
+				) {
+					this.add(material);
+				}
+			});
+		});
+	}
+
+	// Loop length in seconds, rounded to whole frames, 0 to stop looping
+	setLoopDuration(duration) {
+		this.loopDuration = duration > 0 ? Math.max(1, Math.round(duration * this.fps)) / this.fps : 0;
+		this.materials.forEach((material) => this._updateMaterial(material));
+	}
+
+	setFrame(frame) {
+		this.frame = frame;
+		this._elapsed = frame / this.fps;
+		this.materials.forEach((material) => this._updateMaterial(material));
+	}
+
+	step(frames = 1) {
+		this.setFrame(this.frame + frames);
+	}
+
+	// Advances by delta seconds of real time, e.g. THREE.Clock's getDelta(),
+	// to the last whole frame reached
+	update(delta) {
+		const elapsed = this._elapsed + delta;
+		this.setFrame(Math.floor(elapsed * this.fps + 1e-6));
+		this._elapsed = elapsed;
+	}
+
+	_updateMaterial(material) {
+		material.updateTime(this.time);
+		material.uniforms.loopDuration.value = this.loopDuration;
+	}
+}
+
+// Shortest loop, of at least minDuration seconds, over which dashes of
+// `repeats` periods move a whole number of periods at their usual speed, so
+// looping doesn't change it
+export function getDashLoopDuration(repeats, minDuration = 0) {
+	const periods = Math.max(1, Math.ceil(minDuration * DASH_SPEED * repeats - 1e-9));
+	return periods / (DASH_SPEED * repeats);
+}
@@ -0,0 +1,842 @@
+import * as THREE from "three";
+import { getWireframePatch } from "./applyWireframe.js";
+import { getTriangleEdgeStyle } from "./wireframeEdgeStyles.js";
+import {
+	edgeKey,
+	getEdgeArcLengths,
+	getHiddenEdgeMask,
+	getTriangleLayout,
+	indexEdges,
+} from "./wireframeGeomtryUtils.js";
+import { getInstanceStyle } from "./wireframeInstancing.js";
+import { getDashAnimationOffset } from "./wireframeStyle.js";
+
+// Screen grid cell, in pixels, bucketing occluders for the occlusion test
+const GRID_CELL = 32;
+// Bisection steps placing the ends of occluded runs
+const REFINE_STEPS = 6;
+// Runs shorter than this, in pixels, are dropped, e.g. where an edge
+// passes behind a silhouette corner
+const MIN_RUN_LENGTH = 0.5;
+// Most pieces a run is split into for widths and dashes varying along it
+const MAX_PIECES = 32;
+
+// Paint order: occluded strokes, then strokes of back faces, then front
+// faces. Within each, dual strokes draw under the main stroke.
+const LAYER_HIDDEN = 0;
+const LAYER_BACK = 2;
+const LAYER_FRONT = 4;
+
+const _position = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+const _instanceMatrix = new THREE.Matrix4();
+const _color = new THREE.Color();
+const _ab = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+
+// Exports what wireframe materials draw as resolution-independent vector
+// strokes, for print and plotters. Runs on the CPU without a renderer: the
+// visible edges of every mesh drawn with WireframeMaterial or a patched
+// material (see applyWireframe) are projected with the camera, cut where
+// other meshes occlude them, and written as SVG paths or a PDF page.
+// Options:
+//   width, height  - page size in pixels, screen widths are measured in them
+//   background     - page color, none by default
+//   precision      - decimals of the coordinates
+//   sampleSpacing  - pixels between occlusion tests along an edge
+//   widthTolerance - relative width change, from depth fade and perspective,
+//                    that splits an edge into pieces of their own width
+//   occlusion      - false to keep occluded edges
+// Edges follow the prepared geometry: edges hidden by edge removal, edge
+// styles and instance styles are honoured. Strokes map thickness (in any
+// widthUnits), depth fade, colors, dashes and dash arrays, dual strokes,
+// draw-on, reveal, see-through back faces and dashed or faded hidden lines
+// to stroke attributes. Noise, squeeze and dash pattern textures have no
+// vector equivalent and are left out, and faces occlude whatever their
+// revealed fill. The camera's aspect should match the page.
+export class WireframeVectorExporter {
+	constructor(options = {}) {
+		this.width = options.width || 1024;
+		this.height = options.height || 1024;
+		this.background =
+			options.background !== undefined && options.background !== null
+				? new THREE.Color(options.background)
+				: null;
+		this.precision = options.precision !== undefined ? options.precision : 2;
+		this.sampleSpacing = options.sampleSpacing || 2;
+		this.widthTolerance = options.widthTolerance || 0.1;
+		this.occlusion = options.occlusion !== false;
+	}
+
+	setSize(width, height) {
+		this.width = width;
+		this.height = height;
+	}
+
+	// The strokes to draw, in paint order: straight segments
+	// { x0, y0, x1, y1, color, width, opacity, dashArray, dashOffset, layer }
+	// in pixels from the top left, colors as "#rrggbb", dashArray null for
+	// solid strokes
+	getStrokes(scene, camera) {
+		if (scene.matrixWorldAutoUpdate) scene.updateMatrixWorld();
+		if (camera.parent === null && camera.matrixWorldAutoUpdate) {
+			camera.updateMatrixWorld();
+		}
+
+		const view = createView(camera, this.width, this.height);
+		const edges = [];
+		const occluders = [];
+		const edgeIndices = new Map();
+		scene.traverseVisible((object) => {
+			if (!object.isMesh || !object.layers.test(camera.layers)) return;
+			collectMesh(object, view, edges, occluders, edgeIndices);
+		});
+
+		const grid = this.occlusion ? new OcclusionGrid(occluders, view) : null;
+		const strokes = [];
+		edges.forEach((edge) => this._addEdgeStrokes(edge, view, grid, strokes));
+		return strokes.sort((a, b) => a.layer - b.layer);
+	}
+
+	toSVG(scene, camera) {
+		const strokes = this.getStrokes(scene, camera);
+		const f = (value) => formatNumber(value, this.precision);
+		const lines = [
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+		];
+		if (this.background) {
+			lines.push(
+				`<rect width="${this.width}" height="${this.height}" fill="#${this.background.getHexString()}"/>`
+			);
+		}
+		lines.push(`<g fill="none">`);
+		groupStrokes(strokes, f).forEach(({ stroke, segments }) => {
+			const d = segments
+				.map(({ x0, y0, x1, y1 }) => `M${f(x0)} ${f(y0)}L${f(x1)} ${f(y1)}`)
+				.join("");
+			let attributes = `stroke="${stroke.color}" stroke-width="${f(stroke.width)}"`;
+			attributes += ` stroke-linecap="${stroke.dashArray ? "butt" : "round"}"`;
+			if (stroke.opacity < 1) attributes += ` stroke-opacity="${f(stroke.opacity)}"`;
+			if (stroke.dashArray) {
+				attributes += ` stroke-dasharray="${stroke.dashArray.map(f).join(" ")}"`;
+				attributes += ` stroke-dashoffset="${f(stroke.dashOffset)}"`;
+			}
+			lines.push(`<path d="${d}" ${attributes}/>`);
+		});
+		lines.push(`</g>`, `</svg>`, ``);
+		return lines.join("\n");
+	}
+
+	// A one page PDF, as a string of 8-bit characters, one per byte
+	toPDF(scene, camera) {
+		const strokes = this.getStrokes(scene, camera);
+		const f = (value) => formatNumber(value, this.precision);
+		const rgb = (hex) =>
+			_color
+				.setHex(parseInt(hex.slice(1), 16), THREE.NoColorSpace)
+				.toArray()
+				.map((value) => f(value))
+				.join(" ");
+
+		// PDF's y axis points up
+		const content = [`1 0 0 -1 0 ${this.height} cm`];
+		if (this.background) {
+			content.push(
+				`${rgb(`#${this.background.getHexString()}`)} rg 0 0 ${this.width} ${this.height} re f`
+			);
+		}
+		const opacities = [];
+		groupStrokes(strokes, f).forEach(({ stroke, segments }) => {
+			let opacity = opacities.indexOf(stroke.opacity);
+			if (opacity < 0) opacity = opacities.push(stroke.opacity) - 1;
+			const dash = stroke.dashArray
+				? `[${stroke.dashArray.map(f).join(" ")}] ${f(stroke.dashOffset)} d`
+				: "[] 0 d";
+			content.push(
+				`/GS${opacity} gs ${rgb(stroke.color)} RG ${f(stroke.width)} w ${stroke.dashArray ? 0 : 1} J ${dash}`
+			);
+			segments.forEach(({ x0, y0, x1, y1 }) => {
+				content.push(`${f(x0)} ${f(y0)} m ${f(x1)} ${f(y1)} l S`);
+			});
+		});
+		const stream = content.join("\n");
+
+		const states = opacities
+			.map((opacity, i) => `/GS${i} ${5 + i} 0 R`)
+			.join(" ");
+		const objects = [
+			"<< /Type /Catalog /Pages 2 0 R >>",
+			"<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+			`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] /Resources << /ExtGState << ${states} >> >> /Contents 4 0 R >>`,
+			`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+			...opacities.map(
+				(opacity) => `<< /Type /ExtGState /CA ${f(opacity)} >>`
+			),
+		];
+
+		let pdf = "%PDF-1.4\n";
+		const offsets = objects.map((object, i) => {
+			const offset = pdf.length;
+			pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+			return offset;
+		});
+		const xref = pdf.length;
+		pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+		offsets.forEach((offset) => {
+			pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+		});
+		pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+		return pdf;
+	}
+
+	_addEdgeStrokes(edge, view, grid, strokes) {
+		const range = clipSegment(edge.clip[0], edge.clip[1]);
+		if (!range) return;
+
+		const { features, uniforms } = edge.style;
+		const bias = uniforms.hiddenLineBias ? uniforms.hiddenLineBias.value : 0.001;
+		const runs = grid
+			? this._findRuns(edge, range, view, grid, bias)
+			: [{ t0: range[0], t1: range[1], occluded: false }];
+
+		const revealed = getRevealRange(edge);
+		const drawn = revealed
+			? getDrawOnRanges(edge.style).map(([start, end]) => [
+					Math.max(start, revealed[0]),
+					Math.min(end, revealed[1]),
+			  ])
+			: [];
+		runs.forEach((run) => {
+			drawn.forEach(([start, end]) => {
+				const t0 = Math.max(run.t0, start);
+				const t1 = Math.min(run.t1, end);
+				if (t0 >= t1 || screenLength(edge, t0, t1, view) < MIN_RUN_LENGTH) return;
+				if (!run.occluded) {
+					this._addRun(edge, t0, t1, "visible", view, strokes);
+				} else if (features.hiddenLines === "dashed" || features.hiddenLines === "faded") {
+					this._addRun(edge, t0, t1, features.hiddenLines, view, strokes);
+				}
+			});
+		});
+	}
+
+	// Visible and occluded stretches of an edge, by sampling it every
+	// sampleSpacing pixels and bisecting where the result changes
+	_findRuns(edge, [t0, t1], view, grid, bias) {
+		const length = screenLength(edge, t0, t1, view);
+		const count = Math.max(2, Math.ceil(length / this.sampleSpacing));
+		const isOccluded = (t) => grid.occludes(edgePoint(edge, t, view), bias);
+
+		const runs = [];
+		let start = t0;
+		let occluded = isOccluded(t0);
+		let previous = t0;
+		for (let i = 1; i <= count; i++) {
+			const t = t0 + ((t1 - t0) * i) / count;
+			const sample = isOccluded(t);
+			if (sample !== occluded) {
+				let low = previous;
+				let high = t;
+				for (let step = 0; step < REFINE_STEPS; step++) {
+					const middle = (low + high) / 2;
+					if (isOccluded(middle) === occluded) {
+						low = middle;
+					} else {
+						high = middle;
+					}
+				}
+				const end = (low + high) / 2;
+				runs.push({ t0: start, t1: end, occluded });
+				start = end;
+				occluded = sample;
+			}
+			previous = t;
+		}
+		runs.push({ t0: start, t1, occluded });
+		return runs;
+	}
+
+	// Strokes of one run, split into pieces where the width or the spacing
+	// of the dashes changes along it
+	_addRun(edge, t0, t1, mode, view, strokes) {
+		const { features, uniforms } = edge.style;
+		const dash = getDash(edge, mode);
+		const seeThrough = features.seeThrough;
+		const dual = mode === "visible" && features.dualStroke && !seeThrough;
+
+		const widths = [];
+		const depths = [];
+		for (let i = 0; i <= 8; i++) {
+			const t = t0 + ((t1 - t0) * i) / 8;
+			widths.push(edgeWidth(edge, t, edge.thickness, view));
+			depths.push(THREE.MathUtils.lerp(edge.clip[0].w, edge.clip[1].w, t));
+		}
+		const pieces = Math.min(
+			MAX_PIECES,
+			Math.max(
+				1,
+				this._pieceCount(widths),
+				dash || features.widthUnits !== "screen" ? this._pieceCount(depths) : 1
+			)
+		);
+
+		let color = edge.stroke;
+		let layer = LAYER_FRONT;
+		if (mode !== "visible") {
+			layer = LAYER_HIDDEN;
+		} else if (!edge.front) {
+			layer = LAYER_BACK;
+			if (seeThrough && features.insideAltColor) color = edge.fill;
+		}
+		const opacity = mode === "faded" ? uniforms.hiddenLineOpacity.value : 1;
+
+		for (let i = 0; i < pieces; i++) {
+			const ta = t0 + ((t1 - t0) * i) / pieces;
+			const tb = t0 + ((t1 - t0) * (i + 1)) / pieces;
+			const a = edgePoint(edge, ta, view);
+			const b = edgePoint(edge, tb, view);
+			if (Math.hypot(b.x - a.x, b.y - a.y) < 1e-6) continue;
+
+			const width =
+				(edgeWidth(edge, ta, edge.thickness, view) +
+					edgeWidth(edge, tb, edge.thickness, view)) /
+				2;
+			const main = { x0: a.x, y0: a.y, x1: b.x, y1: b.y, color, width, opacity };
+			main.layer = layer + 1;
+			Object.assign(main, getDashAttributes(edge, dash, ta, tb, a, b));
+			if (main.reversed) {
+				[main.x0, main.y0, main.x1, main.y1] = [b.x, b.y, a.x, a.y];
+			}
+			delete main.reversed;
+
+			if (dual) {
+				// the shader colors what exactly one of the two lines covers:
+				// the wider one in the stroke color, the narrower in the fill
+				const dualWidth =
+					(edgeWidth(edge, ta, uniforms.dualThickness.value, view) +
+						edgeWidth(edge, tb, uniforms.dualThickness.value, view)) /
+					2;
+				const solid = { x0: a.x, y0: a.y, x1: b.x, y1: b.y, opacity };
+				solid.dashArray = null;
+				solid.dashOffset = 0;
+				if (dualWidth > width) {
+					strokes.push({ ...solid, color, width: dualWidth, layer });
+					main.color = edge.fill;
+				} else if (dualWidth > 0) {
+					strokes.push(main);
+					strokes.push({ ...solid, color: edge.fill, width: dualWidth, layer: layer + 1 });
+					continue;
+				}
+			}
+			strokes.push(main);
+		}
+	}
+
+	// Pieces keeping the ratio of consecutive values within widthTolerance
+	_pieceCount(values) {
+		const min = Math.min(...values);
+		const max = Math.max(...values);
+		if (!(min > 0) || max / min <= 1 + this.widthTolerance) return 1;
+		return Math.ceil(Math.log(max / min) / Math.log(1 + this.widthTolerance));
+	}
+}
+
+// Camera data used to project and measure in pixels
+function createView(camera, width, height) {
+	return {
+		camera,
+		width,
+		height,
+		matrix: new THREE.Matrix4().multiplyMatrices(
+			camera.projectionMatrix,
+			camera.matrixWorldInverse
+		),
+		position: new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld),
+		direction: camera.getWorldDirection(new THREE.Vector3()),
+		orthographic: camera.isOrthographicCamera === true,
+	};
+}
+
+// Pixels per world unit at a point of clip space w
+function pixelsPerUnit(view, w) {
+	return (view.camera.projectionMatrix.elements[5] * view.height) / 2 / w;
+}
+
+// View space distance of a point with NDC depth z, like
+// hiddenLineViewDistance in the shader
+function viewDistance(view, z) {
+	const { near, far } = view.camera;
+	const depth = z * 0.5 + 0.5;
+	if (view.orthographic) return near + depth * (far - near);
+	return (near * far) / (far - (far - near) * depth);
+}
+
+function toScreen(view, clip) {
+	return {
+		x: ((clip.x / clip.w + 1) / 2) * view.width,
+		y: ((1 - clip.y / clip.w) / 2) * view.height,
+		z: clip.z / clip.w,
+	};
+}
+
+// Adds the occluding triangles and the visible edges of a mesh, once per
+// instance. Edges shared by several triangles are kept once, drawn where
+// any of them draws it.
+function collectMesh(mesh, view, edges, occluders, edgeIndices) {
+	const geometry = mesh.geometry;
+	const position = geometry.getAttribute("position");
+	if (!position) return;
+	const index = geometry.getIndex();
+	const vertexCount = position.count;
+	const cornerCount = index ? index.count : vertexCount;
+
+	const materials = Array.isArray(mesh.material) ? mesh.material : null;
+	const drawStart = geometry.drawRange.start;
+	const drawEnd = Math.min(cornerCount, drawStart + geometry.drawRange.count);
+	const ranges = (
+		materials
+			? geometry.groups.map((group) => ({
+					start: group.start,
+					end: group.start + group.count,
+					material: materials[group.materialIndex],
+				}))
+			: [{ start: 0, end: cornerCount, material: mesh.material }]
+	).map((range) => ({
+		...range,
+		start: Math.max(range.start, drawStart),
+		end: Math.min(range.end, drawEnd),
+	}));
+
+	const wireframe = Boolean(geometry.getAttribute("barycentric"));
+	const layout = wireframe ? getTriangleLayout(geometry) : null;
+	let edgeIndex = null;
+	if (wireframe) {
+		edgeIndex = edgeIndices.get(geometry);
+		if (!edgeIndex) {
+			edgeIndex = indexEdges(geometry);
+			edgeIndices.set(geometry, edgeIndex);
+		}
+	}
+
+	// geometry space positions, with morph targets and skinning applied
+	const local = new Float32Array(vertexCount * 3);
+	for (let v = 0; v < vertexCount; v++) {
+		mesh.getVertexPosition(v, _position).toArray(local, v * 3);
+	}
+	const uv = geometry.getAttribute("uv");
+
+	const instanceCount = mesh.isInstancedMesh ? mesh.count : 1;
+	for (let instance = 0; instance < instanceCount; instance++) {
+		_matrix.copy(mesh.matrixWorld);
+		if (mesh.isInstancedMesh) {
+			mesh.getMatrixAt(instance, _instanceMatrix);
+			_matrix.multiply(_instanceMatrix);
+		}
+		const world = [];
+		const clip = [];
+		for (let v = 0; v < vertexCount; v++) {
+			const point = new THREE.Vector3().fromArray(local, v * 3).applyMatrix4(_matrix);
+			world.push(point);
+			clip.push(new THREE.Vector4(point.x, point.y, point.z, 1).applyMatrix4(view.matrix));
+		}
+		const instanceStyle = mesh.isInstancedMesh ? getInstanceStyle(mesh, instance) : null;
+		const records = new Map();
+
+		ranges.forEach(({ start, end, material }) => {
+			if (!material || !material.visible) return;
+			const style = material.isWireframeMaterial ? material : getWireframePatch(material);
+			const side = material.side;
+			const occludes = !(style && style.features.seeThrough);
+
+			for (let corner = start - (start % 3); corner + 2 < end; corner += 3) {
+				const t = corner / 3;
+				const vertices = [0, 1, 2].map((k) => (index ? index.getX(corner + k) : corner + k));
+				const front = isFrontFacing(vertices.map((v) => world[v]), view);
+				if ((side === THREE.FrontSide && !front) || (side === THREE.BackSide && front)) {
+					continue;
+				}
+				if (occludes) occluders.push(vertices.map((v) => clip[v]));
+				if (!style || !wireframe) continue;
+
+				const hidden = getHiddenEdgeMask(geometry, t, layout);
+				for (let k = 0; k < 3; k++) {
+					if (hidden & (1 << k)) continue;
+					const edgeStyle = style.features.edgeStyles
+						? getTriangleEdgeStyle(geometry, t, k)
+						: null;
+					if (edgeStyle && !edgeStyle.visible) continue;
+
+					const a = vertices[k];
+					const b = vertices[(k + 1) % 3];
+					const { welded, weldedCount } = edgeIndex;
+					if (welded[a] === welded[b]) continue;
+					const key = edgeKey(welded[a], welded[b], weldedCount);
+					const record = records.get(key);
+					if (record) {
+						record.front = record.front || front;
+						continue;
+					}
+
+					records.set(key, {
+						style,
+						front,
+						geometry,
+						vertices: [a, b],
+						world: [world[a], world[b]],
+						clip: [clip[a], clip[b]],
+						objectLength: Math.hypot(
+							local[a * 3] - local[b * 3],
+							local[a * 3 + 1] - local[b * 3 + 1],
+							local[a * 3 + 2] - local[b * 3 + 2]
+						),
+						arcLengths: getEdgeArcLengths(geometry, t, k, layout),
+						uvScale: uv ? getUvScale(local, uv, vertices) : 1,
+						...resolveEdgeStyle(style, instanceStyle, edgeStyle),
+					});
+				}
+			}
+		});
+		records.forEach((record) => edges.push(record));
+	}
+}
+
+// Stroke, fill and base thickness of an edge, with the instance and edge
+// overrides applied like the shaders do
+function resolveEdgeStyle(style, instanceStyle, edgeStyle) {
+	const uniforms = style.uniforms;
+	const stroke = uniforms.stroke.value.clone();
+	const fill = uniforms.fill.value.clone();
+	let thickness = uniforms.thickness.value;
+	let dashPhase = 0;
+	if (instanceStyle) {
+		if (instanceStyle.stroke) stroke.copy(instanceStyle.stroke);
+		if (instanceStyle.fill) fill.copy(instanceStyle.fill);
+		if (instanceStyle.thickness !== null) thickness = instanceStyle.thickness;
+		dashPhase = instanceStyle.dashPhase;
+	}
+
+	let strokeHex = `#${stroke.getHexString()}`;
+	if (edgeStyle) {
+		// packed as sRGB already
+		if (edgeStyle.stroke !== null) {
+			strokeHex = `#${edgeStyle.stroke.toString(16).padStart(6, "0")}`;
+		}
+		if (edgeStyle.thickness !== null) thickness = edgeStyle.thickness;
+	}
+	return { stroke: strokeHex, fill: `#${fill.getHexString()}`, thickness, dashPhase };
+}
+
+// World length of a uv unit over a triangle, for the 'uv' width units
+function getUvScale(local, uv, [a, b, c]) {
+	_ab.fromArray(local, b * 3).sub(_position.fromArray(local, a * 3));
+	_ac.fromArray(local, c * 3).sub(_position);
+	const area = _ab.cross(_ac).length();
+	const uvArea = Math.abs(
+		(uv.getX(b) - uv.getX(a)) * (uv.getY(c) - uv.getY(a)) -
+			(uv.getX(c) - uv.getX(a)) * (uv.getY(b) - uv.getY(a))
+	);
+	return uvArea > 0 ? Math.sqrt(area / uvArea) : 1;
+}
+
+function isFrontFacing([a, b, c], view) {
+	_ab.subVectors(b, a);
+	_ac.subVectors(c, a);
+	_ab.cross(_ac);
+	if (view.orthographic) return _ab.dot(view.direction) < 0;
+	return _ab.dot(_ac.subVectors(view.position, a)) > 0;
+}
+
+// Screen position and NDC depth of the point at t along an edge
+function edgePoint(edge, t, view) {
+	const [a, b] = edge.clip;
+	return toScreen(view, new THREE.Vector4().lerpVectors(a, b, t));
+}
+
+function screenLength(edge, t0, t1, view) {
+	const a = edgePoint(edge, t0, view);
+	const b = edgePoint(edge, t1, view);
+	return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Stroke width in pixels at t along an edge, for a thickness in the
+// material's width units, with depth fade applied
+function edgeWidth(edge, t, thickness, view) {
+	const { features, uniforms } = edge.style;
+	let width = thickness;
+	if (features.depthFade) {
+		const distance = _position
+			.lerpVectors(edge.world[0], edge.world[1], t)
+			.distanceTo(view.position);
+		const fade = THREE.MathUtils.smoothstep(
+			distance,
+			uniforms.depthFadeNear.value,
+			uniforms.depthFadeFar.value
+		);
+		width *= THREE.MathUtils.lerp(1, uniforms.depthFadeMin.value, fade);
+	}
+	if (features.widthUnits === "world" || features.widthUnits === "uv") {
+		// widths are in geometry units, scaled like the edge by the mesh
+		const worldLength = edge.world[0].distanceTo(edge.world[1]);
+		const scale = edge.objectLength > 0 ? worldLength / edge.objectLength : 1;
+		const w = THREE.MathUtils.lerp(edge.clip[0].w, edge.clip[1].w, t);
+		width *= scale * pixelsPerUnit(view, w);
+		if (features.widthUnits === "uv") width *= edge.uvScale;
+	}
+	return width;
+}
+
+// Stretches of an edge drawn so far, like getDrawOnMask in the shader
+function getDrawOnRanges({ features, uniforms }) {
+	const progress = features.drawOn ? uniforms.drawOnProgress.value : 1;
+	if (progress >= 1) return [[0, 1]];
+	if (progress <= 0) return [];
+	return [
+		[0, progress / 2],
+		[1 - progress / 2, 1],
+	];
+}
+
+// Stretch of an edge the reveal shows, like getRevealMask in the shader,
+// cut where the mask is one half: [t0, t1] or null. The field is measured
+// on the rest pose and is linear along edges but for 'radial'.
+function getRevealRange({ style, geometry, vertices }) {
+	const { features, uniforms } = style;
+	const progress = features.reveal ? uniforms.revealProgress.value : 1;
+	if (progress >= 1) return [0, 1];
+	if (progress <= 0) return null;
+	const softness = Math.max(uniforms.revealSoftness.value, 1e-4);
+	const min = uniforms.revealMin.value;
+	const scale = Math.max(uniforms.revealMax.value - min, 1e-6);
+	// largest value shown, in the units of the source
+	const limit = min + (progress * (1 + softness) - softness / 2) * scale;
+
+	const position = geometry.getAttribute("position");
+	const center = uniforms.revealCenter.value;
+	const p0 = new THREE.Vector3().fromBufferAttribute(position, vertices[0]);
+	const p1 = new THREE.Vector3().fromBufferAttribute(position, vertices[1]);
+	if (features.revealSource === "radial") {
+		// |p0 + (p1 - p0) t - center| <= limit
+		if (limit < 0) return null;
+		const direction = p1.sub(p0);
+		const start = p0.sub(center);
+		const a = direction.dot(direction);
+		const b = 2 * start.dot(direction);
+		const c = start.dot(start) - limit * limit;
+		if (a < 1e-12) return c <= 0 ? [0, 1] : null;
+		const discriminant = b * b - 4 * a * c;
+		if (discriminant < 0) return null;
+		const root = Math.sqrt(discriminant);
+		return clampRange((-b - root) / (2 * a), (-b + root) / (2 * a));
+	}
+
+	let v0 = 0;
+	let v1 = 0;
+	if (features.revealSource === "axis") {
+		const axis = _ab.copy(uniforms.revealAxis.value).normalize();
+		v0 = p0.sub(center).dot(axis);
+		v1 = p1.sub(center).dot(axis);
+	} else {
+		const field = geometry.getAttribute("revealField");
+		if (field) {
+			v0 = field.getX(vertices[0]);
+			v1 = field.getX(vertices[1]);
+		}
+	}
+	// v0 + (v1 - v0) t <= limit
+	if (Math.abs(v1 - v0) < 1e-12) return v0 <= limit ? [0, 1] : null;
+	const t = (limit - v0) / (v1 - v0);
+	return v1 > v0 ? clampRange(0, t) : clampRange(t, 1);
+}
+
+function clampRange(t0, t1) {
+	const start = Math.max(t0, 0);
+	const end = Math.min(t1, 1);
+	return start < end ? [start, end] : null;
+}
+
+// Dash layout of a run, like getDashPhase in the shader: pattern lengths
+// over one period, periods per unit of dash position, and the phase offset
+function getDash(edge, mode) {
+	const { features, uniforms } = edge.style;
+	let lengths;
+	let repeats;
+	if (mode === "dashed") {
+		const length = uniforms.hiddenDashLength.value;
+		lengths = [length, 1 - length];
+		repeats = uniforms.hiddenDashRepeats.value;
+	} else if (mode === "visible" && features.dashEnabled) {
+		if (features.dashPatternType === "texture") return null;
+		if (features.dashPatternType === "array") {
+			const stops = uniforms.dashPatternStops.value;
+			lengths = stops.map((stop, i) => stop - (i > 0 ? stops[i - 1] : 0));
+			while (lengths.length > 2 && lengths[lengths.length - 1] === 0) {
+				lengths.splice(-2);
+			}
+		} else {
+			const length = uniforms.dashLength.value;
+			lengths = [length, 1 - length];
+		}
+		repeats = uniforms.dashRepeats.value;
+	} else {
+		return null;
+	}
+	if (!(repeats > 0)) return null;
+
+	let offset = lengths[0] / repeats / 2 + edge.dashPhase;
+	const dashDefines = features.dashEnabled;
+	if (!(dashDefines && features.dashOverlap)) offset += 1 / repeats / 2;
+	if (dashDefines && features.dashAnimate) {
+		offset += getDashAnimationOffset(
+			uniforms.time.value,
+			repeats,
+			uniforms.loopDuration.value
+		);
+	}
+	return { lengths, repeats, offset };
+}
+
+// Dash position at t along an edge: 0 .. 1 over the edge, or the distance
+// along it in geometry units for `dashUnits: 'world'`
+function dashPosition(edge, t) {
+	if (edge.style.features.dashUnits !== "world") return t;
+	if (!edge.arcLengths) return t * edge.objectLength;
+	const [start, end] = edge.arcLengths;
+	return start + (end - start) * t;
+}
+
+// SVG style dash array and offset of a piece from a to b. Pieces run the
+// way the dash position grows, `reversed` when that is from b to a.
+function getDashAttributes(edge, dash, ta, tb, a, b) {
+	const solid = { dashArray: null, dashOffset: 0, reversed: false };
+	if (!dash) return solid;
+	const pa = dashPosition(edge, ta);
+	const pb = dashPosition(edge, tb);
+	const span = Math.abs(pb - pa) * dash.repeats;
+	if (span < 1e-9) return solid;
+
+	const pixelsPerPeriod = Math.hypot(b.x - a.x, b.y - a.y) / span;
+	const phase = (Math.min(pa, pb) + dash.offset) * dash.repeats;
+	return {
+		dashArray: dash.lengths.map((length) => length * pixelsPerPeriod),
+		dashOffset: (phase - Math.floor(phase)) * pixelsPerPeriod,
+		reversed: pb < pa,
+	};
+}
+
+// Parameter range of the segment from a to b (clip space) inside the view
+// frustum, or null, clipping against each plane in homogeneous coordinates
+function clipSegment(a, b) {
+	let t0 = 0;
+	let t1 = 1;
+	const planes = [
+		(p) => p.w + p.x,
+		(p) => p.w - p.x,
+		(p) => p.w + p.y,
+		(p) => p.w - p.y,
+		(p) => p.w + p.z,
+		(p) => p.w - p.z,
+	];
+	for (const plane of planes) {
+		const da = plane(a);
+		const db = plane(b);
+		if (da < 0 && db < 0) return null;
+		if (da < 0) t0 = Math.max(t0, da / (da - db));
+		if (db < 0) t1 = Math.min(t1, da / (da - db));
+	}
+	return t0 < t1 ? [t0, t1] : null;
+}
+
+// Occluding triangles in screen space, bucketed in a grid for lookup
+class OcclusionGrid {
+	constructor(triangles, view) {
+		this.view = view;
+		this.columns = Math.max(1, Math.ceil(view.width / GRID_CELL));
+		this.rows = Math.max(1, Math.ceil(view.height / GRID_CELL));
+		this.cells = Array.from({ length: this.columns * this.rows }, () => []);
+		this.triangles = [];
+
+		triangles.forEach((clip) => {
+			clipNear(clip).forEach((polygon) => {
+				const points = polygon.map((p) => toScreen(view, p));
+				for (let i = 1; i + 1 < points.length; i++) {
+					this._add([points[0], points[i], points[i + 1]]);
+				}
+			});
+		});
+	}
+
+	_add(triangle) {
+		const xs = triangle.map(({ x }) => x);
+		const ys = triangle.map(({ y }) => y);
+		const x0 = Math.max(0, Math.floor(Math.min(...xs) / GRID_CELL));
+		const x1 = Math.min(this.columns - 1, Math.floor(Math.max(...xs) / GRID_CELL));
+		const y0 = Math.max(0, Math.floor(Math.min(...ys) / GRID_CELL));
+		const y1 = Math.min(this.rows - 1, Math.floor(Math.max(...ys) / GRID_CELL));
+		if (x0 > x1 || y0 > y1) return;
+
+		const id = this.triangles.push(triangle) - 1;
+		for (let y = y0; y <= y1; y++) {
+			for (let x = x0; x <= x1; x++) this.cells[y * this.columns + x].push(id);
+		}
+	}
+
+	// Whether a triangle is in front of a screen point, by more than the
+	// relative bias, like isWireframeOccluded in the shader
+	occludes(point, bias) {
+		const column = Math.min(this.columns - 1, Math.max(0, Math.floor(point.x / GRID_CELL)));
+		const row = Math.min(this.rows - 1, Math.max(0, Math.floor(point.y / GRID_CELL)));
+		const distance = viewDistance(this.view, point.z);
+		return this.cells[row * this.columns + column].some((id) => {
+			const [a, b, c] = this.triangles[id];
+			const area = (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+			if (Math.abs(area) < 1e-12) return false;
+			const u = ((b.x - point.x) * (c.y - point.y) - (c.x - point.x) * (b.y - point.y)) / area;
+			const v = ((c.x - point.x) * (a.y - point.y) - (a.x - point.x) * (c.y - point.y)) / area;
+			const w = 1 - u - v;
+			if (u < 0 || v < 0 || w < 0) return false;
+			const z = u * a.z + v * b.z + w * c.z;
+			return distance > viewDistance(this.view, z) * (1 + bias);
+		});
+	}
+}
+
+// Clips a clip space triangle against the near plane, returning the
+// polygons left, none or one
+function clipNear(triangle) {
+	const inside = (p) => p.z + p.w >= 0;
+	if (triangle.every(inside)) return [triangle];
+	const polygon = [];
+	triangle.forEach((current, i) => {
+		const next = triangle[(i + 1) % 3];
+		if (inside(current)) polygon.push(current);
+		if (inside(current) !== inside(next)) {
+			const dc = current.z + current.w;
+			const dn = next.z + next.w;
+			polygon.push(new THREE.Vector4().lerpVectors(current, next, dc / (dc - dn)));
+		}
+	});
+	return polygon.length >= 3 ? [polygon] : [];
+}
+
+// Joins consecutive solid strokes of the same look into one path
+function groupStrokes(strokes, format) {
+	const groups = [];
+	let key = null;
+	strokes.forEach((stroke) => {
+		const strokeKey = stroke.dashArray
+			? null
+			: `${stroke.color} ${format(stroke.width)} ${format(stroke.opacity)}`;
+		if (strokeKey !== null && strokeKey === key) {
+			groups[groups.length - 1].segments.push(stroke);
+		} else {
+			groups.push({ stroke, segments: [stroke] });
+		}
+		key = strokeKey;
+	});
+	return groups.filter(({ stroke }) => stroke.width > 0);
+}
+
+function formatNumber(value, precision) {
+	const text = value.toFixed(precision);
+	return text.includes(".") ? text.replace(/\.?0+$/, "") : text;
+}
@@ -0,0 +1,278 @@
+import * as THREE from "three";
+import "./wireframeShaderChunks.js";
+import {
+	EDGE_STYLE_DEFAULTS,
+	setEdgeStyle,
+	setEdgeStyles,
+	warnMissingEdgeStyles,
+} from "./wireframeEdgeStyles.js";
+import { computeRevealRange } from "./wireframeGeomtryUtils.js";
+import {
+	INSTANCE_STYLE_DEFAULTS,
+	setInstanceStyle,
+} from "./wireframeInstancing.js";
+import {
+	WIREFRAME_FEATURES,
+	createHiddenLineUniforms,
+	createPickingUniforms,
+	createWireframeUniforms,
+	getWireframeDefaults,
+	getWireframeDefines,
+	resolveDashPattern,
+} from "./wireframeStyle.js";
+
+const patches = new WeakMap();
+// Program key ids of the onBeforeCompile callbacks patched materials had
+const callbackIds = new WeakMap();
+let nextCallbackId = 0;
+
+// Adds wireframe strokes to a built-in mesh material (MeshBasicMaterial,
+// MeshStandardMaterial, MeshPhongMaterial, ...) through onBeforeCompile.
+// The material keeps its own shading, textures and fog, and its result is
+// used as the fill. Geometry must be prepared with prepareWireframeGeometry.
+// Accepts the same style options as WireframeMaterial and returns a
+// WireframePatch exposing the same uniforms, features and helpers.
+// Materials using transmission are not supported, as both declare `thickness`.
+// Per-instance fills are ignored here, use InstancedMesh.setColorAt instead.
+export function applyWireframe(material, options = {}) {
+	let patch = patches.get(material);
+	if (patch) {
+		patch.updateProperties(options);
+		patch.updateFeatures(pickFeatures(options));
+		return patch;
+	}
+
+	patch = new WireframePatch(material, options);
+	patches.set(material, patch);
+	return patch;
+}
+
+// Returns the WireframePatch applied to a material, if any
+export function getWireframePatch(material) {
+	return patches.get(material) || null;
+}
+
+// Restores a material patched by applyWireframe
+export function removeWireframe(material) {
+	const patch = patches.get(material);
+	if (patch) patch.remove();
+}
+
+// Stands in for three's default program key, the source of onBeforeCompile:
+// callbacks are told apart by identity, and the default no-op adds nothing
+function getCallbackKey(callback) {
+	if (callback === THREE.Material.prototype.onBeforeCompile) return "";
+	if (!callbackIds.has(callback)) callbackIds.set(callback, nextCallbackId++);
+	return "onBeforeCompile" + callbackIds.get(callback);
+}
+
+function pickFeatures(options) {
+	const features = {};
+	WIREFRAME_FEATURES.forEach((name) => {
+		if (name in options) features[name] = options[name];
+	});
+	return features;
+}
+
+export class WireframePatch {
+	constructor(material, options = {}) {
+		const settings = { ...getWireframeDefaults(), ...options };
+
+		this.material = material;
+		this.uniforms = {
+			...createWireframeUniforms(settings),
+			...createHiddenLineUniforms(settings),
+			...createPickingUniforms(settings),
+		};
+		this.features = {};
+		WIREFRAME_FEATURES.forEach((name) => {
+			this.features[name] = settings[name];
+		});
+		this.dashPattern = settings.dashPattern;
+		this.features.dashPatternType = resolveDashPattern(
+			settings.dashPattern
+		).type;
+
+		// Keep what we override so the patch can be removed again
+		this._appliedDefines = [];
+		this._transparent = material.transparent;
+		this._onBeforeCompile = material.onBeforeCompile;
+		this._customProgramCacheKey = material.customProgramCacheKey;
+		this._onBeforeRender = material.onBeforeRender;
+		this._defaultAttributeValues = material.defaultAttributeValues;
+
+		const patch = this;
+		material.onBeforeCompile = function (shader, renderer) {
+			patch._onBeforeCompile.call(this, shader, renderer);
+			patch._patchShader(shader);
+		};
+		// Feature defines live in material.defines and are already part of the
+		// program key, this only separates patched from unpatched programs,
+		// and programs of materials with their own key or callback
+		material.customProgramCacheKey = function () {
+			const baseKey =
+				patch._customProgramCacheKey === THREE.Material.prototype.customProgramCacheKey
+					? getCallbackKey(patch._onBeforeCompile)
+					: patch._customProgramCacheKey.call(this);
+			return "wireframe|" + baseKey;
+		};
+
+		// what the shaders read for style attributes a geometry doesn't have
+		material.defaultAttributeValues = {
+			...material.defaultAttributeValues,
+			...INSTANCE_STYLE_DEFAULTS,
+			...EDGE_STYLE_DEFAULTS,
+		};
+
+		// highlight and picking read the object id
+		material.onBeforeRender = function (...args) {
+			const [, , , geometry, object] = args;
+			if (patch.features.edgeStyles) warnMissingEdgeStyles(geometry);
+			if (patch.features.highlight || patch.features.picking) {
+				patch.uniforms.wireframeObjectId.value = object.id + 1;
+				this.uniformsNeedUpdate = true;
+			}
+			patch._onBeforeRender.apply(this, args);
+		};
+
+		if (!material.defines) material.defines = {};
+		this._updateDefines();
+	}
+
+	// Helper method to update time for animations
+	updateTime(time) {
+		this.uniforms.time.value = time;
+	}
+
+	setColors(fill, stroke) {
+		this.uniforms.fill.value.set(fill);
+		this.uniforms.stroke.value.set(stroke);
+	}
+
+	setThickness(thickness) {
+		this.uniforms.thickness.value = thickness;
+	}
+
+	// Dash with a DASH_PATTERNS name, a dash array or a pattern texture
+	// instead of dashLength, null to go back to it
+	setDashPattern(pattern) {
+		const { type, stops, texture } = resolveDashPattern(pattern);
+		this.dashPattern = pattern;
+		this.uniforms.dashPatternStops.value = stops;
+		this.uniforms.dashPatternMap.value = texture;
+		this.updateFeature("dashPatternType", type);
+	}
+
+	// Override the stroke, thickness or dash phase of one instance
+	setInstanceStyle(mesh, index, style) {
+		setInstanceStyle(mesh, index, style);
+	}
+
+	// Override the stroke, thickness or visibility of one edge
+	setEdgeStyle(geometry, a, b, style) {
+		return setEdgeStyle(geometry, a, b, style);
+	}
+
+	setEdgeStyles(geometry, styles) {
+		setEdgeStyles(geometry, styles);
+	}
+
+	// Fits revealMin / revealMax to a prepared geometry, so the reveal runs
+	// over the whole mesh with the current source, center and axis
+	fitRevealRange(geometry) {
+		const { min, max } = computeRevealRange(
+			geometry,
+			this.features.revealSource,
+			this.uniforms.revealCenter.value,
+			this.uniforms.revealAxis.value
+		);
+		this.uniforms.revealMin.value = min;
+		this.uniforms.revealMax.value = max;
+	}
+
+	// Update multiple properties at once
+	updateProperties(properties) {
+		Object.entries(properties).forEach(([key, value]) => {
+			if (key === "dashPattern") {
+				this.setDashPattern(value);
+			} else if (this.uniforms[key]) {
+				this.uniforms[key].value = value;
+			}
+		});
+	}
+
+	// Update feature flags and regenerate shader if needed
+	updateFeature(featureName, enabled) {
+		this.updateFeatures({ [featureName]: enabled });
+	}
+
+	// Batch update multiple features
+	updateFeatures(features) {
+		let needsUpdate = false;
+		Object.entries(features).forEach(([key, value]) => {
+			if (this.features[key] !== value) {
+				this.features[key] = value;
+				needsUpdate = true;
+			}
+		});
+
+		if (needsUpdate) {
+			this._updateDefines();
+		}
+	}
+
+	// Undo the patch, leaving the material as it was before applyWireframe
+	remove() {
+		const material = this.material;
+		this._appliedDefines.forEach((key) => delete material.defines[key]);
+		material.onBeforeCompile = this._onBeforeCompile;
+		material.customProgramCacheKey = this._customProgramCacheKey;
+		material.onBeforeRender = this._onBeforeRender;
+		material.defaultAttributeValues = this._defaultAttributeValues;
+		material.transparent = this._transparent;
+		material.needsUpdate = true;
+		patches.delete(material);
+	}
+
+	// Injects the wireframe chunks around the built-in shader's own chunks
+	_patchShader(shader) {
+		Object.assign(shader.uniforms, this.uniforms);
+		shader.vertexShader = shader.vertexShader
+			.replace(
+				"#include <common>",
+				"#include <common>\n#include <wireframe_pars_vertex>"
+			)
+			.replace(
+				"#include <project_vertex>",
+				"#include <project_vertex>\n#include <wireframe_vertex>"
+			);
+		shader.fragmentShader = shader.fragmentShader
+			.replace(
+				"#include <common>",
+				"#include <common>\n#include <wireframe_pars_fragment>"
+			)
+			.replace(
+				"#include <opaque_fragment>",
+				"#include <opaque_fragment>\n#include <wireframe_fragment>"
+			);
+	}
+
+	// Swap our defines on the material, leaving any of its own untouched
+	_updateDefines() {
+		const material = this.material;
+		this._appliedDefines.forEach((key) => delete material.defines[key]);
+
+		const defines = getWireframeDefines(this.features);
+		Object.assign(material.defines, defines);
+		this._appliedDefines = Object.keys(defines);
+
+		// see-through and occluded strokes and revealing fills need blending
+		material.transparent =
+			this.features.seeThrough ||
+			this.features.reveal ||
+			this.features.hiddenLines === "dashed" ||
+			this.features.hiddenLines === "faded" ||
+			this._transparent;
+		material.needsUpdate = true;
+	}
+}
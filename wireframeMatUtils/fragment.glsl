@@ -1,279 +1,84 @@
 // Precision qualifiers for mobile optimization
 precision mediump float;
 
-varying vec3 vBarycentric;
-varying float vEven;
 varying vec2 vUv;
-varying vec3 vPosition;
-varying vec4 vWorldPosition;
 
-uniform float time;
-uniform float thickness;
-uniform float dualThickness;
-
-uniform float dashRepeats;
-uniform float dashLength;
-uniform bool dashOverlap;
-uniform bool dashEnabled;
-uniform bool dashAnimate;
-
-uniform bool seeThrough;
-uniform bool insideAltColor;
-uniform bool dualStroke;
-uniform bool noiseA;
-uniform bool noiseB;
-uniform float noiseAIntensity;
-uniform float noiseBIntensity;
-
-uniform bool squeeze;
-uniform float squeezeMin;
-uniform float squeezeMax;
-
-// Depth fade uniforms
-uniform bool depthFade;
-uniform float depthFadeNear;
-uniform float depthFadeFar;
-uniform float depthFadeMin;
-
-uniform vec3 stroke;
-uniform vec3 fill;
-
-// PI constant
-#define PI 3.1415926535897932384626433832795
-
-// 4D Simplex noise implementation
-vec4 mod289(vec4 x) {
-  return x - floor(x * (1.0 / 289.0)) * 289.0;
-}
-
-float mod289(float x) {
-  return x - floor(x * (1.0 / 289.0)) * 289.0;
-}
-
-vec4 permute(vec4 x) {
-     return mod289(((x*34.0)+1.0)*x);
-}
-
-float permute(float x) {
-     return mod289(((x*34.0)+1.0)*x);
-}
-
-vec4 taylorInvSqrt(vec4 r) {
-  return 1.79284291400159 - 0.85373472095314 * r;
-}
-
-float taylorInvSqrt(float r) {
-  return 1.79284291400159 - 0.85373472095314 * r;
-}
-
-vec4 grad4(float j, vec4 ip) {
-  const vec4 ones = vec4(1.0, 1.0, 1.0, -1.0);
-  vec4 p,s;
-
-  p.xyz = floor( fract (vec3(j) * ip.xyz) * 7.0) * ip.z - 1.0;
-  p.w = 1.5 - dot(abs(p.xyz), ones.xyz);
-  s = vec4(lessThan(p, vec4(0.0)));
-  p.xyz = p.xyz + (s.xyz*2.0 - 1.0) * s.www; 
-
-  return p;
-}
-
-// 4D simplex noise
-float noise(vec4 v) {
-  const vec4  C = vec4( 0.138196601125011,  // (5 - sqrt(5))/20  G4
-                        0.276393202250021,  // 2 * G4
-                        0.414589803375032,  // 3 * G4
-                       -0.447213595499958); // -1 + 4 * G4
-
-// First corner
-  vec4 i  = floor(v + dot(v, vec4(0.309016994374947451)) );
-  vec4 x0 = v -   i + dot(i, C.xxxx);
-
-// Other corners
-
-// Rank sorting originally contributed by Bill Licea-Kane, AMD (formerly ATI)
-  vec4 i0;
-  vec3 isX = step( x0.yzw, x0.xxx );
-  vec3 isYZ = step( x0.zww, x0.yyz );
-//  i0.x = dot( isX, vec3( 1.0 ) );
-  i0.x = isX.x + isX.y + isX.z;
-  i0.yzw = 1.0 - isX;
-//  i0.y += dot( isYZ.xy, vec2( 1.0 ) );
-  i0.y += isYZ.x + isYZ.y;
-  i0.zw += 1.0 - isYZ.xy;
-  i0.z += isYZ.z;
-  i0.w += 1.0 - isYZ.z;
-
-  // i0 now contains the unique values 0,1,2,3 in each channel
-  vec4 i3 = clamp( i0, 0.0, 1.0 );
-  vec4 i2 = clamp( i0-1.0, 0.0, 1.0 );
-  vec4 i1 = clamp( i0-2.0, 0.0, 1.0 );
-
-  //  x0 = x0 - 0.0 + 0.0 * C.xxxx
-  //  x1 = x0 - i1  + 1.0 * C.xxxx
-  //  x2 = x0 - i2  + 2.0 * C.xxxx
-  //  x3 = x0 - i3  + 3.0 * C.xxxx
-  //  x4 = x0 - 1.0 + 4.0 * C.xxxx
-  vec4 x1 = x0 - i1 + C.xxxx;
-  vec4 x2 = x0 - i2 + C.yyyy;
-  vec4 x3 = x0 - i3 + C.zzzz;
-  vec4 x4 = x0 + C.wwww;
-
-// Permutations
-  i = mod289(i); 
-  float j0 = permute( permute( permute( permute(i.w) + i.z) + i.y) + i.x);
-  vec4 j1 = permute( permute( permute( permute (
-             i.w + vec4(i1.w, i2.w, i3.w, 1.0 ))
-           + i.z + vec4(i1.z, i2.z, i3.z, 1.0 ))
-           + i.y + vec4(i1.y, i2.y, i3.y, 1.0 ))
-           + i.x + vec4(i1.x, i2.x, i3.x, 1.0 ));
-
-// Gradients: 7x7x6 points over a cube, mapped onto a 4-cross polytope
-// 7*7*6 = 294, which is close to the ring size 17*17 = 289.
-  vec4 ip = vec4(1.0/294.0, 1.0/49.0, 1.0/7.0, 0.0) ;
-
-  vec4 p0 = grad4(j0,   ip);
-  vec4 p1 = grad4(j1.x, ip);
-  vec4 p2 = grad4(j1.y, ip);
-  vec4 p3 = grad4(j1.z, ip);
-  vec4 p4 = grad4(j1.w, ip);
-
-// Normalise gradients
-  vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
-  p0 *= norm.x;
-  p1 *= norm.y;
-  p2 *= norm.z;
-  p3 *= norm.w;
-  p4 *= taylorInvSqrt(dot(p4,p4));
-
-// Mix contributions from the five corners
-  vec3 m0 = max(0.6 - vec3(dot(x0,x0), dot(x1,x1), dot(x2,x2)), 0.0);
-  vec2 m1 = max(0.6 - vec2(dot(x3,x3), dot(x4,x4)            ), 0.0);
-  m0 = m0 * m0;
-  m1 = m1 * m1;
-  return 49.0 * ( dot(m0*m0, vec3( dot( p0, x0 ), dot( p1, x1 ), dot( p2, x2 )))
-               + dot(m1*m1, vec2( dot( p3, x3 ), dot( p4, x4 ) ) ) ) ;
-}
-
-// This is like
-float aastep (float threshold, float dist) {
-  float afwidth = fwidth(dist) * 0.5;
-  return smoothstep(threshold - afwidth, threshold + afwidth, dist);
-}
-
-// Optimized version that reuses pre-calculated derivatives
-float computeScreenSpaceWireframeOptimized(vec3 barycentric, vec3 derivatives, float lineWidth) {
-  vec3 smoothed = smoothstep(derivatives * ((lineWidth * 0.5) - 0.5), derivatives * ((lineWidth * 0.5) + 0.5), barycentric);
-  return 1.0 - min(min(smoothed.x, smoothed.y), smoothed.z);
-}
-
-// Backward compatibility - this function is not currently used, but it can be useful
-// to achieve a fixed width wireframe regardless of z-depth
-float computeScreenSpaceWireframe (vec3 barycentric, float lineWidth) {
-  vec3 dist = fwidth(barycentric);
-  return computeScreenSpaceWireframeOptimized(barycentric, dist, lineWidth);
-}
-
-// This function returns the fragment color for our styled wireframe effect
-// based on the barycentric coordinates for this fragment
-vec4 getStyledWireframe (vec3 barycentric) {
-  // Cache fwidth calculation once - this is expensive
-  vec3 barycentricDerivatives = fwidth(barycentric);
-  
-  // Calculate noise offset using preprocessor conditionals
-  float noiseOff = 0.0;
-  #ifdef NOISE_A_ENABLED
-    noiseOff += noise(vec4(vPosition.xyz * 1.0, time * 0.35)) * noiseAIntensity;
-  #endif
-  #ifdef NOISE_B_ENABLED
-    noiseOff += noise(vec4(vPosition.xyz * 80.0, time * 0.5)) * noiseBIntensity;
+// Lighting for the fill, built from three.js's own light chunks
+#ifdef LIT_FILL
+  #include <common>
+  #include <packing>
+  #ifdef SHADING_PHYSICAL
+    varying vec3 vViewPosition;
+    uniform float roughness;
+    uniform float metalness;
+    #include <cube_uv_reflection_fragment>
+    #include <envmap_common_pars_fragment>
+    #include <envmap_physical_pars_fragment>
+  #else
+    #include <bsdfs>
   #endif
-  
-  // Calculate base thickness with optional depth fading
-  float baseThickness = thickness;
-  float distanceToCamera = 0.0;
-  float thicknessFactor = 1.0;
-  
-  #ifdef DEPTH_FADE_ENABLED
-    // Calculate distance from camera to fragment
-    distanceToCamera = length(vWorldPosition.xyz - cameraPosition);
-    
-    // Create depth fade factor (1.0 at near distance, depthFadeMin at far distance)
-    float depthFactor = smoothstep(depthFadeNear, depthFadeFar, distanceToCamera);
-    thicknessFactor = mix(1.0, depthFadeMin, depthFactor);
-    
-    baseThickness *= thicknessFactor;
+  #include <lights_pars_begin>
+  #include <normal_pars_fragment>
+  #ifdef SHADING_PHYSICAL
+    #include <lights_physical_pars_fragment>
+  #else
+    #include <lights_lambert_pars_fragment>
   #endif
-  
-  // Use optimized screen-space wireframe with cached derivatives
-  float noisyThickness = baseThickness + noiseOff;
-  float wireframe = computeScreenSpaceWireframeOptimized(barycentric, barycentricDerivatives, noisyThickness);
-
-  // for dashed rendering, we can use this to get the 0 .. 1 value of the line length
-  float positionAlong = max(barycentric.x, barycentric.y);
-  if (barycentric.y < barycentric.x && barycentric.y < barycentric.z) {
-    positionAlong = 1.0 - positionAlong;
-  }
-
-  // the thickness of the stroke - use wireframe directly for screen-space consistency
-  float edge = wireframe;
-
-  // if we want to shrink the thickness toward the center of the line segment
-  #ifdef SQUEEZE_ENABLED
-    float squeezeFactor = mix(squeezeMin, squeezeMax, (1.0 - sin(positionAlong * PI)));
-    // Apply noise offset to the squeezed thickness to maintain noise effect
-    edge = computeScreenSpaceWireframeOptimized(barycentric, barycentricDerivatives, noisyThickness * squeezeFactor);
+  #include <shadowmap_pars_fragment>
+#endif
+
+#include <wireframe_pars_fragment>
+#include <fog_pars_fragment>
+#include <logdepthbuf_pars_fragment>
+#include <clipping_planes_pars_fragment>
+
+#ifdef LIT_FILL
+// Shades the fill color with the scene lights, shadows and environment
+vec3 getLitFill (vec3 baseColor) {
+  vec4 diffuseColor = vec4(baseColor, 1.0);
+  ReflectedLight reflectedLight = ReflectedLight(vec3(0.0), vec3(0.0), vec3(0.0), vec3(0.0));
+
+  #include <normal_fragment_begin>
+
+  #ifdef SHADING_PHYSICAL
+    float roughnessFactor = roughness;
+    float metalnessFactor = metalness;
+    #include <lights_physical_fragment>
+  #else
+    float specularStrength = 1.0;
+    #include <lights_lambert_fragment>
   #endif
 
-  // if we should create a dash pattern
-  #ifdef DASH_ENABLED
-    // here we offset the stroke position depending on whether it
-    // should overlap or not
-    float offset = 1.0 / dashRepeats * dashLength / 2.0;
-    #ifndef DASH_OVERLAP
-      offset += 1.0 / dashRepeats / 2.0;
-    #endif
+  #include <lights_fragment_begin>
+  #include <lights_fragment_maps>
+  #include <lights_fragment_end>
 
-    // if we should animate the dash or not
-    #ifdef DASH_ANIMATE
-      offset += time * 0.22;
-    #endif
+  return reflectedLight.directDiffuse + reflectedLight.indirectDiffuse +
+    reflectedLight.directSpecular + reflectedLight.indirectSpecular;
+}
+#endif
 
-    // create the repeating dash pattern
-    float pattern = fract((positionAlong + offset) * dashRepeats);
-    float dashMask = 1.0 - aastep(dashLength, pattern);
-    edge *= dashMask;
+void main () {
+  // clipping writes its alpha-to-coverage opacity into diffuseColor.a
+  vec4 diffuseColor = vec4(1.0);
+  #include <clipping_planes_fragment>
+  #include <logdepthbuf_fragment>
+
+  #ifdef WIREFRAME_PICKING
+    gl_FragColor = getWireframePick(getWireframeBarycentric());
+    return;
   #endif
 
-  // now compute the final color of the mesh
-  vec4 outColor = vec4(0.0);
-  #ifdef SEE_THROUGH
-    outColor = vec4(stroke, edge);
-    #ifdef INSIDE_ALT_COLOR
-      if (!gl_FrontFacing) {
-        outColor.rgb = fill;
-      }
-    #endif
-  #else
-    vec3 mainStroke = mix(fill, stroke, edge);
-    outColor.a = 1.0;
-    #ifdef DUAL_STROKE_ENABLED
-      // Reuse cached depth fade calculations for dual stroke
-      float dualThick = dualThickness;
-      #ifdef DEPTH_FADE_ENABLED
-        dualThick *= thicknessFactor;
-      #endif
-      float secondWireframe = computeScreenSpaceWireframeOptimized(barycentric, barycentricDerivatives, dualThick);
-      vec3 wireColor = mix(fill, stroke, abs(secondWireframe - edge));
-      outColor.rgb = wireColor;
-    #else
-      outColor.rgb = mainStroke;
-    #endif
+  vec3 fillColor = getInstanceFill(fill);
+  #ifdef LIT_FILL
+    fillColor = getLitFill(fillColor);
   #endif
-
-  return outColor;
-}
-
-void main () {
-  gl_FragColor = getStyledWireframe(vBarycentric);
+  gl_FragColor = getStyledWireframe(getWireframeBarycentric(), fillColor);
+  gl_FragColor.a *= diffuseColor.a;
+
+  // tone mapped and encoded like built-in materials: on the canvas only,
+  // render targets are kept linear
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+  #include <fog_fragment>
 }
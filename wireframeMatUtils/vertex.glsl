@@ -1,25 +1,54 @@
-attribute vec3 barycentric;
-attribute float even;
-
-varying vec3 vBarycentric;
-varying vec3 vPosition;
-varying vec4 vWorldPosition;
-varying float vEven;
 varying vec2 vUv;
 
+// three.js chunks for skinned and morphed meshes. USE_SKINNING and
+// USE_MORPHTARGETS are defined by the renderer from the object and geometry.
+#include <common>
+#include <batching_pars_vertex>
+#include <morphtarget_pars_vertex>
+#include <skinning_pars_vertex>
+#include <wireframe_pars_vertex>
+#include <fog_pars_vertex>
+#include <logdepthbuf_pars_vertex>
+#include <clipping_planes_pars_vertex>
+
+// normals and shadow coordinates for the lit fill
+#ifdef LIT_FILL
+  varying vec3 vViewPosition;
+  #include <normal_pars_vertex>
+  #include <shadowmap_pars_vertex>
+#endif
+
 void main () {
-  vec4 mPosition = vec4( position, 1.0 );
+  #include <batching_vertex>
+  #include <morphinstance_vertex>
+  #include <skinbase_vertex>
 
-  #ifdef USE_INSTANCING
-    mPosition = instanceMatrix * vec4(position, 1.0);
+  #ifdef LIT_FILL
+    #include <beginnormal_vertex>
+    #include <morphnormal_vertex>
+    #include <skinnormal_vertex>
+    #include <defaultnormal_vertex>
+    #include <normal_vertex>
   #endif
-  mPosition = modelMatrix * mPosition;
-
-  gl_Position = projectionMatrix * viewMatrix * mPosition;
-  
-  vBarycentric = barycentric;
-  vPosition = position.xyz;
-  vWorldPosition = mPosition;
-  vEven = even;
+
+  #include <begin_vertex>
+  #include <morphtarget_vertex>
+  #include <skinning_vertex>
+  #include <wireframe_vertex>
+
+  vec4 mPosition = vWireframeWorldPosition;
+  vec4 mvPosition = viewMatrix * mPosition;
+  gl_Position = projectionMatrix * mvPosition;
+
+  #include <logdepthbuf_vertex>
+  #include <clipping_planes_vertex>
+  #include <fog_vertex>
+
+  #ifdef LIT_FILL
+    vViewPosition = - mvPosition.xyz;
+    vec4 worldPosition = mPosition;
+    #include <shadowmap_vertex>
+  #endif
+
   vUv = uv;
 }
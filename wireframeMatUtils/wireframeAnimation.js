@@ -0,0 +1,176 @@
+import * as THREE from "three";
+import { WIREFRAME_PRESET_SCHEMA, readWireframePreset } from "./wireframePresets.js";
+
+// Keyframe animation of wireframe styles. The clips made here hold
+// KeyframeTracks on the uniforms of a material, named like
+// ".uniforms[thickness].value", and play on an AnimationMixer whose root is
+// the material, e.g.
+//   const mixer = new THREE.AnimationMixer(material);
+//   mixer.clipAction(createDrawOnClip()).play();
+// For patched built-in materials the root is getWireframePatch(material).
+// Every number, color and vector option of WIREFRAME_PRESET_SCHEMA can be
+// animated, feature flags and other options that change the shader can't.
+
+// Easing curves, from t in 0 .. 1 to the progress of a keyframe segment
+export const WIREFRAME_EASINGS = {
+	linear: (t) => t,
+	easeIn: (t) => t * t * t,
+	easeOut: (t) => 1 - Math.pow(1 - t, 3),
+	easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2),
+	smooth: (t) => t * t * (3 - 2 * t),
+};
+
+// Keys added inside each eased segment, KeyframeTracks only interpolate
+// linearly between keys
+const EASING_SAMPLES = 16;
+
+// Keyframe track of every option type that can be animated
+const TRACK_TYPES = {
+	number: THREE.NumberKeyframeTrack,
+	color: THREE.ColorKeyframeTrack,
+	vector3: THREE.VectorKeyframeTrack,
+};
+
+// Name of the track animating an option
+export function getStyleTrackName(option) {
+	return `.uniforms[${option}].value`;
+}
+
+// A NumberKeyframeTrack, ColorKeyframeTrack or VectorKeyframeTrack
+// animating one option through keyframes [{ time, value, easing }], in
+// order. value is a number, for colors anything THREE.Color.set() takes and
+// for vectors a Vector3 or [x, y, z]. easing, a WIREFRAME_EASINGS name or a
+// function, shapes the segment from the previous keyframe.
+export function createStyleTrack(option, keyframes) {
+	const type = WIREFRAME_PRESET_SCHEMA[option];
+	if (!TRACK_TYPES[type]) {
+		throw new Error(`Can't animate the wireframe option "${option}"`);
+	}
+
+	const toArray = {
+		number: (value) => [value],
+		color: (value) => new THREE.Color(value).toArray(),
+		vector3: (value) => (Array.isArray(value) ? value : value.toArray()),
+	}[type];
+	const times = [];
+	const values = [];
+	keyframes.forEach((keyframe, i) => {
+		const value = toArray(keyframe.value);
+		const previous = keyframes[i - 1];
+		const easing = getEasing(keyframe.easing);
+		if (previous && easing !== WIREFRAME_EASINGS.linear) {
+			const from = toArray(previous.value);
+			for (let s = 1; s < EASING_SAMPLES; s++) {
+				const t = s / EASING_SAMPLES;
+				const progress = easing(t);
+				times.push(THREE.MathUtils.lerp(previous.time, keyframe.time, t));
+				values.push(
+					...from.map((start, j) => THREE.MathUtils.lerp(start, value[j], progress))
+				);
+			}
+		}
+		times.push(keyframe.time);
+		values.push(...value);
+	});
+
+	const TrackType = TRACK_TYPES[type];
+	return new TrackType(getStyleTrackName(option), times, values);
+}
+
+// A clip of several options, keyframes being { option: [{ time, value,
+// easing }] }. Its duration is that of the longest track.
+export function createStyleClip(name, keyframes) {
+	const tracks = Object.entries(keyframes).map(([option, keys]) =>
+		createStyleTrack(option, keys)
+	);
+	return new THREE.AnimationClip(name, -1, tracks);
+}
+
+// A clip tweening every animatable option two serialized styles share,
+// presets or anything readWireframePreset takes, from the first to the
+// second. Options: duration (1 second), easing ('easeInOut'), name, and
+// material, to keep the options it has uniforms for only. Options that
+// can't be animated, e.g. feature flags, are left out: apply the second
+// preset once it's done to switch them.
+export function createStyleCrossfadeClip(from, to, options = {}) {
+	const duration = options.duration !== undefined ? options.duration : 1;
+	const easing = options.easing || "easeInOut";
+	const fromStyle = readWireframePreset(from).style;
+	const toStyle = readWireframePreset(to).style;
+
+	const keyframes = {};
+	getAnimatableOptions(fromStyle, options.material).forEach((option) => {
+		if (toStyle[option] === undefined) return;
+		keyframes[option] = [
+			{ time: 0, value: fromStyle[option] },
+			{ time: duration, value: toStyle[option], easing },
+		];
+	});
+	return createStyleClip(options.name || "crossfade", keyframes);
+}
+
+// A one key clip holding the animatable options of a serialized style, for
+// blending styles with the mixer, e.g. AnimationAction.crossFadeTo().
+// Options: name and material, like createStyleCrossfadeClip.
+export function createStylePoseClip(preset, options = {}) {
+	const { name, style } = readWireframePreset(preset);
+	const keyframes = {};
+	getAnimatableOptions(style, options.material).forEach((option) => {
+		keyframes[option] = [{ time: 0, value: style[option] }];
+	});
+	return createStyleClip(options.name || name || "style", keyframes);
+}
+
+// The draw-on effect: strokes growing along the edges until they're whole.
+// Needs the drawOn option on the material. Options: duration (2 seconds),
+// easing ('easeInOut'), from (0) and to (1) progress, and name.
+export function createDrawOnClip(options = {}) {
+	const duration = options.duration !== undefined ? options.duration : 2;
+	return createStyleClip(options.name || "drawOn", {
+		drawOnProgress: [
+			{ time: 0, value: options.from !== undefined ? options.from : 0 },
+			{
+				time: duration,
+				value: options.to !== undefined ? options.to : 1,
+				easing: options.easing || "easeInOut",
+			},
+		],
+	});
+}
+
+// The reveal effect: strokes, then the fill, appearing over the mesh along
+// the reveal field. Needs the reveal option on the material. Options:
+// duration (2 seconds) of each, easing ('easeInOut'), fillDelay (0.5), the
+// seconds the fill trails the strokes by, and name.
+export function createRevealClip(options = {}) {
+	const duration = options.duration !== undefined ? options.duration : 2;
+	const fillDelay = options.fillDelay !== undefined ? options.fillDelay : 0.5;
+	const easing = options.easing || "easeInOut";
+	return createStyleClip(options.name || "reveal", {
+		revealProgress: [
+			{ time: 0, value: 0 },
+			{ time: duration, value: 1, easing },
+		],
+		revealFillProgress: [
+			{ time: 0, value: 0 },
+			{ time: fillDelay, value: 0 },
+			{ time: fillDelay + duration, value: 1, easing },
+		],
+	});
+}
+
+function getAnimatableOptions(style, material) {
+	return Object.keys(style).filter((option) => {
+		if (!TRACK_TYPES[WIREFRAME_PRESET_SCHEMA[option]]) return false;
+		return !material || Boolean(material.uniforms[option]);
+	});
+}
+
+function getEasing(easing) {
+	if (typeof easing === "function") return easing;
+	if (easing === undefined) return WIREFRAME_EASINGS.linear;
+	if (!WIREFRAME_EASINGS[easing]) {
+		throw new Error(`Unknown easing "${easing}"`);
+	}
+	return WIREFRAME_EASINGS[easing];
+}
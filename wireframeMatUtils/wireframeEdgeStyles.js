@@ -0,0 +1,178 @@
+import * as THREE from "three";
+import { edgeKey, getTriangleLayout } from "./wireframeGeomtryUtils.js";
+
+// Per-edge style overrides, stored as two attributes on a prepared geometry
+// and read by the shaders under EDGE_STYLES as per-triangle data (see
+// getTriangleLayout), where the component of corner j holds the style of
+// the edge opposite it:
+//   edgeStrokes     - stroke color packed as 0xRRGGBB (sRGB), or EDGE_INHERIT
+//   edgeThicknesses - thickness in the material's width units, EDGE_INHERIT
+//                     or EDGE_HIDDEN
+// Edges are named by a pair of vertex indices of the source geometry, in
+// either order. Split vertices at the same position name the same edge.
+export const EDGE_INHERIT = -1;
+export const EDGE_HIDDEN = -2;
+
+// What the WebGL materials' shaders read on geometry prepared without
+// edgeStyles, through material.defaultAttributeValues: every edge inherits
+export const EDGE_STYLE_DEFAULTS = {
+	edgeStrokes: [EDGE_INHERIT, EDGE_INHERIT, EDGE_INHERIT],
+	edgeThicknesses: [EDGE_INHERIT, EDGE_INHERIT, EDGE_INHERIT],
+};
+
+// Edge index of each geometry prepared with edgeStyles, see indexEdges
+const edgeIndices = new WeakMap();
+// Geometries warnMissingEdgeStyles already warned about
+const warnedGeometries = new WeakSet();
+
+const _color = new THREE.Color();
+
+// Used by prepareWireframeGeometry: adds the style attributes, with every
+// edge inheriting the material style, and applies the initial `styles`
+export function addEdgeStyles(geometry, edgeIndex, styles) {
+	edgeIndices.set(geometry, edgeIndex);
+	const count = geometry.getAttribute("position").count;
+	["edgeStrokes", "edgeThicknesses"].forEach((name) => {
+		const array = new Float32Array(count * 3).fill(EDGE_INHERIT);
+		geometry.setAttribute(name, new THREE.BufferAttribute(array, 3));
+	});
+	if (styles && styles !== true) setEdgeStyles(geometry, styles);
+}
+
+// Called by wireframe materials with edgeStyles on before drawing. Geometry
+// prepared without edgeStyles can't be styled and draws every edge with
+// the material style; attributes are never added while rendering.
+export function warnMissingEdgeStyles(geometry) {
+	if (geometry.getAttribute("edgeStrokes") || warnedGeometries.has(geometry)) return;
+	warnedGeometries.add(geometry);
+	console.warn(
+		"Geometry prepared without edgeStyles is drawn with edgeStyles on, prepare it with { edgeStyles: true } to style its edges"
+	);
+}
+
+// Overrides the style of the edge between source vertices a and b. Accepts
+// stroke, thickness and visible; pass null to go back to the material value.
+// Returns false when the geometry has no such edge.
+export function setEdgeStyle(geometry, a, b, style) {
+	const corners = getEdgeCorners(geometry, a, b);
+	if (!corners) return false;
+	writeEdgeStyle(geometry, corners, style);
+	return true;
+}
+
+// Sets many edge styles at once, from a Map or object keyed by "a,b" or from
+// a callback (a, b) => style, called for every edge
+export function setEdgeStyles(geometry, styles) {
+	const edgeIndex = edgeIndices.get(geometry);
+	if (!edgeIndex) return;
+
+	if (typeof styles === "function") {
+		const { vertices, edges } = edgeIndex;
+		edges.forEach((corners) => {
+			const t = Math.floor(corners[0] / 3);
+			const k = corners[0] % 3;
+			const style = styles(vertices[t * 3 + k], vertices[t * 3 + ((k + 1) % 3)]);
+			if (style) writeEdgeStyle(geometry, corners, style);
+		});
+		return;
+	}
+
+	const entries = styles instanceof Map ? [...styles] : Object.entries(styles);
+	entries.forEach(([pair, style]) => {
+		const [a, b] = String(pair).split(",").map(Number);
+		setEdgeStyle(geometry, a, b, style);
+	});
+}
+
+// Returns the overrides of an edge, null where the material value is used,
+// or null when the geometry has no such edge
+export function getEdgeStyle(geometry, a, b) {
+	const corners = getEdgeCorners(geometry, a, b);
+	if (!corners) return null;
+
+	const [[vertex], component] = cornerSlot(geometry, corners[0]);
+	const packed = geometry.getAttribute("edgeStrokes").getComponent(vertex, component);
+	const thickness = geometry
+		.getAttribute("edgeThicknesses")
+		.getComponent(vertex, component);
+	return {
+		stroke: packed < 0 ? null : new THREE.Color().setHex(packed),
+		thickness: thickness < 0 ? null : thickness,
+		visible: thickness !== EDGE_HIDDEN,
+	};
+}
+
+// Overrides of edge k of triangle t, like getEdgeStyle but with the stroke
+// packed as 0xRRGGBB (sRGB), or null when the geometry has no edge styles
+export function getTriangleEdgeStyle(geometry, t, k) {
+	const strokes = geometry.getAttribute("edgeStrokes");
+	if (!strokes) return null;
+
+	const [[vertex], component] = cornerSlot(geometry, t * 3 + k);
+	const packed = strokes.getComponent(vertex, component);
+	const thickness = geometry
+		.getAttribute("edgeThicknesses")
+		.getComponent(vertex, component);
+	return {
+		stroke: packed < 0 ? null : packed,
+		thickness: thickness < 0 ? null : thickness,
+		visible: thickness !== EDGE_HIDDEN,
+	};
+}
+
+// Drops every edge override of a geometry
+export function clearEdgeStyles(geometry) {
+	["edgeStrokes", "edgeThicknesses"].forEach((name) => {
+		const attribute = geometry.getAttribute(name);
+		if (!attribute) return;
+		attribute.array.fill(EDGE_INHERIT);
+		attribute.needsUpdate = true;
+	});
+}
+
+function getEdgeCorners(geometry, a, b) {
+	const edgeIndex = edgeIndices.get(geometry);
+	if (!edgeIndex) return null;
+	const { welded, weldedCount, edges } = edgeIndex;
+	if (!(a < welded.length && b < welded.length)) return null;
+	return edges.get(edgeKey(welded[a], welded[b], weldedCount)) || null;
+}
+
+// Vertices and attribute component holding the style of a triangle corner's
+// edge (t * 3 + k): edge k is opposite corner (k + 2) % 3
+function cornerSlot(geometry, corner) {
+	const t = Math.floor(corner / 3);
+	const layout = getTriangleLayout(geometry);
+	return [layout.vertices(t), layout.component(t, ((corner % 3) + 2) % 3)];
+}
+
+function writeEdgeStyle(geometry, corners, style) {
+	const strokes = geometry.getAttribute("edgeStrokes");
+	const thicknesses = geometry.getAttribute("edgeThicknesses");
+
+	let packed;
+	if (style.stroke !== undefined) {
+		packed = style.stroke === null ? EDGE_INHERIT : _color.set(style.stroke).getHex();
+	}
+
+	corners.forEach((corner) => {
+		const [vertices, component] = cornerSlot(geometry, corner);
+		let thickness = thicknesses.getComponent(vertices[0], component);
+		if (style.thickness !== undefined) {
+			thickness = style.thickness === null ? EDGE_INHERIT : style.thickness;
+		}
+		if (style.visible === false) {
+			thickness = EDGE_HIDDEN;
+		} else if (thickness === EDGE_HIDDEN && style.visible === true) {
+			thickness = EDGE_INHERIT;
+		}
+
+		vertices.forEach((vertex) => {
+			if (packed !== undefined) strokes.setComponent(vertex, component, packed);
+			thicknesses.setComponent(vertex, component, thickness);
+		});
+	});
+
+	strokes.needsUpdate = true;
+	thicknesses.needsUpdate = true;
+}
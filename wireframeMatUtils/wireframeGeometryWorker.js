@@ -0,0 +1,25 @@
+import {
+	buildWireframeGeometry,
+	deserializeGeometry,
+	serializeGeometry,
+} from "./wireframeGeomtryUtils.js";
+
+// Worker side of prepareWireframeGeometryAsync: prepares one geometry, posts
+// progress along the way and sends the result back, transferring its arrays.
+self.onmessage = ({ data }) => {
+	try {
+		const geometry = deserializeGeometry(data.geometry);
+		const edgeIndex = buildWireframeGeometry(
+			geometry,
+			data.options,
+			(progress, stage) => self.postMessage({ type: "progress", progress, stage })
+		);
+
+		// the geometry is thrown away, so hand its arrays over as they are
+		const { data: prepared, transfer } = serializeGeometry(geometry, false);
+		if (edgeIndex) transfer.push(edgeIndex.vertices.buffer, edgeIndex.welded.buffer);
+		self.postMessage({ type: "done", geometry: prepared, edgeIndex }, transfer);
+	} catch (error) {
+		self.postMessage({ type: "error", message: error.message });
+	}
+};
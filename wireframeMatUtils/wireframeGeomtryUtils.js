@@ -1,84 +1,1099 @@
 import * as THREE from "three";
 
+// Bit flags for the three edges of a triangle. Edge k runs from vertex k to
+// vertex (k + 1) % 3, so EDGE_0 is (a, b), EDGE_1 is (b, c) and EDGE_2 is
+// (c, a).
+export const EDGE_0 = 1;
+export const EDGE_1 = 2;
+export const EDGE_2 = 4;
+
+const DEFAULT_GEOMETRY_OPTIONS = {
+	edgeMode: "quads",
+	creaseAngle: 30,
+	quadAngle: 5,
+	seams: false,
+	weldTolerance: 1e-4,
+	flatNormals: false,
+	edgeHeights: true,
+	arcLengths: "edges",
+	chainAngle: 30,
+	edgeStyles: false,
+	indexed: "auto",
+	polygonIds: null,
+	reveal: false,
+	revealStart: null,
+};
+
+// Normalises the legacy boolean `edgeRemoval` argument into an options object
+export function resolveGeometryOptions(options = {}) {
+	if (typeof options === "boolean") {
+		options = { edgeMode: options ? "quads" : "all" };
+	}
+	return { ...DEFAULT_GEOMETRY_OPTIONS, ...options };
+}
+
+// Classifies every triangle edge as visible or hidden using the mesh topology.
+// Adjacency is built on welded positions, so split vertices (hard normals,
+// UV seams) still count as shared. Returns a Uint8Array with one bitmask per
+// triangle, where a set EDGE_* bit means the edge should not be drawn.
+//
+// edgeMode:
+//   "all"     - draw every triangle edge
+//   "quads"   - hide the diagonal of coplanar triangle pairs that form a quad,
+//               or with polygon ids, the inner edges of every source polygon
+//   "creases" - only draw edges whose dihedral angle exceeds creaseAngle
+// Boundary and non-manifold edges are always drawn. With `seams` enabled,
+// UV seams are drawn as well; material (group) seams are never hidden.
+// Polygon ids (one per triangle, see setPolygonIds) come from the
+// `polygonIds` option or geometry.userData.polygonIds, and replace the
+// quad guessing with the polygons of the source file.
+export function classifyEdges(bufferGeometry, options = {}) {
+	const settings = resolveGeometryOptions(options);
+	const index = bufferGeometry.getIndex();
+	const position = bufferGeometry.getAttribute("position");
+	const uv = bufferGeometry.getAttribute("uv");
+	const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+	const edgeMask = new Uint8Array(triangleCount);
+
+	if (settings.edgeMode === "all" || triangleCount === 0) return edgeMask;
+
+	const vertexAt = index
+		? (triangle, corner) => index.getX(triangle * 3 + corner)
+		: (triangle, corner) => triangle * 3 + corner;
+
+	const { welded, weldedCount } = weldVertices(position, settings.weldTolerance);
+
+	// per-triangle normals and material indices
+	const normals = new Float32Array(triangleCount * 3);
+	const a = new THREE.Vector3();
+	const b = new THREE.Vector3();
+	const c = new THREE.Vector3();
+	const triangle = new THREE.Triangle();
+	const normal = new THREE.Vector3();
+	for (let t = 0; t < triangleCount; t++) {
+		a.fromBufferAttribute(position, vertexAt(t, 0));
+		b.fromBufferAttribute(position, vertexAt(t, 1));
+		c.fromBufferAttribute(position, vertexAt(t, 2));
+		triangle.set(a, b, c).getNormal(normal);
+		normal.toArray(normals, t * 3);
+	}
+
+	const materials = new Int32Array(triangleCount);
+	bufferGeometry.groups.forEach((group) => {
+		const start = Math.floor(group.start / 3);
+		const end = Math.min(triangleCount, Math.floor((group.start + group.count) / 3));
+		for (let t = start; t < end; t++) materials[t] = group.materialIndex || 0;
+	});
+
+	const edges = buildEdgeMap(triangleCount, vertexAt, welded, weldedCount);
+
+	// ids that no longer match the triangles are ignored
+	let polygonIds = settings.polygonIds || bufferGeometry.userData.polygonIds;
+	if (polygonIds && polygonIds.length !== triangleCount) polygonIds = null;
+
+	const creaseDot = Math.cos(THREE.MathUtils.degToRad(settings.creaseAngle));
+	const quadDot = Math.cos(THREE.MathUtils.degToRad(settings.quadAngle));
+	const quadCandidates = [];
+
+	edges.forEach((entry) => {
+		// boundary and non-manifold edges are always visible
+		if (entry.length !== 2) return;
+
+		const t0 = Math.floor(entry[0] / 3);
+		const k0 = entry[0] % 3;
+		const t1 = Math.floor(entry[1] / 3);
+		const k1 = entry[1] % 3;
+
+		if (materials[t0] !== materials[t1]) return;
+		if (settings.seams && isUvSeam(uv, vertexAt, welded, t0, k0, t1, k1)) return;
+
+		const dot =
+			normals[t0 * 3] * normals[t1 * 3] +
+			normals[t0 * 3 + 1] * normals[t1 * 3 + 1] +
+			normals[t0 * 3 + 2] * normals[t1 * 3 + 2];
+
+		if (settings.edgeMode === "creases") {
+			if (dot >= creaseDot) {
+				edgeMask[t0] |= 1 << k0;
+				edgeMask[t1] |= 1 << k1;
+			}
+		} else if (polygonIds) {
+			if (polygonIds[t0] === polygonIds[t1]) {
+				edgeMask[t0] |= 1 << k0;
+				edgeMask[t1] |= 1 << k1;
+			}
+		} else if (
+			dot >= quadDot &&
+			isLongestEdge(position, vertexAt, t0, k0) &&
+			isLongestEdge(position, vertexAt, t1, k1)
+		) {
+			quadCandidates.push({ dot, t0, k0, t1, k1 });
+		}
+	});
+
+	// pair the flattest candidates first, each triangle joins at most one quad
+	if (settings.edgeMode === "quads" && !polygonIds) {
+		const paired = new Uint8Array(triangleCount);
+		quadCandidates.sort((x, y) => y.dot - x.dot);
+		quadCandidates.forEach(({ t0, k0, t1, k1 }) => {
+			if (paired[t0] || paired[t1]) return;
+			paired[t0] = paired[t1] = 1;
+			edgeMask[t0] |= 1 << k0;
+			edgeMask[t1] |= 1 << k1;
+		});
+	}
+
+	return edgeMask;
+}
+
+// Records which triangles of a geometry come from the same source polygon,
+// for classifyEdges. `faceSizes` lists the vertex count of every polygon in
+// triangle order, each fanned into size - 2 triangles as OBJLoader does;
+// smaller faces make no triangles. Stored as geometry.userData.polygonIds.
+export function setPolygonIds(bufferGeometry, faceSizes) {
+	let triangleCount = 0;
+	faceSizes.forEach((size) => (triangleCount += Math.max(0, size - 2)));
+	const polygonIds = new Uint32Array(triangleCount);
+	let t = 0;
+	faceSizes.forEach((size, polygon) => {
+		for (let i = 2; i < size; i++) polygonIds[t++] = polygon;
+	});
+	bufferGeometry.userData.polygonIds = polygonIds;
+	return polygonIds;
+}
+
+// Computes arc-length dash parameters, used by `dashUnits: 'world'`.
+// Returns one vec3 per triangle corner in un-indexed order, where component
+// j is the distance along the edge opposite corner j in object units.
+// Triangles sharing an edge agree on where it starts, so dashes line up.
+//
+// arcLengths:
+//   "edges"  - every edge is measured from zero
+//   "chains" - visible edges are joined into chains, continuing through a
+//              vertex along the straightest edge within chainAngle, and the
+//              distance carries on along each chain
+export function computeArcLengths(bufferGeometry, edgeMask, options = {}) {
+	const settings = resolveGeometryOptions(options);
+	const index = bufferGeometry.getIndex();
+	const position = bufferGeometry.getAttribute("position");
+	const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+	const arcLengths = new Float32Array(triangleCount * 9);
+	if (triangleCount === 0) return arcLengths;
+
+	const vertexAt = index
+		? (triangle, corner) => index.getX(triangle * 3 + corner)
+		: (triangle, corner) => triangle * 3 + corner;
+
+	const { welded, weldedCount } = weldVertices(position, settings.weldTolerance);
+	const edges = buildEdgeMap(triangleCount, vertexAt, welded, weldedCount);
+
+	// each edge runs from its `from` vertex, at distance `start`
+	const a = new THREE.Vector3();
+	const b = new THREE.Vector3();
+	const params = new Map();
+	edges.forEach((entry, key) => {
+		const t = Math.floor(entry[0] / 3);
+		const k = entry[0] % 3;
+		const i0 = vertexAt(t, k);
+		const i1 = vertexAt(t, (k + 1) % 3);
+		a.fromBufferAttribute(position, i0);
+		b.fromBufferAttribute(position, i1);
+		const ends = [welded[i0], welded[i1]].sort((x, y) => x - y);
+		params.set(key, { ends, from: ends[0], start: 0, length: a.distanceTo(b) });
+	});
+
+	if (settings.arcLengths === "chains") {
+		chainArcLengths(edges, params, edgeMask, position, welded, settings.chainAngle);
+	}
+
+	const p = new THREE.Vector3();
+	for (let t = 0; t < triangleCount; t++) {
+		for (let j = 0; j < 3; j++) {
+			// the edge opposite corner j runs from corner c0 to corner c1
+			const c0 = (j + 1) % 3;
+			const c1 = (j + 2) % 3;
+			const w0 = welded[vertexAt(t, c0)];
+			const w1 = welded[vertexAt(t, c1)];
+			if (w0 === w1) continue; // degenerate edge
+
+			const key = edgeKey(w0, w1, weldedCount);
+			const { from, start, length } = params.get(key);
+			const s0 = w0 === from ? start : start + length;
+			const s1 = w1 === from ? start : start + length;
+			arcLengths[t * 9 + c0 * 3 + j] = s0;
+			arcLengths[t * 9 + c1 * 3 + j] = s1;
+
+			// corner j gets the distance of its projection onto the edge, which
+			// keeps the parameter linear across the triangle
+			a.fromBufferAttribute(position, vertexAt(t, c0));
+			b.fromBufferAttribute(position, vertexAt(t, c1));
+			p.fromBufferAttribute(position, vertexAt(t, j));
+			b.sub(a);
+			const lengthSq = b.lengthSq();
+			const f = lengthSq > 0 ? p.sub(a).dot(b) / lengthSq : 0;
+			arcLengths[t * 9 + j * 3 + j] = s0 + f * (s1 - s0);
+		}
+	}
+
+	return arcLengths;
+}
+
+// Joins visible edges into chains and rewrites their `from` / `start` so the
+// distance runs continuously along each chain
+function chainArcLengths(edges, params, edgeMask, position, welded, chainAngle) {
+	// a representative vertex for each welded id, to read positions from
+	const weldedVertex = new Map();
+	for (let i = welded.length - 1; i >= 0; i--) weldedVertex.set(welded[i], i);
+
+	// visible edges around each welded vertex
+	const vertexEdges = new Map();
+	edges.forEach((entry, key) => {
+		const hidden = entry.every(
+			(corner) => edgeMask[Math.floor(corner / 3)] & (1 << corner % 3)
+		);
+		if (hidden) return;
+		params.get(key).ends.forEach((w) => {
+			if (!vertexEdges.has(w)) vertexEdges.set(w, []);
+			vertexEdges.get(w).push(key);
+		});
+	});
+
+	const minDot = Math.cos(THREE.MathUtils.degToRad(chainAngle));
+	const incoming = new THREE.Vector3();
+	const outgoing = new THREE.Vector3();
+	const origin = new THREE.Vector3();
+	const pointAt = (w, target) =>
+		target.fromBufferAttribute(position, weldedVertex.get(w));
+	const otherEnd = (key, w) => {
+		const { ends } = params.get(key);
+		return ends[0] === w ? ends[1] : ends[0];
+	};
+
+	// the straightest visible edge to carry on with after arriving at `w`
+	const continuation = (key, w) => {
+		pointAt(w, incoming).sub(pointAt(otherEnd(key, w), outgoing)).normalize();
+		let best = null;
+		let bestDot = minDot;
+		vertexEdges.get(w).forEach((next) => {
+			if (next === key) return;
+			pointAt(otherEnd(next, w), outgoing).sub(pointAt(w, origin)).normalize();
+			const dot = incoming.dot(outgoing);
+			if (dot >= bestDot) {
+				best = next;
+				bestDot = dot;
+			}
+		});
+		return best;
+	};
+
+	const visited = new Set();
+	vertexEdges.forEach((keys) => {
+		keys.forEach((first) => {
+			if (visited.has(first)) return;
+
+			// walk back to where the chain starts, or once around a loop
+			let key = first;
+			let w = params.get(first).ends[0];
+			const seen = new Set([key]);
+			for (;;) {
+				const previous = continuation(key, w);
+				if (previous === null || seen.has(previous) || visited.has(previous)) {
+					break;
+				}
+				seen.add(previous);
+				key = previous;
+				w = otherEnd(key, w);
+			}
+
+			// then walk forward, accumulating the distance
+			let distance = 0;
+			while (key !== null && !visited.has(key)) {
+				visited.add(key);
+				const edge = params.get(key);
+				edge.from = w;
+				edge.start = distance;
+				distance += edge.length;
+				w = otherEnd(key, w);
+				key = continuation(key, w);
+			}
+		});
+	});
+}
+
+// Indexes the edges of a geometry by their source vertices, for per-edge
+// styles. `vertices` holds the source vertex of every triangle corner,
+// `welded` the welded id of every source vertex and `edges` maps each
+// welded edge (see edgeKey) to the triangle corners (t * 3 + k) using it.
+export function indexEdges(bufferGeometry, options = {}) {
+	const settings = resolveGeometryOptions(options);
+	const index = bufferGeometry.getIndex();
+	const position = bufferGeometry.getAttribute("position");
+	const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+
+	const vertices = new Uint32Array(triangleCount * 3);
+	for (let i = 0; i < vertices.length; i++) {
+		vertices[i] = index ? index.getX(i) : i;
+	}
+	const vertexAt = (triangle, corner) => vertices[triangle * 3 + corner];
+
+	const { welded, weldedCount } = weldVertices(position, settings.weldTolerance);
+	const edges = buildEdgeMap(triangleCount, vertexAt, welded, weldedCount);
+	return { vertices, welded, weldedCount, edges };
+}
+
+// Key of the edge between two welded vertex ids, in either order
+export function edgeKey(w0, w1, weldedCount) {
+	return w0 < w1 ? w0 * weldedCount + w1 : w1 * weldedCount + w0;
+}
+
+// Welds vertices by quantised position so split vertices share an id
+function weldVertices(position, tolerance) {
+	const welded = new Uint32Array(position.count);
+	const weldMap = new Map();
+	const invTolerance = 1 / tolerance;
+	for (let i = 0; i < position.count; i++) {
+		const key =
+			Math.round(position.getX(i) * invTolerance) +
+			"_" +
+			Math.round(position.getY(i) * invTolerance) +
+			"_" +
+			Math.round(position.getZ(i) * invTolerance);
+		let id = weldMap.get(key);
+		if (id === undefined) {
+			id = weldMap.size;
+			weldMap.set(key, id);
+		}
+		welded[i] = id;
+	}
+	return { welded, weldedCount: weldMap.size };
+}
+
+// Maps every welded edge to the triangle corners (t * 3 + k) that use it
+function buildEdgeMap(triangleCount, vertexAt, welded, weldedCount) {
+	const edges = new Map();
+	for (let t = 0; t < triangleCount; t++) {
+		for (let k = 0; k < 3; k++) {
+			const i0 = welded[vertexAt(t, k)];
+			const i1 = welded[vertexAt(t, (k + 1) % 3)];
+			if (i0 === i1) continue; // degenerate edge
+			const key = edgeKey(i0, i1, weldedCount);
+			const entry = edges.get(key);
+			if (entry) {
+				entry.push(t * 3 + k);
+			} else {
+				edges.set(key, [t * 3 + k]);
+			}
+		}
+	}
+	return edges;
+}
+
+// True when the edge is the longest side of its triangle, as a quad diagonal is
+function isLongestEdge(position, vertexAt, t, k) {
+	const lengths = [0, 1, 2].map((corner) => {
+		const i0 = vertexAt(t, corner);
+		const i1 = vertexAt(t, (corner + 1) % 3);
+		const dx = position.getX(i0) - position.getX(i1);
+		const dy = position.getY(i0) - position.getY(i1);
+		const dz = position.getZ(i0) - position.getZ(i1);
+		return dx * dx + dy * dy + dz * dz;
+	});
+	const others = Math.max(lengths[(k + 1) % 3], lengths[(k + 2) % 3]);
+	return lengths[k] >= others * (1 - 1e-4);
+}
+
+// True when the two triangles sharing an edge disagree on its UV coordinates
+function isUvSeam(uv, vertexAt, welded, t0, k0, t1, k1) {
+	if (!uv) return false;
+	const ends0 = [vertexAt(t0, k0), vertexAt(t0, (k0 + 1) % 3)];
+	const ends1 = [vertexAt(t1, k1), vertexAt(t1, (k1 + 1) % 3)];
+	if (welded[ends0[0]] !== welded[ends1[0]]) ends1.reverse();
+	return ends0.some((i0, n) => {
+		const i1 = ends1[n];
+		if (i0 === i1) return false;
+		return (
+			Math.abs(uv.getX(i0) - uv.getX(i1)) > 1e-6 ||
+			Math.abs(uv.getY(i0) - uv.getY(i1)) > 1e-6
+		);
+	});
+}
+
+// Adds barycentric coordinates used by the shader to find the triangle edges.
+// `removeEdge` is either a per-triangle edge mask from classifyEdges, or the
+// legacy boolean which assumes every even/odd triangle pair forms a quad.
 export function addBarycentricCoordinates(bufferGeometry, removeEdge = false) {
 	const attrib =
 		bufferGeometry.getIndex() || bufferGeometry.getAttribute("position");
 	const count = attrib.count / 3;
-	const barycentric = [];
-	const evenValues = [];
+	const edgeMask = ArrayBuffer.isView(removeEdge) ? removeEdge : null;
+	const baryArray = new Float32Array(count * 9);
+	const evenArray = new Float32Array(count * 3);
 
 	// for each triangle in the geometry, add the barycentric coordinates
 	for (let i = 0; i < count; i++) {
 		const even = i % 2 === 0;
-		const Q = removeEdge ? 1 : 0;
-		if (even) {
-			barycentric.push(0, 0, 1, 0, 1, 0, 1, 0, Q);
-			evenValues.push(1, 1, 1); // 3 vertices per triangle
-		} else {
-			barycentric.push(0, 1, 0, 0, 0, 1, 1, 0, Q);
-			evenValues.push(0, 0, 0); // 3 vertices per triangle
+		let mask = 0;
+		if (edgeMask) {
+			mask = edgeMask[i];
+		} else if (removeEdge) {
+			mask = even ? EDGE_1 : EDGE_2;
 		}
+
+		// vertex k starts at 1 in component k, so the edge opposite vertex k
+		// is where component k reaches zero
+		const offset = i * 9;
+		baryArray[offset + 0] = 1;
+		baryArray[offset + 4] = 1;
+		baryArray[offset + 8] = 1;
+
+		// to hide an edge, lift its component to 1 at one of its end points
+		// so it never reaches zero along the edge
+		if (mask & EDGE_0) baryArray[offset + 3 + 2] = 1; // (a, b): z at b
+		if (mask & EDGE_1) baryArray[offset + 6 + 0] = 1; // (b, c): x at c
+		if (mask & EDGE_2) baryArray[offset + 0 + 1] = 1; // (c, a): y at a
+
+		const evenValue = even ? 1 : 0;
+		evenArray[i * 3] = evenArray[i * 3 + 1] = evenArray[i * 3 + 2] = evenValue;
 	}
 
 	// add the barycentric attribute to the geometry
-	const baryArray = new Float32Array(barycentric);
 	const baryAttribute = new THREE.BufferAttribute(baryArray, 3);
 	bufferGeometry.setAttribute("barycentric", baryAttribute);
 
 	// add the even attribute to the geometry
-	const evenArray = new Float32Array(evenValues);
 	const evenAttribute = new THREE.BufferAttribute(evenArray, 1);
 	bufferGeometry.setAttribute("even", evenAttribute);
 }
 
-export function unindexBufferGeometry(bufferGeometry) {
-	// un-indices the geometry, copying all attributes like position and uv
+// Keeps an indexed geometry indexed for the shaders, as a much smaller
+// alternative to unindexBufferGeometry for large meshes. Every vertex gets
+// a barycentric slot (0, 1 or 2) distinct from the other corners of its
+// triangles, so `barycentric` is a one-hot vector per vertex, and vertices
+// are only split where their triangles disagree on a slot. Per-triangle
+// data sits on the triangle's last vertex, which flat varyings read from,
+// so every triangle gets a last vertex of its own, split off when another
+// triangle already holds it. `wireframeTriangle` stores that data: the
+// `removeEdge` mask by barycentric component, and the triangle index + 1.
+// Triangle and corner order are kept, so groups and corners (t * 3 + k)
+// from classifyEdges / indexEdges stay valid. There is no `even` attribute.
+// Flat varyings read the last vertex in WebGL only, WebGPU uses the first.
+export function indexWireframeGeometry(bufferGeometry, removeEdge = null) {
 	const index = bufferGeometry.getIndex();
-	if (!index) return; // already un-indexed
-
 	const indexArray = index.array;
-	const triangleCount = indexArray.length / 3;
+	const vertexCount = bufferGeometry.getAttribute("position").count;
+	const triangleCount = Math.floor(index.count / 3);
+
+	// the copy of each source vertex in each slot shared by its triangles,
+	// and the one still free to hold a triangle's data
+	const shared = new Int32Array(vertexCount * 3).fill(-1);
+	const free = new Int32Array(vertexCount * 3).fill(-1);
+	const sources = new Uint32Array(triangleCount * 3);
+	const slots = new Uint8Array(triangleCount * 3);
+	const newIndex = new Uint32Array(triangleCount * 3);
+	const dataVertices = new Uint32Array(triangleCount);
+	let copyCount = 0;
+
+	const addCopy = (vertex, slot) => {
+		sources[copyCount] = vertex;
+		slots[copyCount] = slot;
+		return copyCount++;
+	};
+
+	for (let t = 0; t < triangleCount; t++) {
+		const v0 = indexArray[t * 3];
+		const v1 = indexArray[t * 3 + 1];
+		const v2 = indexArray[t * 3 + 2];
+
+		// the slot order splitting the fewest vertices
+		let best = SLOT_ORDERS[0];
+		let bestCost = 4;
+		for (const order of SLOT_ORDERS) {
+			const cost =
+				(shared[v0 * 3 + order[0]] < 0) +
+				(shared[v1 * 3 + order[1]] < 0) +
+				(free[v2 * 3 + order[2]] < 0);
+			if (cost < bestCost) {
+				best = order;
+				bestCost = cost;
+				if (cost === 0) break;
+			}
+		}
+
+		for (let k = 0; k < 2; k++) {
+			const vertex = indexArray[t * 3 + k];
+			const key = vertex * 3 + best[k];
+			if (shared[key] < 0) shared[key] = free[key] = addCopy(vertex, best[k]);
+			newIndex[t * 3 + k] = shared[key];
+		}
+
+		const key = v2 * 3 + best[2];
+		let last = free[key];
+		if (last < 0) {
+			last = addCopy(v2, best[2]);
+			if (shared[key] < 0) shared[key] = last;
+		}
+		free[key] = -1;
+		newIndex[t * 3 + 2] = last;
+		dataVertices[t] = last;
+	}
+
+	const copySources = sources.subarray(0, copyCount);
+	Object.keys(bufferGeometry.attributes).forEach((name) => {
+		const attribute = bufferGeometry.getAttribute(name);
+		bufferGeometry.setAttribute(name, unindexAttribute(attribute, copySources));
+	});
+	Object.keys(bufferGeometry.morphAttributes).forEach((name) => {
+		bufferGeometry.morphAttributes[name] = bufferGeometry.morphAttributes[
+			name
+		].map((attribute) => {
+			const morphAttribute = unindexAttribute(attribute, copySources);
+			morphAttribute.name = attribute.name;
+			return morphAttribute;
+		});
+	});
+
+	const IndexArray = copyCount > 65535 ? Uint32Array : Uint16Array;
+	bufferGeometry.setIndex(new THREE.BufferAttribute(new IndexArray(newIndex), 1));
 
-	const attributes = bufferGeometry.attributes;
-	const newAttribData = Object.keys(attributes).map((key) => {
+	const baryArray = new Uint8Array(copyCount * 3);
+	for (let i = 0; i < copyCount; i++) baryArray[i * 3 + slots[i]] = 255;
+	bufferGeometry.setAttribute(
+		"barycentric",
+		new THREE.BufferAttribute(baryArray, 3, true)
+	);
+
+	const edgeMask = ArrayBuffer.isView(removeEdge) ? removeEdge : null;
+	const triangleArray = new Float32Array(copyCount * 2);
+	for (let t = 0; t < triangleCount; t++) {
+		const vertex = dataVertices[t];
+		let mask = 0;
+		for (let k = 0; k < 3; k++) {
+			// edge k is opposite corner (k + 2) % 3
+			if (edgeMask && edgeMask[t] & (1 << k)) {
+				mask |= 1 << slots[newIndex[t * 3 + ((k + 2) % 3)]];
+			}
+		}
+		triangleArray[vertex * 2] = mask;
+		triangleArray[vertex * 2 + 1] = t + 1;
+	}
+	bufferGeometry.setAttribute(
+		"wireframeTriangle",
+		new THREE.BufferAttribute(triangleArray, 2)
+	);
+}
+
+// Barycentric slots of the three corners, in the order they are tried
+const SLOT_ORDERS = [
+	[0, 1, 2],
+	[1, 2, 0],
+	[2, 0, 1],
+	[0, 2, 1],
+	[1, 0, 2],
+	[2, 1, 0],
+];
+
+// True when the indexed layout can be drawn, it needs WebGL2 for flat
+// varyings
+export function supportsIndexedLayout() {
+	return typeof WebGL2RenderingContext !== "undefined";
+}
+
+// Where a prepared geometry keeps per-triangle data: `vertices(t)` lists the
+// vertices holding it and `component(t, k)` the attribute component for
+// corner k. Un-indexed geometry repeats it on all three vertices in corner
+// order, the indexed layout keeps it on the last vertex in barycentric
+// slot order.
+export function getTriangleLayout(bufferGeometry) {
+	const index = bufferGeometry.getIndex();
+	if (!index) {
 		return {
-			name: key,
-			array: [],
-			attribute: bufferGeometry.getAttribute(key),
+			indexed: false,
+			vertices: (t) => [t * 3, t * 3 + 1, t * 3 + 2],
+			component: (t, k) => k,
 		};
+	}
+	const barycentric = bufferGeometry.getAttribute("barycentric");
+	const slotOf = (vertex) =>
+		barycentric.getX(vertex) > 0.5 ? 0 : barycentric.getY(vertex) > 0.5 ? 1 : 2;
+	return {
+		indexed: true,
+		vertices: (t) => [index.getX(t * 3 + 2)],
+		component: (t, k) => slotOf(index.getX(t * 3 + k)),
+	};
+}
+
+// Edges of a triangle hidden by prepareWireframeGeometry, as EDGE_0 / EDGE_1
+// / EDGE_2 bits in corner order, read back from the lifted barycentrics or
+// the mask of the indexed layout (by slot, for the edge opposite each slot)
+export function getHiddenEdgeMask(
+	bufferGeometry,
+	t,
+	layout = getTriangleLayout(bufferGeometry)
+) {
+	let mask = 0;
+	if (layout.indexed) {
+		const [vertex] = layout.vertices(t);
+		const slots = bufferGeometry.getAttribute("wireframeTriangle").getX(vertex);
+		for (let j = 0; j < 3; j++) {
+			// the edge opposite corner j is edge (j + 1) % 3
+			if (slots & (1 << layout.component(t, j))) mask |= 1 << ((j + 1) % 3);
+		}
+		return mask;
+	}
+
+	const barycentric = bufferGeometry.getAttribute("barycentric");
+	if (!barycentric) return 0;
+	for (let k = 0; k < 3; k++) {
+		// edge k is lifted at its end corner, in the component of the corner
+		// opposite it
+		if (barycentric.getComponent(t * 3 + ((k + 1) % 3), (k + 2) % 3) === 1) {
+			mask |= 1 << k;
+		}
+	}
+	return mask;
+}
+
+// Arc lengths at the start and end of edge k of a triangle (from corner k
+// to corner (k + 1) % 3), as baked by addArcLengths, or null without them
+export function getEdgeArcLengths(
+	bufferGeometry,
+	t,
+	k,
+	layout = getTriangleLayout(bufferGeometry)
+) {
+	const arcLengths = bufferGeometry.getAttribute("arcLengths");
+	if (!arcLengths) return null;
+	// component of the corner opposite the edge
+	const j = (k + 2) % 3;
+	if (!layout.indexed) {
+		return [
+			arcLengths.getComponent(t * 3 + k, j),
+			arcLengths.getComponent(t * 3 + ((k + 1) % 3), j),
+		];
+	}
+
+	const [vertex] = layout.vertices(t);
+	const slot = layout.component(t, j);
+	const start = arcLengths.getComponent(vertex, slot);
+	const end = bufferGeometry.getAttribute("arcLengthEnds").getComponent(vertex, slot);
+	return layout.component(t, k) === (slot + 1) % 3 ? [start, end] : [end, start];
+}
+
+// Bakes the triangle heights used by the 'world' and 'uv' width units.
+// Component k of `edgeHeights` is the distance from vertex k to the edge
+// opposite it, so barycentric.k * height.k is the distance to that edge.
+// `uvEdgeHeights` holds the same measured in UV space, when there are UVs.
+// Stored as per-triangle data, see getTriangleLayout.
+export function addEdgeHeights(bufferGeometry) {
+	const index = bufferGeometry.getIndex();
+	const position = bufferGeometry.getAttribute("position");
+	const uv = bufferGeometry.getAttribute("uv");
+	const layout = getTriangleLayout(bufferGeometry);
+	const vertexAt = index ? (corner) => index.getX(corner) : (corner) => corner;
+	const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+
+	const heights = computeTriangleHeights(triangleCount, (corner, target) =>
+		target.fromBufferAttribute(position, vertexAt(corner))
+	);
+	bufferGeometry.setAttribute(
+		"edgeHeights",
+		createTriangleAttribute(position.count, layout, heights)
+	);
+
+	if (uv) {
+		const uvHeights = computeTriangleHeights(triangleCount, (corner, target) =>
+			target.set(uv.getX(vertexAt(corner)), uv.getY(vertexAt(corner)), 0)
+		);
+		bufferGeometry.setAttribute(
+			"uvEdgeHeights",
+			createTriangleAttribute(position.count, layout, uvHeights)
+		);
+	}
+}
+
+// Adds the arc lengths from computeArcLengths. Un-indexed geometry takes
+// them per corner, the indexed layout keeps the distance at both ends of
+// each edge per triangle: in `arcLengths` the end at the following slot,
+// in `arcLengthEnds` the one at the slot before.
+export function addArcLengths(bufferGeometry, arcLengths) {
+	const layout = getTriangleLayout(bufferGeometry);
+	if (!layout.indexed) {
+		bufferGeometry.setAttribute(
+			"arcLengths",
+			new THREE.BufferAttribute(arcLengths, 3)
+		);
+		return;
+	}
+
+	const count = bufferGeometry.getAttribute("position").count;
+	const starts = new Float32Array(count * 3);
+	const ends = new Float32Array(count * 3);
+	const triangleCount = arcLengths.length / 9;
+	for (let t = 0; t < triangleCount; t++) {
+		const [vertex] = layout.vertices(t);
+		for (let j = 0; j < 3; j++) {
+			// the edge opposite corner j runs from corner c0 to corner c1
+			const c0 = (j + 1) % 3;
+			const c1 = (j + 2) % 3;
+			const slot = layout.component(t, j);
+			const s0 = arcLengths[t * 9 + c0 * 3 + j];
+			const s1 = arcLengths[t * 9 + c1 * 3 + j];
+			const forward = layout.component(t, c0) === (slot + 1) % 3;
+			starts[vertex * 3 + slot] = forward ? s0 : s1;
+			ends[vertex * 3 + slot] = forward ? s1 : s0;
+		}
+	}
+	bufferGeometry.setAttribute("arcLengths", new THREE.BufferAttribute(starts, 3));
+	bufferGeometry.setAttribute("arcLengthEnds", new THREE.BufferAttribute(ends, 3));
+}
+
+// Bakes the `revealField` attribute read by the 'attribute' revealSource,
+// 0 .. 1 over the mesh, on the source geometry before its layout is built.
+// Split vertices get the value of their welded position. reveal:
+//   "bfs"           - edge hops from the vertex nearest revealStart, a point
+//                     { x, y, z } in object space (vertex 0 when null). Parts
+//                     not connected to it start from their own vertex
+//                     nearest it, at 0.
+//   "triangleOrder" - the first triangle using each vertex, so the mesh
+//                     builds up in the order it was modelled
+export function addRevealField(bufferGeometry, options = {}) {
+	const settings = resolveGeometryOptions(options);
+	const index = bufferGeometry.getIndex();
+	const position = bufferGeometry.getAttribute("position");
+	const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+	const vertexAt = index ? (corner) => index.getX(corner) : (corner) => corner;
+	const { welded, weldedCount } = weldVertices(position, settings.weldTolerance);
+
+	const order = new Float32Array(weldedCount).fill(-1);
+	if (settings.reveal === "triangleOrder") {
+		for (let corner = 0; corner < triangleCount * 3; corner++) {
+			const w = welded[vertexAt(corner)];
+			if (order[w] < 0) order[w] = Math.floor(corner / 3);
+		}
+	} else if (settings.reveal === "bfs") {
+		const mesh = { triangleCount, vertexAt, welded, weldedCount };
+		computeHopDistances(position, mesh, settings.revealStart, order);
+	} else {
+		throw new Error(`Unknown reveal "${settings.reveal}"`);
+	}
+
+	let max = 0;
+	order.forEach((value) => (max = Math.max(max, value)));
+	const values = new Float32Array(position.count);
+	for (let v = 0; v < position.count; v++) {
+		values[v] = max > 0 ? Math.max(order[welded[v]], 0) / max : 0;
+	}
+	bufferGeometry.setAttribute("revealField", new THREE.BufferAttribute(values, 1));
+}
+
+// Breadth-first search over the welded edges of the triangles, writing the
+// hop count of every welded vertex into `distances`
+function computeHopDistances(position, mesh, start, distances) {
+	const { triangleCount, vertexAt, welded, weldedCount } = mesh;
+	// neighbours of every welded vertex, two per triangle corner
+	const offsets = new Uint32Array(weldedCount + 1);
+	for (let corner = 0; corner < triangleCount * 3; corner++) {
+		offsets[welded[vertexAt(corner)] + 1] += 2;
+	}
+	for (let w = 0; w < weldedCount; w++) offsets[w + 1] += offsets[w];
+	const neighbours = new Uint32Array(offsets[weldedCount]);
+	const filled = offsets.slice(0, weldedCount);
+	for (let t = 0; t < triangleCount; t++) {
+		for (let k = 0; k < 3; k++) {
+			const w0 = welded[vertexAt(t * 3 + k)];
+			const w1 = welded[vertexAt(t * 3 + ((k + 1) % 3))];
+			neighbours[filled[w0]++] = w1;
+			neighbours[filled[w1]++] = w0;
+		}
+	}
+
+	// seeds in order of distance from the start, vertex order without one
+	const seeds = [];
+	const seen = new Uint8Array(weldedCount);
+	for (let v = 0; v < position.count; v++) {
+		if (seen[welded[v]]) continue;
+		seen[welded[v]] = 1;
+		seeds.push(v);
+	}
+	if (start) {
+		const distance = new Float32Array(position.count);
+		seeds.forEach((v) => {
+			distance[v] = Math.hypot(
+				position.getX(v) - start.x,
+				position.getY(v) - start.y,
+				position.getZ(v) - start.z
+			);
+		});
+		seeds.sort((a, b) => distance[a] - distance[b]);
+	}
+
+	const queue = new Uint32Array(weldedCount);
+	seeds.forEach((seed) => {
+		const w = welded[seed];
+		if (distances[w] >= 0 || offsets[w] === offsets[w + 1]) return;
+		let head = 0;
+		let tail = 0;
+		distances[w] = 0;
+		queue[tail++] = w;
+		while (head < tail) {
+			const current = queue[head++];
+			for (let i = offsets[current]; i < offsets[current + 1]; i++) {
+				const next = neighbours[i];
+				if (distances[next] >= 0) continue;
+				distances[next] = distances[current] + 1;
+				queue[tail++] = next;
+			}
+		}
 	});
+}
 
-	for (let i = 0; i < triangleCount; i++) {
-		// indices into attributes
-		const a = indexArray[i * 3 + 0];
-		const b = indexArray[i * 3 + 1];
-		const c = indexArray[i * 3 + 2];
-		const indices = [a, b, c];
-
-		// for each attribute, put vertex into unindexed list
-		newAttribData.forEach((data) => {
-			const attrib = data.attribute;
-			const dim = attrib.itemSize;
-			// add [a, b, c] vertices
-			for (let i = 0; i < indices.length; i++) {
-				const index = indices[i];
-				for (let d = 0; d < dim; d++) {
-					const v = attrib.array[index * dim + d];
-					data.array.push(v);
-				}
+// Smallest and largest value of a reveal source over the vertices of a
+// geometry, { min, max } for revealMin and revealMax: the distance from
+// `center` ('radial'), the position along `axis` from `center` ('axis') or
+// the revealField attribute ('attribute')
+export function computeRevealRange(bufferGeometry, source, center, axis) {
+	const position = bufferGeometry.getAttribute("position");
+	const field = bufferGeometry.getAttribute("revealField");
+	const direction = _ab.copy(axis).normalize();
+	let min = Infinity;
+	let max = -Infinity;
+	for (let v = 0; v < position.count; v++) {
+		let value;
+		if (source === "attribute") {
+			value = field ? field.getX(v) : 0;
+		} else {
+			_ac.fromBufferAttribute(position, v).sub(center);
+			value = source === "axis" ? _ac.dot(direction) : _ac.length();
+		}
+		min = Math.min(min, value);
+		max = Math.max(max, value);
+	}
+	if (min > max) return { min: 0, max: 1 };
+	return { min, max };
+}
+
+const _corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _ab = new THREE.Vector3();
+const _ac = new THREE.Vector3();
+
+// Heights of every triangle, three per triangle in corner order
+function computeTriangleHeights(count, readCorner) {
+	const heights = new Float32Array(count * 3);
+	const [a, b, c] = _corners;
+	for (let t = 0; t < count; t++) {
+		readCorner(t * 3, a);
+		readCorner(t * 3 + 1, b);
+		readCorner(t * 3 + 2, c);
+		// twice the triangle area, over the length of the opposite edge
+		const doubleArea = _ab.subVectors(b, a).cross(_ac.subVectors(c, a)).length();
+		heights[t * 3] = doubleArea / Math.max(b.distanceTo(c), 1e-12);
+		heights[t * 3 + 1] = doubleArea / Math.max(c.distanceTo(a), 1e-12);
+		heights[t * 3 + 2] = doubleArea / Math.max(a.distanceTo(b), 1e-12);
+	}
+	return heights;
+}
+
+// A vec3 attribute holding one value per triangle corner, see getTriangleLayout
+function createTriangleAttribute(count, layout, values) {
+	const array = new Float32Array(count * 3);
+	const triangleCount = values.length / 3;
+	for (let t = 0; t < triangleCount; t++) {
+		layout.vertices(t).forEach((vertex) => {
+			for (let k = 0; k < 3; k++) {
+				array[vertex * 3 + layout.component(t, k)] = values[t * 3 + k];
 			}
 		});
 	}
+	return new THREE.BufferAttribute(array, 3);
+}
+
+export function unindexBufferGeometry(bufferGeometry) {
+	// un-indices the geometry, copying all attributes like position and uv,
+	// skinIndex / skinWeight and every morph target
+	const index = bufferGeometry.getIndex();
+	if (!index) return; // already un-indexed
+
+	const indexArray = index.array;
+
+	Object.keys(bufferGeometry.attributes).forEach((name) => {
+		const attribute = bufferGeometry.getAttribute(name);
+		bufferGeometry.setAttribute(name, unindexAttribute(attribute, indexArray));
+	});
+
+	Object.keys(bufferGeometry.morphAttributes).forEach((name) => {
+		bufferGeometry.morphAttributes[name] = bufferGeometry.morphAttributes[
+			name
+		].map((attribute) => {
+			const morphAttribute = unindexAttribute(attribute, indexArray);
+			morphAttribute.name = attribute.name;
+			return morphAttribute;
+		});
+	});
+
 	index.array = null;
 	bufferGeometry.setIndex(null);
+}
 
-	// now copy over new data
-	newAttribData.forEach((data) => {
-		const newArray = new data.attribute.array.constructor(data.array);
-		const newAttribute = new THREE.BufferAttribute(
-			newArray,
-			data.attribute.itemSize
-		);
-		bufferGeometry.setAttribute(data.name, newAttribute);
+// Expands a single attribute so every index entry gets its own vertex, or
+// more generally gathers the vertices listed in `indexArray`
+function unindexAttribute(attribute, indexArray) {
+	const dim = attribute.itemSize;
+	// interleaved attributes share a buffer, so read through getComponent,
+	// and normalized ones are read as floats, so store them normalized again
+	const newArray = new attribute.array.constructor(indexArray.length * dim);
+	const normalize = attribute.normalized
+		? (value) => THREE.MathUtils.normalize(value, newArray)
+		: (value) => value;
+	for (let i = 0; i < indexArray.length; i++) {
+		const index = indexArray[i];
+		for (let d = 0; d < dim; d++) {
+			newArray[i * dim + d] = normalize(attribute.getComponent(index, d));
+		}
+	}
+	return new THREE.BufferAttribute(newArray, dim, attribute.normalized);
+}
+
+// The geometry work of prepareWireframeGeometry, done in place on a geometry
+// the caller owns. Used on the main thread and in wireframeGeometryWorker.js,
+// so it only relies on three's core classes. Calls onProgress(progress, stage)
+// after each stage, with progress from 0 to 1. Returns the edge index for
+// edgeStyles, or null, the styles themselves are applied by the caller.
+export function buildWireframeGeometry(bufferGeometry, options = {}, onProgress) {
+	const settings = resolveGeometryOptions(options);
+	const indexed = resolveIndexedLayout(bufferGeometry, settings);
+	const stages = [
+		"normals",
+		"edges",
+		settings.arcLengths && "arcLengths",
+		settings.edgeStyles && "edgeIndex",
+		settings.reveal && "reveal",
+		"layout",
+		settings.edgeHeights && "edgeHeights",
+	].filter(Boolean);
+	let done = 0;
+	const report = (stage) => {
+		done++;
+		if (onProgress) onProgress(done / stages.length, stage);
+	};
+
+	// lit shading needs normals, compute smooth ones while still indexed
+	if (!bufferGeometry.getAttribute("normal")) {
+		bufferGeometry.computeVertexNormals();
+	}
+	report("normals");
+	// edges are classified on the indexed geometry, while adjacency is intact
+	const edgeMask = classifyEdges(bufferGeometry, settings);
+	report("edges");
+	let arcLengths = null;
+	if (settings.arcLengths) {
+		arcLengths = computeArcLengths(bufferGeometry, edgeMask, settings);
+		report("arcLengths");
+	}
+	let edgeIndex = null;
+	if (settings.edgeStyles) {
+		edgeIndex = indexEdges(bufferGeometry, settings);
+		report("edgeIndex");
+	}
+	// baked per source vertex, the layouts copy it to their vertices
+	if (settings.reveal) {
+		addRevealField(bufferGeometry, settings);
+		report("reveal");
+	}
+	if (indexed) {
+		indexWireframeGeometry(bufferGeometry, edgeMask);
+	} else {
+		unindexBufferGeometry(bufferGeometry);
+		// once un-indexed, computeVertexNormals gives one normal per face
+		if (settings.flatNormals) bufferGeometry.computeVertexNormals();
+		addBarycentricCoordinates(bufferGeometry, edgeMask);
+	}
+	report("layout");
+	if (arcLengths) addArcLengths(bufferGeometry, arcLengths);
+	if (settings.edgeHeights) {
+		addEdgeHeights(bufferGeometry);
+		report("edgeHeights");
+	}
+	return edgeIndex;
+}
+
+// Whether buildWireframeGeometry uses the indexed layout, resolving the
+// 'auto' setting of the `indexed` option
+export function resolveIndexedLayout(bufferGeometry, options = {}) {
+	const settings = resolveGeometryOptions(options);
+	if (!bufferGeometry.getIndex() || !settings.indexed) return false;
+	if (settings.indexed !== "auto") return true;
+	return supportsIndexedLayout() && !settings.flatNormals;
+}
+
+// Puts the data of a geometry into plain typed arrays for postMessage.
+// Returns the message data and the buffers to transfer, which belong to a
+// copy unless `copyArrays` is false, when the geometry's own arrays are
+// handed over. Interleaved attributes are de-interleaved.
+export function serializeGeometry(bufferGeometry, copyArrays = true) {
+	const buffers = new Set();
+	const copy = (attribute) => {
+		let array = attribute.array;
+		if (attribute.isInterleavedBufferAttribute) {
+			array = unindexAttribute(attribute, indexRange(attribute.count)).array;
+		} else if (copyArrays) {
+			array = array.slice();
+		}
+		buffers.add(array.buffer);
+		return {
+			array,
+			itemSize: attribute.itemSize,
+			normalized: attribute.normalized,
+			name: attribute.name,
+		};
+	};
+
+	const attributes = {};
+	Object.entries(bufferGeometry.attributes).forEach(([name, attribute]) => {
+		attributes[name] = copy(attribute);
+	});
+	const morphAttributes = {};
+	Object.entries(bufferGeometry.morphAttributes).forEach(([name, list]) => {
+		morphAttributes[name] = list.map(copy);
+	});
+	const index = bufferGeometry.getIndex();
+
+	const data = {
+		index: index ? copy(index) : null,
+		attributes,
+		morphAttributes,
+		morphTargetsRelative: bufferGeometry.morphTargetsRelative,
+		groups: bufferGeometry.groups.map((group) => ({ ...group })),
+		drawRange: { ...bufferGeometry.drawRange },
+	};
+	return { data, transfer: [...buffers] };
+}
+
+// Rebuilds a geometry from serializeGeometry data
+export function deserializeGeometry(data) {
+	const geometry = new THREE.BufferGeometry();
+	const create = ({ array, itemSize, normalized, name }) => {
+		const attribute = new THREE.BufferAttribute(array, itemSize, normalized);
+		attribute.name = name;
+		return attribute;
+	};
+
+	if (data.index) geometry.setIndex(create(data.index));
+	Object.entries(data.attributes).forEach(([name, attribute]) => {
+		geometry.setAttribute(name, create(attribute));
+	});
+	Object.entries(data.morphAttributes).forEach(([name, list]) => {
+		geometry.morphAttributes[name] = list.map(create);
 	});
+	geometry.morphTargetsRelative = data.morphTargetsRelative;
+	data.groups.forEach(({ start, count, materialIndex }) => {
+		geometry.addGroup(start, count, materialIndex);
+	});
+	geometry.setDrawRange(data.drawRange.start, data.drawRange.count);
+	return geometry;
+}
+
+function indexRange(count) {
+	const range = new Uint32Array(count);
+	for (let i = 0; i < count; i++) range[i] = i;
+	return range;
 }
@@ -0,0 +1,130 @@
+import * as THREE from "three";
+
+// Per-instance style overrides for InstancedMesh, stored as instanced
+// attributes on the mesh geometry and read by the shaders under
+// USE_INSTANCING. Instances without an override use the material values:
+// colors carry an override weight in w, a negative thickness means
+// "inherit", and the dash phase is added to the material's dash offset.
+// The attributes are added when a mesh is first styled, never while
+// rendering: until then the WebGL materials read INSTANCE_STYLE_DEFAULTS
+// through their defaultAttributeValues, and WireframeNodeMaterial leaves
+// them out of the shader.
+// Like any geometry attribute, they're shared by every mesh drawing the
+// geometry, so each styled InstancedMesh needs a geometry of its own, e.g.
+// a geometry.clone() made before styling (clones copy the styles).
+// setInstanceStyle() throws when the geometry's styles belong to another
+// mesh.
+export const INSTANCE_STYLE_ATTRIBUTES = {
+	instanceStroke: { itemSize: 4, inherit: 0 },
+	instanceFill: { itemSize: 4, inherit: 0 },
+	instanceThickness: { itemSize: 1, inherit: -1 },
+	instanceDashPhase: { itemSize: 1, inherit: 0 },
+};
+
+// The "inherit" value of each attribute, for material.defaultAttributeValues
+export const INSTANCE_STYLE_DEFAULTS = Object.fromEntries(
+	Object.entries(INSTANCE_STYLE_ATTRIBUTES).map(([name, { itemSize, inherit }]) => [
+		name,
+		new Array(itemSize).fill(inherit),
+	])
+);
+
+const _color = new THREE.Color();
+
+// InstancedMesh whose styles each geometry holds
+const styleOwners = new WeakMap();
+
+// Adds any missing style attributes sized to the mesh's instance capacity,
+// with every instance inheriting the material style
+export function ensureInstanceStyleAttributes(mesh) {
+	const geometry = mesh.geometry;
+	const count = mesh.instanceMatrix.count;
+
+	Object.entries(INSTANCE_STYLE_ATTRIBUTES).forEach(
+		([name, { itemSize, inherit }]) => {
+			const existing = geometry.getAttribute(name);
+			if (existing && existing.count >= count) return;
+
+			const array = new Float32Array(count * itemSize).fill(inherit);
+			if (existing) array.set(existing.array);
+			const attribute = new THREE.InstancedBufferAttribute(array, itemSize);
+			attribute.setUsage(THREE.DynamicDrawUsage);
+			geometry.setAttribute(name, attribute);
+		}
+	);
+}
+
+// Overrides the style of one instance. Accepts stroke, fill, thickness and
+// dashPhase; pass null to go back to the material value.
+export function setInstanceStyle(mesh, index, style) {
+	const geometry = mesh.geometry;
+	const owner = styleOwners.get(geometry);
+	if (owner && owner !== mesh) {
+		throw new Error(
+			"The geometry holds another InstancedMesh's instance styles, give each mesh its own"
+		);
+	}
+	styleOwners.set(geometry, mesh);
+	ensureInstanceStyleAttributes(mesh);
+
+	["stroke", "fill"].forEach((key) => {
+		if (style[key] === undefined) return;
+		const attribute = geometry.getAttribute(
+			key === "stroke" ? "instanceStroke" : "instanceFill"
+		);
+		if (style[key] === null) {
+			attribute.setXYZW(index, 0, 0, 0, 0);
+		} else {
+			_color.set(style[key]);
+			attribute.setXYZW(index, _color.r, _color.g, _color.b, 1);
+		}
+		attribute.needsUpdate = true;
+	});
+
+	if (style.thickness !== undefined) {
+		const attribute = geometry.getAttribute("instanceThickness");
+		attribute.setX(index, style.thickness === null ? -1 : style.thickness);
+		attribute.needsUpdate = true;
+	}
+
+	if (style.dashPhase !== undefined) {
+		const attribute = geometry.getAttribute("instanceDashPhase");
+		attribute.setX(index, style.dashPhase || 0);
+		attribute.needsUpdate = true;
+	}
+}
+
+// Returns the overrides of one instance, null where the material value is used
+export function getInstanceStyle(mesh, index) {
+	const geometry = mesh.geometry;
+	const style = { stroke: null, fill: null, thickness: null, dashPhase: 0 };
+	if (!geometry.getAttribute("instanceStroke")) return style;
+
+	["stroke", "fill"].forEach((key) => {
+		const attribute = geometry.getAttribute(
+			key === "stroke" ? "instanceStroke" : "instanceFill"
+		);
+		if (attribute.getW(index) > 0) {
+			style[key] = new THREE.Color(
+				attribute.getX(index),
+				attribute.getY(index),
+				attribute.getZ(index)
+			);
+		}
+	});
+
+	const thickness = geometry.getAttribute("instanceThickness").getX(index);
+	if (thickness >= 0) style.thickness = thickness;
+	style.dashPhase = geometry.getAttribute("instanceDashPhase").getX(index);
+	return style;
+}
+
+// Drops every override of one instance
+export function clearInstanceStyle(mesh, index) {
+	setInstanceStyle(mesh, index, {
+		stroke: null,
+		fill: null,
+		thickness: null,
+		dashPhase: 0,
+	});
+}
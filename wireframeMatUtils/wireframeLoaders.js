@@ -0,0 +1,265 @@
+import { MaterialLoader, ObjectLoader } from "three";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { WireframeMaterial, prepareWireframeGeometry } from "./WireframeMaterial.js";
+import { setPolygonIds } from "./wireframeGeomtryUtils.js";
+
+// o object_name | g group_name, as OBJLoader matches them
+const OBJ_OBJECT_PATTERN = /^[og]\s*(.+)?/;
+
+// PLY scalar types: [size in bytes, DataView getter]
+const PLY_TYPES = {
+	char: [1, "getInt8"],
+	int8: [1, "getInt8"],
+	uchar: [1, "getUint8"],
+	uint8: [1, "getUint8"],
+	short: [2, "getInt16"],
+	int16: [2, "getInt16"],
+	ushort: [2, "getUint16"],
+	uint16: [2, "getUint16"],
+	int: [4, "getInt32"],
+	int32: [4, "getInt32"],
+	uint: [4, "getUint32"],
+	uint32: [4, "getUint32"],
+	float: [4, "getFloat32"],
+	float32: [4, "getFloat32"],
+	double: [8, "getFloat64"],
+	float64: [8, "getFloat64"],
+};
+
+// OBJLoader that keeps the polygons of the file: the geometry of every mesh
+// gets userData.polygonIds (see setPolygonIds), so prepareWireframeGeometry
+// hides the edges inside quads and n-gons and nothing else.
+export class WireframeOBJLoader extends OBJLoader {
+	parse(text) {
+		const container = super.parse(text);
+		const objects = readOBJFaceSizes(text);
+		container.children.forEach((child, i) => {
+			if (child.isMesh && objects[i]) setPolygonIds(child.geometry, objects[i]);
+		});
+		return container;
+	}
+}
+
+// PLYLoader that triangulates every face of the file, where PLYLoader drops
+// faces of more than four vertices, and keeps them as userData.polygonIds.
+// Files with per-face texture coordinates or colors come back un-indexed
+// from PLYLoader, so they keep its triangles and quads only.
+export class WireframePLYLoader extends PLYLoader {
+	parse(data) {
+		const geometry = super.parse(data);
+		const faces = readPLYFaces(data, this.propertyNameMapping);
+		if (faces.length === 0) return geometry;
+
+		if (geometry.getIndex()) {
+			const index = [];
+			faces.forEach((face) => {
+				for (let i = 2; i < face.length; i++) {
+					index.push(face[0], face[i - 1], face[i]);
+				}
+			});
+			geometry.setIndex(index);
+			setPolygonIds(geometry, faces.map((face) => face.length));
+		} else {
+			setPolygonIds(
+				geometry,
+				faces
+					.map((face) => face.length)
+					.filter((size) => size === 3 || size === 4)
+			);
+		}
+		return geometry;
+	}
+}
+
+// MaterialLoader that gives WireframeMaterials back from the data of
+// WireframeMaterial.toJSON, where MaterialLoader makes ShaderMaterials
+export class WireframeMaterialLoader extends MaterialLoader {
+	parse(json) {
+		if (!isWireframeMaterialJSON(json)) return super.parse(json);
+		return WireframeMaterial.fromJSON(json, this.textures);
+	}
+}
+
+// ObjectLoader that restores the WireframeMaterials of a serialized scene,
+// see WireframeMaterialLoader
+export class WireframeObjectLoader extends ObjectLoader {
+	parseMaterials(json, textures) {
+		if (json === undefined) return super.parseMaterials(json, textures);
+		const materials = super.parseMaterials(
+			json.filter((data) => !isWireframeMaterialJSON(data)),
+			textures
+		);
+		json.forEach((data) => {
+			if (isWireframeMaterialJSON(data) && !materials[data.uuid]) {
+				materials[data.uuid] = WireframeMaterial.fromJSON(data, textures);
+			}
+		});
+		return materials;
+	}
+}
+
+// Prepares every mesh under `root`, e.g. a loaded glTF scene, and draws them
+// all with one material. Takes the options of prepareWireframeGeometry plus
+// `material`: the material to use, or the options of a WireframeMaterial to
+// create. Geometry shared by several meshes is prepared once, lines and
+// points are left alone. glTF only stores triangles, so 'quads' guesses the
+// quads of geometry without polygon ids. Returns the material.
+export function wireframeScene(root, options = {}) {
+	const { material: materialOptions, ...geometryOptions } = options;
+	const material =
+		materialOptions && materialOptions.isMaterial
+			? materialOptions
+			: new WireframeMaterial(materialOptions);
+
+	const prepared = new Map();
+	root.traverse((object) => {
+		if (!object.isMesh) return;
+		const geometry = object.geometry;
+		if (!prepared.has(geometry)) {
+			prepared.set(geometry, prepareWireframeGeometry(geometry, geometryOptions));
+		}
+		object.geometry = prepared.get(geometry);
+		object.material = material;
+	});
+	return material;
+}
+
+function isWireframeMaterialJSON(json) {
+	return Boolean(json.userData && json.userData.wireframePreset);
+}
+
+// Vertex count of every face, for each object OBJLoader makes a child of,
+// following its rules: the first o / g names the object faces were already
+// added to, objects with nothing in them are skipped, and an f line with n
+// vertices makes n - 2 triangles
+function readOBJFaceSizes(text) {
+	const lines = text.replace(/\r\n/g, "\n").replace(/\\\n/g, "").split("\n");
+	let object = { faceSizes: [], empty: true, fromDeclaration: false };
+	const objects = [object];
+
+	lines.forEach((line) => {
+		line = line.trimStart();
+		const first = line.charAt(0);
+		if (first === "" || first === "#" || first === "v") return;
+
+		if (first === "f") {
+			const size = line.slice(1).trim().split(/\s+/).filter(Boolean).length;
+			object.faceSizes.push(size);
+			if (size >= 3) object.empty = false;
+		} else if (first === "l" || first === "p") {
+			object.empty = false;
+		} else if (OBJ_OBJECT_PATTERN.test(line)) {
+			if (!object.fromDeclaration) {
+				object.fromDeclaration = true;
+				return;
+			}
+			object = { faceSizes: [], empty: true, fromDeclaration: true };
+			objects.push(object);
+		}
+	});
+
+	return objects.filter(({ empty }) => !empty).map(({ faceSizes }) => faceSizes);
+}
+
+// The vertex indices of every face of a PLY file, ASCII or binary
+function readPLYFaces(data, propertyNameMapping = {}) {
+	const bytes = typeof data === "string" ? null : new Uint8Array(data);
+	const headerLength = bytes ? findPLYHeaderEnd(bytes) : data.indexOf("end_header");
+	const headerText = bytes
+		? new TextDecoder().decode(bytes.subarray(0, headerLength))
+		: data.slice(0, headerLength);
+
+	let format = "ascii";
+	const elements = [];
+	headerText.split(/\r\n|\r|\n/).forEach((line) => {
+		const [type, ...values] = line.trim().split(/\s+/);
+		if (type === "format") {
+			format = values[0];
+		} else if (type === "element") {
+			elements.push({ name: values[0], count: parseInt(values[1]), properties: [] });
+		} else if (type === "property" && elements.length > 0) {
+			const isList = values[0] === "list";
+			const name = isList ? values[3] : values[1];
+			elements[elements.length - 1].properties.push({
+				name: name in propertyNameMapping ? propertyNameMapping[name] : name,
+				type: isList ? values[2] : values[0],
+				countType: isList ? values[1] : null,
+			});
+		}
+	});
+
+	const faces = [];
+	const isFaceList = (element, property) =>
+		element.name === "face" &&
+		(property.name === "vertex_indices" || property.name === "vertex_index");
+
+	if (format === "ascii") {
+		const body = bytes
+			? new TextDecoder().decode(bytes.subarray(headerLength))
+			: data.slice(data.indexOf("\n", headerLength) + 1);
+		const tokens = body.trim().split(/\s+/);
+		let i = 0;
+		for (const element of elements) {
+			for (let n = 0; n < element.count; n++) {
+				for (const property of element.properties) {
+					if (i >= tokens.length) return faces;
+					if (!property.countType) {
+						i++;
+						continue;
+					}
+					const count = parseInt(tokens[i++]);
+					if (isFaceList(element, property)) {
+						faces.push(tokens.slice(i, i + count).map((token) => parseInt(token)));
+					}
+					i += count;
+				}
+			}
+		}
+		return faces;
+	}
+
+	const view = new DataView(data, headerLength);
+	const littleEndian = format === "binary_little_endian";
+	const read = (type, at) => view[PLY_TYPES[type][1]](at, littleEndian);
+	let at = 0;
+	for (const element of elements) {
+		// elements without lists have a fixed size
+		if (element.properties.every((property) => !property.countType)) {
+			element.properties.forEach(({ type }) => (at += PLY_TYPES[type][0] * element.count));
+			continue;
+		}
+		for (let n = 0; n < element.count; n++) {
+			for (const property of element.properties) {
+				const size = PLY_TYPES[property.type][0];
+				if (!property.countType) {
+					at += size;
+					continue;
+				}
+				const count = read(property.countType, at);
+				at += PLY_TYPES[property.countType][0];
+				if (isFaceList(element, property)) {
+					const face = [];
+					for (let j = 0; j < count; j++) face.push(read(property.type, at + j * size));
+					faces.push(face);
+				}
+				at += count * size;
+			}
+		}
+	}
+	return faces;
+}
+
+// Offset of the body of a binary PLY file, after the end_header line
+function findPLYHeaderEnd(bytes) {
+	const marker = Array.from("end_header", (c) => c.charCodeAt(0));
+	for (let i = 0; i + marker.length <= bytes.length; i++) {
+		if (i > 0 && bytes[i - 1] !== 10 && bytes[i - 1] !== 13) continue;
+		if (!marker.every((code, j) => bytes[i + j] === code)) continue;
+		let end = i + marker.length;
+		if (bytes[end] === 13) end++;
+		if (bytes[end] === 10) end++;
+		return end;
+	}
+	return bytes.length;
+}
@@ -0,0 +1,270 @@
+import { DASH_PATTERNS } from "./wireframeStyle.js";
+
+// Style presets: a versioned JSON form of a wireframe material's style,
+//   { type: "WireframePreset", version, name, style, userData }
+// where style holds the options of the WireframeMaterial constructor, with
+// colors as "#rrggbb" strings. A preset may leave options out, applying it
+// keeps their current values. userData is for the application, e.g. the
+// demo's background color, and is never read here.
+
+export const WIREFRAME_PRESET_TYPE = "WireframePreset";
+export const WIREFRAME_PRESET_VERSION = 1;
+
+// Type of every option a preset can hold: "color", "number", "boolean",
+// "vector3" ([x, y, z]), "dashPattern" (null, a DASH_PATTERNS name or a dash
+// array) or the list of allowed strings. The envMap option isn't a style
+// and isn't kept, neither are dash pattern textures.
+export const WIREFRAME_PRESET_SCHEMA = {
+	fill: "color",
+	stroke: "color",
+	thickness: "number",
+	widthUnits: ["screen", "world", "uv"],
+	seeThrough: "boolean",
+	insideAltColor: "boolean",
+	dashEnabled: "boolean",
+	dashRepeats: "number",
+	dashLength: "number",
+	dashAnimate: "boolean",
+	dashOverlap: "boolean",
+	dashUnits: ["edge", "world"],
+	dashPattern: "dashPattern",
+	noiseA: "boolean",
+	noiseB: "boolean",
+	noiseAIntensity: "number",
+	noiseBIntensity: "number",
+	dualStroke: "boolean",
+	dualThickness: "number",
+	squeeze: "boolean",
+	squeezeMin: "number",
+	squeezeMax: "number",
+	drawOn: "boolean",
+	drawOnProgress: "number",
+	reveal: "boolean",
+	revealSource: ["radial", "axis", "attribute"],
+	revealProgress: "number",
+	revealFillProgress: "number",
+	revealSoftness: "number",
+	revealCenter: "vector3",
+	revealAxis: "vector3",
+	revealMin: "number",
+	revealMax: "number",
+	depthFade: "boolean",
+	depthFadeNear: "number",
+	depthFadeFar: "number",
+	depthFadeMin: "number",
+	hiddenLines: ["off", "hide", "dashed", "faded"],
+	hiddenLineOpacity: "number",
+	hiddenDashRepeats: "number",
+	hiddenDashLength: "number",
+	hiddenLineBias: "number",
+	edgeStyles: "boolean",
+	highlight: "boolean",
+	hoverColor: "color",
+	selectionColor: "color",
+	pickPadding: "number",
+	shading: ["flat", "lambert", "physical"],
+	roughness: "number",
+	metalness: "number",
+	envMapIntensity: "number",
+	fog: "boolean",
+};
+
+// The legacy gui.json layout (dat.gui's remember() format) measured line
+// widths in barycentric units, widths are now in pixels by default
+const LEGACY_WIDTH_SCALE = 1000;
+
+// Legacy keys the style doesn't use, moved to userData
+const LEGACY_USER_DATA = {
+	backgroundHex: "background",
+	name: "geometry",
+	edgeRemoval: "edgeRemoval",
+};
+
+// Preset of a WireframeMaterial's or WireframeNodeMaterial's current style,
+// with every option the material has
+export function createWireframePreset(material, options = {}) {
+	const style = {};
+	Object.entries(WIREFRAME_PRESET_SCHEMA).forEach(([key, type]) => {
+		let value;
+		if (key === "dashPattern") {
+			const pattern = material.dashPattern;
+			value = Array.isArray(pattern) ? pattern.slice() : pattern;
+			if (!value || value.isTexture) value = null;
+		} else if (key === "fog") {
+			value = material.fog;
+		} else if (key in material.features) {
+			value = material.features[key];
+		} else if (material.uniforms[key]) {
+			value = material.uniforms[key].value;
+		} else {
+			return;
+		}
+		if (type === "color") value = `#${value.getHexString()}`;
+		if (type === "vector3") value = value.toArray();
+		style[key] = value;
+	});
+
+	const preset = {
+		type: WIREFRAME_PRESET_TYPE,
+		version: WIREFRAME_PRESET_VERSION,
+		name: options.name || "",
+		style,
+	};
+	if (options.userData) preset.userData = options.userData;
+	return preset;
+}
+
+// Applies a preset, or anything readWireframePreset takes, to a material.
+// Options the material doesn't have are skipped, e.g. shading on
+// WireframeNodeMaterial. Changed feature flags recompile the shader.
+export function applyWireframePreset(material, preset) {
+	const { style } = readWireframePreset(preset);
+	const features = {};
+	Object.entries(style).forEach(([key, value]) => {
+		if (key === "dashPattern") {
+			material.setDashPattern(value);
+			return;
+		}
+		if (key === "fog") {
+			if (material.fog !== value) {
+				material.fog = value;
+				material.needsUpdate = true;
+			}
+			return;
+		}
+
+		// feature flags are uniforms too
+		const uniform = material.uniforms[key];
+		if (uniform && uniform.value && uniform.value.isColor) {
+			uniform.value.set(value);
+		} else if (uniform && uniform.value && uniform.value.isVector3) {
+			uniform.value.fromArray(value);
+		} else if (uniform) {
+			uniform.value = value;
+		}
+		if (key in material.features) features[key] = value;
+	});
+	material.updateFeatures(features);
+	return material;
+}
+
+// Migrates and validates a preset, given as an object or a JSON string.
+// Throws an Error listing the problems of invalid presets.
+export function readWireframePreset(data) {
+	const preset = migrateWireframePreset(
+		typeof data === "string" ? JSON.parse(data) : data
+	);
+	const errors = validateWireframePreset(preset);
+	if (errors.length > 0) {
+		throw new Error(`Invalid wireframe preset: ${errors.join("; ")}`);
+	}
+	return preset;
+}
+
+// Problems of a preset in the current version, an empty array when valid
+export function validateWireframePreset(preset) {
+	if (!isObject(preset)) return ["preset is not an object"];
+
+	const errors = [];
+	if (preset.type !== WIREFRAME_PRESET_TYPE) {
+		errors.push(`type is not "${WIREFRAME_PRESET_TYPE}"`);
+	}
+	if (preset.version !== WIREFRAME_PRESET_VERSION) {
+		errors.push(`unsupported version ${preset.version}`);
+	}
+	if (preset.name !== undefined && typeof preset.name !== "string") {
+		errors.push("name is not a string");
+	}
+	if (preset.userData !== undefined && !isObject(preset.userData)) {
+		errors.push("userData is not an object");
+	}
+	if (!isObject(preset.style)) {
+		errors.push("style is not an object");
+		return errors;
+	}
+
+	Object.entries(preset.style).forEach(([key, value]) => {
+		const type = WIREFRAME_PRESET_SCHEMA[key];
+		if (!type) {
+			errors.push(`unknown option "${key}"`);
+		} else if (!isValidOption(type, value)) {
+			const expected = Array.isArray(type) ? type.join(" | ") : type;
+			errors.push(`${key} is not a valid ${expected}`);
+		}
+	});
+	return errors;
+}
+
+// Brings a preset of an earlier version up to date. Entries of the legacy
+// gui.json layout are presets of version 0. Presets of the current or a
+// later version are returned as they are, for validation to judge.
+export function migrateWireframePreset(data) {
+	if (isObject(data) && data.type === undefined && data.version === undefined) {
+		return migrateLegacyPreset(data, "");
+	}
+	return data;
+}
+
+// Every preset of the legacy gui.json layout, { preset, remembered: { name:
+// { 0: values } } }, in order, current version
+export function migrateGuiPresets(json) {
+	const remembered = (isObject(json) && json.remembered) || {};
+	return Object.entries(remembered).map(([name, entry]) =>
+		migrateLegacyPreset(entry["0"] || entry, name)
+	);
+}
+
+// Options the legacy layout doesn't have are left out, the demo had flat
+// shading only
+function migrateLegacyPreset(values, name) {
+	const style = { shading: "flat" };
+	const userData = {};
+	Object.entries(values).forEach(([key, value]) => {
+		if (key in LEGACY_USER_DATA) {
+			userData[LEGACY_USER_DATA[key]] = value;
+		} else if (key === "fillHex" || key === "strokeHex") {
+			style[key.slice(0, -3)] = value;
+		} else if (key === "thickness" || key === "dualThickness") {
+			style[key] = value * LEGACY_WIDTH_SCALE;
+		} else {
+			style[key] = value;
+		}
+	});
+	return {
+		type: WIREFRAME_PRESET_TYPE,
+		version: WIREFRAME_PRESET_VERSION,
+		name,
+		style,
+		userData,
+	};
+}
+
+function isValidOption(type, value) {
+	if (Array.isArray(type)) return type.includes(value);
+	switch (type) {
+		case "color":
+			return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+		case "number":
+			return Number.isFinite(value);
+		case "boolean":
+			return typeof value === "boolean";
+		case "vector3":
+			return (
+				Array.isArray(value) &&
+				value.length === 3 &&
+				value.every((component) => Number.isFinite(component))
+			);
+		case "dashPattern":
+			if (value === null) return true;
+			if (typeof value === "string") return value in DASH_PATTERNS;
+			return (
+				Array.isArray(value) &&
+				value.every((length) => Number.isFinite(length) && length >= 0)
+			);
+	}
+	return false;
+}
+
+function isObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,16 @@
+import * as THREE from "three";
+import wireframeParsVertex from "./wireframe_pars_vertex.glsl?raw";
+import wireframeVertex from "./wireframe_vertex.glsl?raw";
+import wireframeParsFragment from "./wireframe_pars_fragment.glsl?raw";
+import wireframeFragment from "./wireframe_fragment.glsl?raw";
+
+// Register the wireframe chunks with three.js so they can be pulled in with
+// `#include <wireframe_*>` from our own shaders and from patched built-ins.
+export const WireframeShaderChunk = {
+	wireframe_pars_vertex: wireframeParsVertex,
+	wireframe_vertex: wireframeVertex,
+	wireframe_pars_fragment: wireframeParsFragment,
+	wireframe_fragment: wireframeFragment,
+};
+
+Object.assign(THREE.ShaderChunk, WireframeShaderChunk);
@@ -0,0 +1,277 @@
+import * as THREE from "three";
+
+// Default style options, shared by every wireframe material.
+// Returns a fresh object so colors are never shared between materials.
+export function getWireframeDefaults() {
+	return {
+		fill: new THREE.Color("#ffffff"),
+		stroke: new THREE.Color("#000000"),
+		thickness: 0.01,
+		// 'screen' (pixels), 'world' (scene units) or 'uv' (texture space)
+		widthUnits: "screen",
+		seeThrough: false,
+		dashEnabled: false,
+		dashRepeats: 2.0,
+		dashLength: 0.55,
+		dashAnimate: false,
+		dashOverlap: false,
+		// 'edge' (dashRepeats per edge) or 'world' (dashRepeats per unit length)
+		dashUnits: "edge",
+		// null (use dashLength), a DASH_PATTERNS name, a dash array or a
+		// pattern texture, see resolveDashPattern
+		dashPattern: null,
+		noiseA: false,
+		noiseB: false,
+		noiseAIntensity: 5.15,
+		noiseBIntensity: 10.12,
+		dualStroke: false,
+		dualThickness: 0.05,
+		squeeze: false,
+		squeezeMin: 0.1,
+		squeezeMax: 1.0,
+		// strokes grow from both ends of each edge as drawOnProgress goes
+		// from 0 to 1, see createDrawOnClip in wireframeAnimation.js
+		drawOn: false,
+		drawOnProgress: 1.0,
+		// strokes and fill appear where a scalar field is below their
+		// progress: the distance from revealCenter ('radial'), the position
+		// along revealAxis from revealCenter ('axis') or the revealField
+		// baked by prepareWireframeGeometry({ reveal }) ('attribute'), in
+		// object space and mapped from revealMin .. revealMax to 0 .. 1.
+		// revealSoftness is the width of the front in that 0 .. 1 range.
+		reveal: false,
+		revealSource: "radial",
+		revealProgress: 1.0,
+		revealFillProgress: 1.0,
+		revealSoftness: 0.1,
+		revealCenter: new THREE.Vector3(),
+		revealAxis: new THREE.Vector3(0, 1, 0),
+		revealMin: 0.0,
+		revealMax: 1.0,
+		insideAltColor: true,
+		depthFade: true,
+		depthFadeNear: 1.0,
+		depthFadeFar: 20.0,
+		depthFadeMin: 0.1,
+		// occluded edges: 'off', 'hide', 'dashed' or 'faded', see HiddenLineRenderer
+		hiddenLines: "off",
+		hiddenLineOpacity: 0.3,
+		hiddenDashRepeats: 8.0,
+		hiddenDashLength: 0.5,
+		hiddenLineBias: 0.001,
+		// per-edge stroke, thickness and visibility baked by
+		// prepareWireframeGeometry({ edgeStyles }), see wireframeEdgeStyles.js
+		edgeStyles: false,
+		// hover / selection colors for WireframePicker.setHighlight
+		highlight: false,
+		hoverColor: new THREE.Color("#ff8a00"),
+		selectionColor: new THREE.Color("#1e90ff"),
+		// extra line width in pixels that still picks an edge
+		pickPadding: 4.0,
+	};
+}
+
+// Feature flags that map to shader defines and need a program rebuild.
+// Materials also keep a `dashPatternType` feature, the resolved type of
+// their dashPattern, which is set through setDashPattern().
+export const WIREFRAME_FEATURES = [
+	"noiseA",
+	"noiseB",
+	"depthFade",
+	"squeeze",
+	"drawOn",
+	"reveal",
+	"revealSource",
+	"dashEnabled",
+	"dashAnimate",
+	"dashOverlap",
+	"dualStroke",
+	"seeThrough",
+	"insideAltColor",
+	"widthUnits",
+	"dashUnits",
+	"hiddenLines",
+	"edgeStyles",
+	"highlight",
+];
+
+// Named dash arrays for the dashPattern option
+export const DASH_PATTERNS = {
+	dash: [3, 2],
+	longDash: [4, 1],
+	dot: [1, 3],
+	dashDot: [0.4, 0.1, 0.05, 0.1],
+	dashDotDot: [0.4, 0.1, 0.05, 0.1, 0.05, 0.1],
+	longShort: [0.6, 0.1, 0.2, 0.1],
+};
+
+// Size of the dashPatternStops uniform array, in wireframe_pars_fragment
+export const DASH_PATTERN_STOPS = 8;
+
+// Resolves a dashPattern option into what the shaders read. Dash arrays
+// alternate dash and gap lengths like SVG's stroke-dasharray (an odd count
+// is repeated once) and are relative: the whole array spans one of the
+// dashRepeats periods. They become the cumulative ends of each dash and
+// gap over that period, up to DASH_PATTERN_STOPS of them, with unused stops
+// at 1.0. Textures are sampled along u over one period, their red channel
+// giving the dash coverage. Returns { type: 'none' | 'array' | 'texture',
+// stops, texture }.
+export function resolveDashPattern(pattern) {
+	const stops = new Array(DASH_PATTERN_STOPS).fill(1);
+	if (pattern && pattern.isTexture) {
+		return { type: "texture", stops, texture: pattern };
+	}
+
+	let lengths = typeof pattern === "string" ? DASH_PATTERNS[pattern] : pattern;
+	if (!lengths || lengths.length === 0) {
+		return { type: "none", stops, texture: null };
+	}
+	if (lengths.length % 2 === 1) lengths = [...lengths, ...lengths];
+	lengths = lengths
+		.slice(0, DASH_PATTERN_STOPS)
+		.map((length) => Math.max(length, 0));
+
+	const total = lengths.reduce((sum, length) => sum + length, 0);
+	if (total <= 0) return { type: "none", stops, texture: null };
+	let end = 0;
+	lengths.forEach((length, i) => {
+		end += length;
+		stops[i] = end / total;
+	});
+	return { type: "array", stops, texture: null };
+}
+
+// Dash position units animated dashes move per second
+export const DASH_SPEED = 0.22;
+
+// Distance animated dashes have moved at a time, like
+// getDashAnimationOffset in wireframe_pars_fragment. Looping moves them a
+// whole number of periods per loop, at the closest speed to DASH_SPEED.
+export function getDashAnimationOffset(time, repeats, loopDuration = 0) {
+	if (!(loopDuration > 0)) return time * DASH_SPEED;
+	const periods = Math.max(1, Math.round(DASH_SPEED * loopDuration * repeats));
+	const loopTime = time - Math.floor(time / loopDuration) * loopDuration;
+	return (loopTime * periods) / (loopDuration * repeats);
+}
+
+// Uniforms read by wireframe_pars_fragment
+export function createWireframeUniforms(settings) {
+	const dashPattern = resolveDashPattern(settings.dashPattern);
+	return {
+		time: { value: 0 },
+		// seconds after which animated effects repeat, 0 for never, see
+		// WireframeTimeline
+		loopDuration: { value: 0 },
+		fill: { value: settings.fill },
+		stroke: { value: settings.stroke },
+		thickness: { value: settings.thickness },
+		seeThrough: { value: settings.seeThrough },
+		dashEnabled: { value: settings.dashEnabled },
+		dashRepeats: { value: settings.dashRepeats },
+		dashLength: { value: settings.dashLength },
+		dashAnimate: { value: settings.dashAnimate },
+		dashPatternStops: { value: dashPattern.stops },
+		dashPatternMap: { value: dashPattern.texture },
+		noiseA: { value: settings.noiseA },
+		noiseB: { value: settings.noiseB },
+		noiseAIntensity: { value: settings.noiseAIntensity },
+		noiseBIntensity: { value: settings.noiseBIntensity },
+		dualStroke: { value: settings.dualStroke },
+		dualThickness: { value: settings.dualThickness },
+		squeeze: { value: settings.squeeze },
+		squeezeMin: { value: settings.squeezeMin },
+		squeezeMax: { value: settings.squeezeMax },
+		dashOverlap: { value: settings.dashOverlap },
+		insideAltColor: { value: settings.insideAltColor },
+		depthFade: { value: settings.depthFade },
+		depthFadeNear: { value: settings.depthFadeNear },
+		depthFadeFar: { value: settings.depthFadeFar },
+		depthFadeMin: { value: settings.depthFadeMin },
+		drawOn: { value: settings.drawOn },
+		drawOnProgress: { value: settings.drawOnProgress },
+		reveal: { value: settings.reveal },
+		revealProgress: { value: settings.revealProgress },
+		revealFillProgress: { value: settings.revealFillProgress },
+		revealSoftness: { value: settings.revealSoftness },
+		revealCenter: { value: settings.revealCenter },
+		revealAxis: { value: settings.revealAxis },
+		revealMin: { value: settings.revealMin },
+		revealMax: { value: settings.revealMax },
+	};
+}
+
+// Uniforms for hidden-line removal, only used by the WebGL materials.
+// The depth pre-pass fields are filled in by HiddenLineRenderer each frame.
+export function createHiddenLineUniforms(settings) {
+	return {
+		hiddenLineOpacity: { value: settings.hiddenLineOpacity },
+		hiddenDashRepeats: { value: settings.hiddenDashRepeats },
+		hiddenDashLength: { value: settings.hiddenDashLength },
+		hiddenLineBias: { value: settings.hiddenLineBias },
+		hiddenLineDepth: { value: null },
+		hiddenLineResolution: { value: new THREE.Vector2() },
+		hiddenLineCameraNear: { value: 0.1 },
+		hiddenLineCameraFar: { value: 1000 },
+		hiddenLineOrthographic: { value: false },
+		hiddenLinePass: { value: false },
+	};
+}
+
+// Uniforms for picking and highlighting, only used by the WebGL materials.
+// Targets are (object id + 1, instance id), 0 for none, and parts hold two
+// (triangle, part) pairs as encoded by getWireframePick(). They are set by
+// WireframePicker.setHighlight, while wireframeObjectId is set per draw.
+export function createPickingUniforms(settings) {
+	return {
+		wireframeObjectId: { value: 0 },
+		pickPadding: { value: settings.pickPadding },
+		hoverColor: { value: settings.hoverColor },
+		hoverTarget: { value: new THREE.Vector2() },
+		hoverParts: { value: new THREE.Vector4(-1, 0, -1, 0) },
+		selectionColor: { value: settings.selectionColor },
+		selectionTarget: { value: new THREE.Vector2() },
+		selectionParts: { value: new THREE.Vector4(-1, 0, -1, 0) },
+	};
+}
+
+// Shader defines for the given feature flags
+export function getWireframeDefines(features) {
+	const defines = {};
+	if (features.noiseA) defines["NOISE_A_ENABLED"] = "";
+	if (features.noiseB) defines["NOISE_B_ENABLED"] = "";
+	if (features.depthFade) defines["DEPTH_FADE_ENABLED"] = "";
+	if (features.squeeze) defines["SQUEEZE_ENABLED"] = "";
+	if (features.drawOn) defines["DRAW_ON"] = "";
+	if (features.reveal) {
+		defines["REVEAL"] = "";
+		if (features.revealSource === "axis") defines["REVEAL_SOURCE_AXIS"] = "";
+		if (features.revealSource === "attribute") defines["REVEAL_SOURCE_ATTRIBUTE"] = "";
+	}
+	if (features.dashEnabled) {
+		defines["DASH_ENABLED"] = "";
+		if (features.dashAnimate) defines["DASH_ANIMATE"] = "";
+		if (features.dashOverlap) defines["DASH_OVERLAP"] = "";
+		if (features.dashPatternType === "array") defines["DASH_PATTERN"] = "";
+		if (features.dashPatternType === "texture") {
+			defines["DASH_PATTERN_TEXTURE"] = "";
+		}
+	}
+	if (features.dualStroke) defines["DUAL_STROKE_ENABLED"] = "";
+	if (features.seeThrough) {
+		defines["SEE_THROUGH"] = "";
+		if (features.insideAltColor) defines["INSIDE_ALT_COLOR"] = "";
+	}
+	if (features.widthUnits === "world") defines["WIDTH_UNITS_WORLD"] = "";
+	if (features.widthUnits === "uv") defines["WIDTH_UNITS_UV"] = "";
+	if (features.dashUnits === "world") defines["DASH_UNITS_WORLD"] = "";
+	if (features.hiddenLines && features.hiddenLines !== "off") {
+		defines["HIDDEN_LINES"] = "";
+		if (features.hiddenLines === "dashed") defines["HIDDEN_LINES_DASHED"] = "";
+		if (features.hiddenLines === "faded") defines["HIDDEN_LINES_FADED"] = "";
+	}
+	if (features.edgeStyles) defines["EDGE_STYLES"] = "";
+	if (features.highlight) defines["WIREFRAME_HIGHLIGHT"] = "";
+	// set on WireframePicker's own materials only
+	if (features.picking) defines["WIREFRAME_PICKING"] = "";
+	return defines;
+}
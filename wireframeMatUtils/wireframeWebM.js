@@ -0,0 +1,158 @@
+// A minimal WebM muxer for the video of WireframeFrameExporter. Writes the
+// chunks of one VideoEncoder as SimpleBlocks at their own timestamps, so the
+// file plays at the rate they were encoded at, whatever time encoding took.
+// All chunks are in memory, so every element is written with its size and
+// the file needs no seeking or rewriting.
+
+// Matroska codec ids of the WebCodecs codec strings
+const CODEC_IDS = {
+	vp8: "V_VP8",
+	vp09: "V_VP9",
+	av01: "V_AV1",
+};
+
+// Timestamps are written in milliseconds, the WebM default
+const TIMECODE_SCALE = 1000000;
+// Block times are signed 16-bit offsets from their cluster's time
+const MAX_CLUSTER_SPAN = 32767;
+
+const _encoder = new TextEncoder();
+
+// Throws for codecs WebM can't hold, e.g. H.264
+export function getWebMCodecId(codec) {
+	const id = CODEC_IDS[codec.split(".")[0]];
+	if (!id) {
+		throw new Error(`The codec "${codec}" can't be written to WebM`);
+	}
+	return id;
+}
+
+// A WebM Blob of one video track. Options: codec (the WebCodecs codec
+// string), width, height, fps, description (the decoderConfig.description
+// the encoder reported, if any) and frames, in decoding order:
+// [{ data: Uint8Array, timestamp in microseconds, key: boolean }].
+export function createWebM({ codec, width, height, fps, description, frames }) {
+	const header = element(0x1a45dfa3, [
+		uint(0x4286, 1), // EBMLVersion
+		uint(0x42f7, 1), // EBMLReadVersion
+		uint(0x42f2, 4), // EBMLMaxIDLength
+		uint(0x42f3, 8), // EBMLMaxSizeLength
+		string(0x4282, "webm"), // DocType
+		uint(0x4287, 2), // DocTypeVersion
+		uint(0x4285, 2), // DocTypeReadVersion
+	]);
+
+	const info = element(0x1549a966, [
+		uint(0x2ad7b1, TIMECODE_SCALE),
+		string(0x4d80, "webgl-wireframes"), // MuxingApp
+		string(0x5741, "webgl-wireframes"), // WritingApp
+		float(0x4489, (frames.length * 1000) / fps), // Duration
+	]);
+	const track = element(0xae, [
+		uint(0xd7, 1), // TrackNumber
+		uint(0x73c5, 1), // TrackUID
+		uint(0x83, 1), // TrackType, video
+		string(0x86, getWebMCodecId(codec)),
+		uint(0x23e383, Math.round(1e9 / fps)), // DefaultDuration, in ns
+		description ? element(0x63a2, toBytes(description)) : null, // CodecPrivate
+		element(0xe0, [uint(0xb0, width), uint(0xba, height)]),
+	]);
+	const tracks = element(0x1654ae6b, [track]);
+
+	const segment = element(0x18538067, [info, tracks, ...createClusters(frames)]);
+	return new Blob([header, segment], { type: "video/webm" });
+}
+
+// Clusters starting at key frames, or when block offsets would overflow
+function createClusters(frames) {
+	const clusters = [];
+	let time = 0;
+	let blocks = null;
+	const close = () => {
+		if (blocks) clusters.push(element(0x1f43b675, [uint(0xe7, time), ...blocks]));
+	};
+
+	frames.forEach(({ data, timestamp, key }) => {
+		const frameTime = Math.round(timestamp / 1000);
+		if (!blocks || key || frameTime - time > MAX_CLUSTER_SPAN) {
+			close();
+			time = frameTime;
+			blocks = [];
+		}
+		const offset = frameTime - time;
+		const block = new Uint8Array(4 + data.length);
+		block[0] = 0x81; // track number 1, as a one byte size
+		block[1] = (offset >> 8) & 0xff;
+		block[2] = offset & 0xff;
+		block[3] = key ? 0x80 : 0;
+		block.set(data, 4);
+		blocks.push(element(0xa3, block)); // SimpleBlock
+	});
+	close();
+	return clusters;
+}
+
+// An element from its id and content, bytes or child elements (null
+// children are left out)
+function element(id, content) {
+	const data = content instanceof Uint8Array ? content : concat(content.filter(Boolean));
+	return concat([idBytes(id), sizeBytes(data.length), data]);
+}
+
+function uint(id, value) {
+	const bytes = [];
+	do {
+		bytes.unshift(value % 256);
+		value = Math.floor(value / 256);
+	} while (value > 0);
+	return element(id, new Uint8Array(bytes));
+}
+
+function float(id, value) {
+	const data = new Uint8Array(8);
+	new DataView(data.buffer).setFloat64(0, value);
+	return element(id, data);
+}
+
+function string(id, value) {
+	return element(id, _encoder.encode(value));
+}
+
+// Ids are written as they're numbered, marker bits included
+function idBytes(id) {
+	const bytes = [];
+	for (let value = id; value > 0; value = Math.floor(value / 256)) {
+		bytes.unshift(value % 256);
+	}
+	return new Uint8Array(bytes);
+}
+
+// Sizes as variable length integers, in as few bytes as they fit
+function sizeBytes(size) {
+	let length = 1;
+	// all ones is reserved for "unknown size"
+	while (size >= Math.pow(2, 7 * length) - 1) length++;
+	const bytes = new Uint8Array(length);
+	let value = size;
+	for (let i = length - 1; i >= 0; i--) {
+		bytes[i] = value % 256;
+		value = Math.floor(value / 256);
+	}
+	bytes[0] |= 1 << (8 - length);
+	return bytes;
+}
+
+function toBytes(source) {
+	if (source instanceof ArrayBuffer) return new Uint8Array(source);
+	return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+}
+
+function concat(arrays) {
+	const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+	let offset = 0;
+	arrays.forEach((array) => {
+		result.set(array, offset);
+		offset += array.length;
+	});
+	return result;
+}
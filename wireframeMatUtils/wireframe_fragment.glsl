@@ -0,0 +1,8 @@
+// Draws the wireframe over the color a built-in material computed in
+// gl_FragColor, which becomes the fill.
+vec4 wireframeColor = getStyledWireframe( getWireframeBarycentric(), gl_FragColor.rgb );
+#if defined( SEE_THROUGH ) || defined( HIDDEN_LINES ) || defined( REVEAL )
+  gl_FragColor = vec4( wireframeColor.rgb, wireframeColor.a * gl_FragColor.a );
+#else
+  gl_FragColor.rgb = wireframeColor.rgb;
+#endif
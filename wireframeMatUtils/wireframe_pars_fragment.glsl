@@ -0,0 +1,698 @@
+// Shared wireframe styling: varyings, uniforms and getStyledWireframe().
+// Included by fragment.glsl and injected into built-in materials by applyWireframe.
+varying vec3 vBarycentric;
+varying float vEven;
+varying vec3 vWireframePosition;
+varying vec4 vWireframeWorldPosition;
+varying vec4 vInstanceStroke;
+varying vec4 vInstanceFill;
+varying float vInstanceThickness;
+varying float vInstanceDashPhase;
+flat varying highp vec2 vWireframeTriangle;
+#if defined( WIDTH_UNITS_WORLD ) || defined( WIDTH_UNITS_UV )
+  flat varying vec3 vEdgeHeights;
+#endif
+#ifdef DASH_UNITS_WORLD
+  varying vec3 vArcLengths;
+  flat varying vec3 vArcLengthStarts;
+  flat varying vec3 vArcLengthEnds;
+#endif
+#ifdef REVEAL_SOURCE_ATTRIBUTE
+  varying float vRevealField;
+#endif
+#ifdef EDGE_STYLES
+  flat varying vec3 vEdgeStrokes;
+  flat varying vec3 vEdgeThicknesses;
+#endif
+
+uniform float time;
+// seconds after which animated effects repeat, 0 for never
+uniform float loopDuration;
+uniform float thickness;
+uniform float dualThickness;
+
+uniform float dashRepeats;
+uniform float dashLength;
+uniform bool dashOverlap;
+uniform bool dashEnabled;
+uniform bool dashAnimate;
+
+uniform bool seeThrough;
+uniform bool insideAltColor;
+uniform bool dualStroke;
+uniform bool noiseA;
+uniform bool noiseB;
+uniform float noiseAIntensity;
+uniform float noiseBIntensity;
+
+uniform bool squeeze;
+uniform float squeezeMin;
+uniform float squeezeMax;
+uniform float drawOnProgress;
+uniform float revealProgress;
+uniform float revealFillProgress;
+uniform float revealSoftness;
+uniform vec3 revealCenter;
+uniform vec3 revealAxis;
+uniform float revealMin;
+uniform float revealMax;
+
+// Depth fade uniforms
+uniform bool depthFade;
+uniform float depthFadeNear;
+uniform float depthFadeFar;
+uniform float depthFadeMin;
+
+uniform vec3 stroke;
+uniform vec3 fill;
+
+// PI constant (already defined when the three.js common chunk is included)
+#ifndef PI
+  #define PI 3.1415926535897932384626433832795
+#endif
+
+// 4D Simplex noise implementation
+vec4 mod289(vec4 x) {
+  return x - floor(x * (1.0 / 289.0)) * 289.0;
+}
+
+float mod289(float x) {
+  return x - floor(x * (1.0 / 289.0)) * 289.0;
+}
+
+vec4 permute(vec4 x) {
+     return mod289(((x*34.0)+1.0)*x);
+}
+
+float permute(float x) {
+     return mod289(((x*34.0)+1.0)*x);
+}
+
+vec4 taylorInvSqrt(vec4 r) {
+  return 1.79284291400159 - 0.85373472095314 * r;
+}
+
+float taylorInvSqrt(float r) {
+  return 1.79284291400159 - 0.85373472095314 * r;
+}
+
+vec4 grad4(float j, vec4 ip) {
+  const vec4 ones = vec4(1.0, 1.0, 1.0, -1.0);
+  vec4 p,s;
+
+  p.xyz = floor( fract (vec3(j) * ip.xyz) * 7.0) * ip.z - 1.0;
+  p.w = 1.5 - dot(abs(p.xyz), ones.xyz);
+  s = vec4(lessThan(p, vec4(0.0)));
+  p.xyz = p.xyz + (s.xyz*2.0 - 1.0) * s.www; 
+
+  return p;
+}
+
+// 4D simplex noise
+float noise(vec4 v) {
+  const vec4  C = vec4( 0.138196601125011,  // (5 - sqrt(5))/20  G4
+                        0.276393202250021,  // 2 * G4
+                        0.414589803375032,  // 3 * G4
+                       -0.447213595499958); // -1 + 4 * G4
+
+// First corner
+  vec4 i  = floor(v + dot(v, vec4(0.309016994374947451)) );
+  vec4 x0 = v -   i + dot(i, C.xxxx);
+
+// Other corners
+
+// Rank sorting originally contributed by Bill Licea-Kane, AMD (formerly ATI)
+  vec4 i0;
+  vec3 isX = step( x0.yzw, x0.xxx );
+  vec3 isYZ = step( x0.zww, x0.yyz );
+//  i0.x = dot( isX, vec3( 1.0 ) );
+  i0.x = isX.x + isX.y + isX.z;
+  i0.yzw = 1.0 - isX;
+//  i0.y += dot( isYZ.xy, vec2( 1.0 ) );
+  i0.y += isYZ.x + isYZ.y;
+  i0.zw += 1.0 - isYZ.xy;
+  i0.z += isYZ.z;
+  i0.w += 1.0 - isYZ.z;
+
+  // i0 now contains the unique values 0,1,2,3 in each channel
+  vec4 i3 = clamp( i0, 0.0, 1.0 );
+  vec4 i2 = clamp( i0-1.0, 0.0, 1.0 );
+  vec4 i1 = clamp( i0-2.0, 0.0, 1.0 );
+
+  //  x0 = x0 - 0.0 + 0.0 * C.xxxx
+  //  x1 = x0 - i1  + 1.0 * C.xxxx
+  //  x2 = x0 - i2  + 2.0 * C.xxxx
+  //  x3 = x0 - i3  + 3.0 * C.xxxx
+  //  x4 = x0 - 1.0 + 4.0 * C.xxxx
+  vec4 x1 = x0 - i1 + C.xxxx;
+  vec4 x2 = x0 - i2 + C.yyyy;
+  vec4 x3 = x0 - i3 + C.zzzz;
+  vec4 x4 = x0 + C.wwww;
+
+// Permutations
+  i = mod289(i); 
+  float j0 = permute( permute( permute( permute(i.w) + i.z) + i.y) + i.x);
+  vec4 j1 = permute( permute( permute( permute (
+             i.w + vec4(i1.w, i2.w, i3.w, 1.0 ))
+           + i.z + vec4(i1.z, i2.z, i3.z, 1.0 ))
+           + i.y + vec4(i1.y, i2.y, i3.y, 1.0 ))
+           + i.x + vec4(i1.x, i2.x, i3.x, 1.0 ));
+
+// Gradients: 7x7x6 points over a cube, mapped onto a 4-cross polytope
+// 7*7*6 = 294, which is close to the ring size 17*17 = 289.
+  vec4 ip = vec4(1.0/294.0, 1.0/49.0, 1.0/7.0, 0.0) ;
+
+  vec4 p0 = grad4(j0,   ip);
+  vec4 p1 = grad4(j1.x, ip);
+  vec4 p2 = grad4(j1.y, ip);
+  vec4 p3 = grad4(j1.z, ip);
+  vec4 p4 = grad4(j1.w, ip);
+
+// Normalise gradients
+  vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
+  p0 *= norm.x;
+  p1 *= norm.y;
+  p2 *= norm.z;
+  p3 *= norm.w;
+  p4 *= taylorInvSqrt(dot(p4,p4));
+
+// Mix contributions from the five corners
+  vec3 m0 = max(0.6 - vec3(dot(x0,x0), dot(x1,x1), dot(x2,x2)), 0.0);
+  vec2 m1 = max(0.6 - vec2(dot(x3,x3), dot(x4,x4)            ), 0.0);
+  m0 = m0 * m0;
+  m1 = m1 * m1;
+  return 49.0 * ( dot(m0*m0, vec3( dot( p0, x0 ), dot( p1, x1 ), dot( p2, x2 )))
+               + dot(m1*m1, vec2( dot( p3, x3 ), dot( p4, x4 ) ) ) ) ;
+}
+
+// This is like
+float aastep (float threshold, float dist) {
+  float afwidth = fwidth(dist) * 0.5;
+  return smoothstep(threshold - afwidth, threshold + afwidth, dist);
+}
+
+// Optimized version that reuses pre-calculated derivatives
+float computeScreenSpaceWireframeOptimized(vec3 barycentric, vec3 derivatives, float lineWidth) {
+  vec3 smoothed = smoothstep(derivatives * ((lineWidth * 0.5) - 0.5), derivatives * ((lineWidth * 0.5) + 0.5), barycentric);
+  return 1.0 - min(min(smoothed.x, smoothed.y), smoothed.z);
+}
+
+// Barycentric coordinates of this fragment. Un-indexed geometry hides edges
+// by lifting barycentrics per vertex, the indexed layout per triangle with
+// a mask of the components to lift.
+vec3 getWireframeBarycentric () {
+  vec3 hidden = mod(floor(vWireframeTriangle.x / vec3(1.0, 2.0, 4.0)), 2.0);
+  return vBarycentric + hidden;
+}
+
+// Backward compatibility - this function is not currently used, but it can be useful
+// to achieve a fixed width wireframe regardless of z-depth
+float computeScreenSpaceWireframe (vec3 barycentric, float lineWidth) {
+  vec3 dist = fwidth(barycentric);
+  return computeScreenSpaceWireframeOptimized(barycentric, dist, lineWidth);
+}
+
+// Position along the nearest edge that dashes are laid out on: 0 .. 1 per
+// edge, or the baked arc length in world units for DASH_UNITS_WORLD
+float getDashPosition (vec3 barycentric, float positionAlong) {
+  #ifdef DASH_UNITS_WORLD
+    vec3 arcLengths = vArcLengths;
+    if (vWireframeTriangle.y > 0.0) {
+      // the indexed layout has the distance at both ends of each edge, the
+      // one after and the one before it, and interpolates between them
+      vec3 after = vBarycentric.yzx;
+      vec3 before = vBarycentric.zxy;
+      arcLengths = mix(vArcLengthStarts, vArcLengthEnds, before / max(after + before, 1e-6));
+    }
+    // the nearest edge is the one opposite the smallest component
+    if (barycentric.x <= barycentric.y && barycentric.x <= barycentric.z) return arcLengths.x;
+    if (barycentric.y <= barycentric.z) return arcLengths.y;
+    return arcLengths.z;
+  #else
+    return positionAlong;
+  #endif
+}
+
+#ifdef DRAW_ON
+  // Strokes grow from both ends of each edge and meet in the middle as
+  // drawOnProgress goes from 0 to 1, alike on both triangles of an edge
+  float getDrawOnMask (float positionAlong) {
+    if (drawOnProgress >= 1.0) return 1.0;
+    if (drawOnProgress <= 0.0) return 0.0;
+    float fromEnd = min(positionAlong, 1.0 - positionAlong);
+    return 1.0 - aastep(drawOnProgress * 0.5, fromEnd);
+  }
+#endif
+
+#ifdef REVEAL
+  // The reveal field at this fragment, 0 .. 1 from revealMin to revealMax,
+  // measured on the rest pose like the noise
+  float getRevealField () {
+    #if defined( REVEAL_SOURCE_AXIS )
+      float value = dot(vWireframePosition - revealCenter, normalize(revealAxis));
+    #elif defined( REVEAL_SOURCE_ATTRIBUTE )
+      float value = vRevealField;
+    #else
+      float value = distance(vWireframePosition, revealCenter);
+    #endif
+    return (value - revealMin) / max(revealMax - revealMin, 1e-6);
+  }
+
+  // How far a fragment is revealed: the front, revealSoftness wide, moves
+  // from below 0 at progress 0 to past 1 at progress 1
+  float getRevealMask (float field, float progress) {
+    if (progress >= 1.0) return 1.0;
+    if (progress <= 0.0) return 0.0;
+    float softness = max(revealSoftness, 1e-4);
+    float front = progress * (1.0 + softness);
+    return 1.0 - smoothstep(front - softness, front, field);
+  }
+
+  // The stroke color drawn over the fill, of stroke coverage `coverage`,
+  // with only fillReveal of the fill left under it. Hidden fragments are
+  // discarded so they don't write depth.
+  vec4 getRevealedColor (vec3 color, float coverage, vec3 fillColor, float fillReveal) {
+    float alpha = coverage + fillReveal * (1.0 - coverage);
+    if (alpha < 0.001) discard;
+    return vec4((color - fillColor * (1.0 - coverage) * (1.0 - fillReveal)) / alpha, alpha);
+  }
+#endif
+
+// Time within the loop, or as it is when not looping
+float getLoopTime () {
+  return loopDuration > 0.0 ? mod(time, loopDuration) : time;
+}
+
+// Distance dashes have moved along the dash position by now. Looping moves
+// them a whole number of periods per loop, at the closest speed to 0.22.
+float getDashAnimationOffset (float repeats) {
+  if (loopDuration <= 0.0) return time * 0.22;
+  float periods = max(1.0, floor(0.22 * loopDuration * repeats + 0.5));
+  return getLoopTime() * periods / (loopDuration * repeats);
+}
+
+// 4D noise of a position over time. Looping cross-fades it with the noise
+// one loop earlier, which it equals again at the end of the loop.
+float getTimeNoise (vec3 position, float speed) {
+  if (loopDuration <= 0.0) return noise(vec4(position, time * speed));
+  float t = getLoopTime();
+  return mix(
+    noise(vec4(position, t * speed)),
+    noise(vec4(position, (t - loopDuration) * speed)),
+    t / loopDuration
+  );
+}
+
+// Unwrapped dash phase, one unit per pattern period. firstDash is the
+// length of the dash starting each period, centred on the vertices
+float getDashPhase (float dashPosition, float repeats, float firstDash) {
+  // here we offset the stroke position depending on whether it
+  // should overlap or not
+  float offset = 1.0 / repeats * firstDash / 2.0 + vInstanceDashPhase;
+  #ifndef DASH_OVERLAP
+    offset += 1.0 / repeats / 2.0;
+  #endif
+
+  // if we should animate the dash or not
+  #ifdef DASH_ANIMATE
+    offset += getDashAnimationOffset(repeats);
+  #endif
+
+  return (dashPosition + offset) * repeats;
+}
+
+// Dash pattern along an edge, 1.0 inside a dash
+float getDashMask (float dashPosition, float repeats, float dashLen) {
+  // create the repeating dash pattern
+  float pattern = fract(getDashPhase(dashPosition, repeats, dashLen));
+  return 1.0 - aastep(dashLen, pattern);
+}
+
+#ifdef DASH_PATTERN
+  // Cumulative ends of each dash and gap over one period, see resolveDashPattern()
+  uniform float dashPatternStops[ 8 ];
+
+  // Dash array pattern, summing the anti-aliased coverage of each dash
+  float getDashPatternMask (float dashPosition, float repeats) {
+    float phase = getDashPhase(dashPosition, repeats, dashPatternStops[0]);
+    // width from the unwrapped phase, as fract() jumps at every period
+    float afwidth = fwidth(phase) * 0.5;
+    float pattern = fract(phase);
+    float mask = 0.0;
+    for (int i = 0; i < 8; i += 2) {
+      float dashStart = i == 0 ? 0.0 : dashPatternStops[i - 1];
+      float dashEnd = dashPatternStops[i];
+      mask += smoothstep(dashStart - afwidth, dashStart + afwidth, pattern)
+        - smoothstep(dashEnd - afwidth, dashEnd + afwidth, pattern);
+    }
+    return clamp(mask, 0.0, 1.0);
+  }
+#endif
+
+#ifdef DASH_PATTERN_TEXTURE
+  uniform sampler2D dashPatternMap;
+
+  // Dash pattern texture, u spans one period and red is the dash coverage.
+  // Its u = 0 sits on the vertices with DASH_OVERLAP.
+  float getDashTextureMask (float dashPosition, float repeats) {
+    float pattern = fract(getDashPhase(dashPosition, repeats, 0.0));
+    return texture2D(dashPatternMap, vec2(pattern, 0.5)).r;
+  }
+#endif
+
+#ifdef HIDDEN_LINES
+  uniform sampler2D hiddenLineDepth;
+  uniform vec2 hiddenLineResolution;
+  uniform float hiddenLineCameraNear;
+  uniform float hiddenLineCameraFar;
+  uniform bool hiddenLineOrthographic;
+  uniform bool hiddenLinePass;
+  uniform float hiddenLineBias;
+  uniform float hiddenLineOpacity;
+  uniform float hiddenDashRepeats;
+  uniform float hiddenDashLength;
+
+  // View space distance for a perspective or orthographic depth value
+  float hiddenLineViewDistance (float depth) {
+    float near = hiddenLineCameraNear;
+    float far = hiddenLineCameraFar;
+    if (hiddenLineOrthographic) return near + depth * (far - near);
+    return (near * far) / (far - (far - near) * depth);
+  }
+
+  // Whether the depth pre-pass has a surface in front of this fragment.
+  // Nothing is occluded until HiddenLineRenderer has provided a depth pass.
+  bool isWireframeOccluded () {
+    if (hiddenLineResolution.x == 0.0) return false;
+    float sceneDepth = texture2D(hiddenLineDepth, gl_FragCoord.xy / hiddenLineResolution).x;
+    float sceneDistance = hiddenLineViewDistance(sceneDepth);
+    #ifdef USE_LOGDEPTHBUF
+      // perspective cameras write log2(1 + w) / log2(far + 1)
+      if (!hiddenLineOrthographic) {
+        sceneDistance = exp2(sceneDepth * log2(hiddenLineCameraFar + 1.0)) - 1.0;
+      }
+    #endif
+    float fragmentDistance = hiddenLineViewDistance(gl_FragCoord.z);
+    return fragmentDistance > sceneDistance * (1.0 + hiddenLineBias);
+  }
+#endif
+
+// Distance to each triangle edge in the material's width units: normalised
+// barycentrics for 'screen', or scaled by the baked triangle heights
+vec3 getEdgeDistance (vec3 barycentric) {
+  #if defined( WIDTH_UNITS_WORLD ) || defined( WIDTH_UNITS_UV )
+    return barycentric * vEdgeHeights;
+  #else
+    return barycentric;
+  #endif
+}
+
+// Coverage of each triangle edge for lines of lineWidth in the material's
+// width units. Screen widths are multiples of the barycentric derivatives,
+// world and uv widths are absolute and only use the derivatives for
+// anti-aliasing. Edges hidden by their edge style get no coverage.
+vec3 computeEdgeCoverage (vec3 edgeDistance, vec3 derivatives, vec3 lineWidth) {
+  vec3 halfWidth = lineWidth * 0.5;
+  #if defined( WIDTH_UNITS_WORLD ) || defined( WIDTH_UNITS_UV )
+    vec3 coverage = 1.0 - smoothstep(halfWidth - derivatives * 0.5, halfWidth + derivatives * 0.5, edgeDistance);
+  #else
+    vec3 coverage = 1.0 - smoothstep(derivatives * (halfWidth - 0.5), derivatives * (halfWidth + 0.5), edgeDistance);
+  #endif
+  #ifdef EDGE_STYLES
+    coverage *= step(-1.5, vEdgeThicknesses);
+  #endif
+  return coverage;
+}
+
+// Wireframe coverage for lines of lineWidth, per edge or for all edges
+float computeWireframe (vec3 edgeDistance, vec3 derivatives, vec3 lineWidth) {
+  vec3 coverage = computeEdgeCoverage(edgeDistance, derivatives, lineWidth);
+  return max(max(coverage.x, coverage.y), coverage.z);
+}
+
+float computeWireframe (vec3 edgeDistance, vec3 derivatives, float lineWidth) {
+  return computeWireframe(edgeDistance, derivatives, vec3(lineWidth));
+}
+
+// Index of the largest component, the first one on ties
+int maxComponentIndex (vec3 v) {
+  if (v.x >= v.y && v.x >= v.z) return 0;
+  return v.y >= v.z ? 1 : 2;
+}
+
+#ifdef EDGE_STYLES
+  // Thickness of each edge, its own where it has one
+  vec3 getEdgeThickness (float baseThickness) {
+    return mix(vec3(baseThickness), vEdgeThicknesses, step(0.0, vEdgeThicknesses));
+  }
+
+  // Stroke of the edge with the most coverage, its own where it has one.
+  // Colors are packed as 0xRRGGBB in sRGB.
+  vec3 getEdgeStroke (vec3 coverage, vec3 strokeColor) {
+    int nearest = maxComponentIndex(coverage);
+    float packed = nearest == 0 ? vEdgeStrokes.x : (nearest == 1 ? vEdgeStrokes.y : vEdgeStrokes.z);
+    if (packed < 0.0) return strokeColor;
+
+    float value = floor(packed + 0.5);
+    vec3 srgb = vec3(floor(value / 65536.0), mod(floor(value / 256.0), 256.0), mod(value, 256.0)) / 255.0;
+    return sRGBTransferEOTF(vec4(srgb, 1.0)).rgb;
+  }
+#endif
+
+// Fill color with the instance override applied, if any
+vec3 getInstanceFill (vec3 fillColor) {
+  return mix(fillColor, vInstanceFill.rgb, vInstanceFill.a);
+}
+
+// Line width of each edge in the material's width units: the edge, instance
+// or material thickness with depth fade and noise applied. thicknessFactor
+// receives the depth fade scale, which the dual stroke reuses.
+vec3 getWireframeThickness (out float thicknessFactor) {
+  // Calculate noise offset using preprocessor conditionals
+  float noiseOff = 0.0;
+  #ifdef NOISE_A_ENABLED
+    noiseOff += getTimeNoise(vWireframePosition.xyz * 1.0, 0.35) * noiseAIntensity;
+  #endif
+  #ifdef NOISE_B_ENABLED
+    noiseOff += getTimeNoise(vWireframePosition.xyz * 80.0, 0.5) * noiseBIntensity;
+  #endif
+  
+  // Calculate base thickness, per edge, with optional depth fading
+  vec3 baseThickness = vec3(vInstanceThickness < 0.0 ? thickness : vInstanceThickness);
+  #ifdef EDGE_STYLES
+    baseThickness = getEdgeThickness(baseThickness.x);
+  #endif
+  thicknessFactor = 1.0;
+  
+  #ifdef DEPTH_FADE_ENABLED
+    // Calculate distance from camera to fragment
+    float distanceToCamera = length(vWireframeWorldPosition.xyz - cameraPosition);
+    
+    // Create depth fade factor (1.0 at near distance, depthFadeMin at far distance)
+    float depthFactor = smoothstep(depthFadeNear, depthFadeFar, distanceToCamera);
+    thicknessFactor = mix(1.0, depthFadeMin, depthFactor);
+    
+    baseThickness *= thicknessFactor;
+  #endif
+
+  return baseThickness + noiseOff;
+}
+
+#if defined( WIREFRAME_PICKING ) || defined( WIREFRAME_HIGHLIGHT )
+  flat varying highp float vWireframeTriangleIndex;
+  flat varying highp float vWireframeInstance;
+  uniform highp float wireframeObjectId;
+#endif
+
+#ifdef WIREFRAME_PICKING
+  uniform float pickPadding;
+
+  // What this fragment hits, for WireframePicker: (object id + 1, instance,
+  // triangle, part). The part is edge + 1 + 4 * (corner + 1), where edge is
+  // the triangle edge k under the fragment (from vertex k to k + 1, -1 on
+  // the face) and corner the vertex it is near (-1 when none).
+  highp vec4 getWireframePick (vec3 barycentric) {
+    vec3 edgeDistance = getEdgeDistance(barycentric);
+    vec3 edgeDerivatives = fwidth(edgeDistance);
+    float thicknessFactor;
+    // the padding is in pixels, whatever the width units
+    vec3 padding = vec3(pickPadding);
+    #if defined( WIDTH_UNITS_WORLD ) || defined( WIDTH_UNITS_UV )
+      padding *= edgeDerivatives;
+    #endif
+    vec3 lineWidth = getWireframeThickness(thicknessFactor) + padding;
+    vec3 hits = step(0.5, computeEdgeCoverage(edgeDistance, edgeDerivatives, lineWidth));
+    #ifdef REVEAL
+      // what isn't revealed yet can't be picked
+      float revealField = getRevealField();
+      if (getRevealMask(revealField, revealProgress) < 0.5) hits = vec3(0.0);
+    #endif
+
+    float edge = -1.0;
+    float corner = -1.0;
+    if (hits.x + hits.y + hits.z > 0.0) {
+      // the nearest edge hit, by its distance in pixels. Barycentric
+      // component j belongs to edge (j + 1) % 3, opposite corner j.
+      vec3 nearness = hits / (1.0 + edgeDistance / max(edgeDerivatives, vec3(1e-6)));
+      edge = mod(float(maxComponentIndex(nearness)) + 1.0, 3.0);
+      // two edges are hit near the corner they share, the one whose
+      // component is not hit
+      if (hits.x + hits.y + hits.z > 1.0) corner = float(maxComponentIndex(1.0 - hits + 0.5 * vBarycentric));
+    } else {
+      #ifdef SEE_THROUGH
+        // see-through faces are not drawn, pick what is behind them
+        discard;
+      #endif
+      #ifdef REVEAL
+        if (getRevealMask(revealField, revealFillProgress) < 0.5) discard;
+      #endif
+    }
+    return vec4(wireframeObjectId, vWireframeInstance, vWireframeTriangleIndex, edge + 1.0 + 4.0 * (corner + 1.0));
+  }
+#endif
+
+#ifdef WIREFRAME_HIGHLIGHT
+  uniform vec3 hoverColor;
+  uniform vec2 hoverTarget;
+  uniform vec4 hoverParts;
+  uniform vec3 selectionColor;
+  uniform vec2 selectionTarget;
+  uniform vec4 selectionParts;
+
+  // Recolors the stroke or fill of a highlighted part of this triangle.
+  // target is (object id + 1, instance) and parts two (triangle, part)
+  // pairs, encoded like getWireframePick()
+  void applyHighlight (vec2 target, vec4 parts, vec3 color, vec3 coverage, inout vec3 strokeColor, inout vec3 fillColor) {
+    if (abs(target.x - wireframeObjectId) > 0.5 || abs(target.y - vWireframeInstance) > 0.5) return;
+    for (int i = 0; i < 2; i++) {
+      vec2 part = i == 0 ? parts.xy : parts.zw;
+      if (abs(part.x - vWireframeTriangleIndex) > 0.5) continue;
+      float edge = mod(part.y, 4.0) - 1.0;
+      if (edge < 0.0) {
+        fillColor = color;
+      } else if (float(maxComponentIndex(coverage)) == mod(edge + 2.0, 3.0)) {
+        // edge k is opposite corner (k + 2) % 3
+        strokeColor = color;
+      }
+    }
+  }
+#endif
+
+// This function returns the fragment color for our styled wireframe effect
+// based on the barycentric coordinates for this fragment
+vec4 getStyledWireframe (vec3 barycentric, vec3 fillColor) {
+  vec3 edgeDistance = getEdgeDistance(barycentric);
+  // Cache fwidth calculation once - this is expensive
+  vec3 edgeDerivatives = fwidth(edgeDistance);
+
+  vec3 strokeColor = mix(stroke, vInstanceStroke.rgb, vInstanceStroke.a);
+  float thicknessFactor;
+  vec3 noisyThickness = getWireframeThickness(thicknessFactor);
+
+  // Wireframe coverage using the cached derivatives
+  vec3 edgeCoverage = computeEdgeCoverage(edgeDistance, edgeDerivatives, noisyThickness);
+  float wireframe = max(max(edgeCoverage.x, edgeCoverage.y), edgeCoverage.z);
+  #ifdef EDGE_STYLES
+    strokeColor = getEdgeStroke(edgeCoverage, strokeColor);
+  #endif
+  #ifdef WIREFRAME_HIGHLIGHT
+    applyHighlight(selectionTarget, selectionParts, selectionColor, edgeCoverage, strokeColor, fillColor);
+    applyHighlight(hoverTarget, hoverParts, hoverColor, edgeCoverage, strokeColor, fillColor);
+  #endif
+
+  // for dashed rendering, we can use this to get the 0 .. 1 value of the line length
+  float positionAlong = max(barycentric.x, barycentric.y);
+  if (barycentric.y < barycentric.x && barycentric.y < barycentric.z) {
+    positionAlong = 1.0 - positionAlong;
+  }
+
+  float dashPosition = getDashPosition(barycentric, positionAlong);
+
+  // the thickness of the stroke - use wireframe directly for screen-space consistency
+  float edge = wireframe;
+
+  // if we want to shrink the thickness toward the center of the line segment
+  #ifdef SQUEEZE_ENABLED
+    float squeezeFactor = mix(squeezeMin, squeezeMax, (1.0 - sin(positionAlong * PI)));
+    // Apply noise offset to the squeezed thickness to maintain noise effect
+    edge = computeWireframe(edgeDistance, edgeDerivatives, noisyThickness * squeezeFactor);
+  #endif
+
+  #ifdef DRAW_ON
+    float drawOnMask = getDrawOnMask(positionAlong);
+    edge *= drawOnMask;
+  #endif
+
+  #ifdef REVEAL
+    float revealField = getRevealField();
+    float strokeReveal = getRevealMask(revealField, revealProgress);
+    edge *= strokeReveal;
+  #endif
+
+  #ifdef HIDDEN_LINES
+    // the visible pass draws what is in front of the depth pre-pass, the
+    // hidden pass only the occluded strokes, drawn over the scene
+    if (isWireframeOccluded() != hiddenLinePass) discard;
+    if (hiddenLinePass) {
+      #if defined( HIDDEN_LINES_DASHED )
+        edge *= getDashMask(dashPosition, hiddenDashRepeats, hiddenDashLength);
+      #elif defined( HIDDEN_LINES_FADED )
+        edge *= hiddenLineOpacity;
+      #else
+        discard;
+      #endif
+      return vec4(strokeColor, edge);
+    }
+  #endif
+
+  // if we should create a dash pattern
+  #ifdef DASH_ENABLED
+    #if defined( DASH_PATTERN )
+      edge *= getDashPatternMask(dashPosition, dashRepeats);
+    #elif defined( DASH_PATTERN_TEXTURE )
+      edge *= getDashTextureMask(dashPosition, dashRepeats);
+    #else
+      edge *= getDashMask(dashPosition, dashRepeats, dashLength);
+    #endif
+  #endif
+
+  // now compute the final color of the mesh
+  vec4 outColor = vec4(0.0);
+  #ifdef SEE_THROUGH
+    outColor = vec4(strokeColor, edge);
+    #ifdef INSIDE_ALT_COLOR
+      if (!gl_FrontFacing) {
+        outColor.rgb = fillColor;
+      }
+    #endif
+  #else
+    vec3 mainStroke = mix(fillColor, strokeColor, edge);
+    outColor.a = 1.0;
+    #ifdef DUAL_STROKE_ENABLED
+      // Reuse cached depth fade calculations for dual stroke
+      float dualThick = dualThickness;
+      #ifdef DEPTH_FADE_ENABLED
+        dualThick *= thicknessFactor;
+      #endif
+      float secondWireframe = computeWireframe(edgeDistance, edgeDerivatives, dualThick);
+      #ifdef DRAW_ON
+        secondWireframe *= drawOnMask;
+      #endif
+      #ifdef REVEAL
+        secondWireframe *= strokeReveal;
+      #endif
+      vec3 wireColor = mix(fillColor, strokeColor, abs(secondWireframe - edge));
+      outColor.rgb = wireColor;
+      #ifdef REVEAL
+        outColor = getRevealedColor(wireColor, max(secondWireframe, edge), fillColor, getRevealMask(revealField, revealFillProgress));
+      #endif
+    #else
+      outColor.rgb = mainStroke;
+      #ifdef REVEAL
+        outColor = getRevealedColor(mainStroke, edge, fillColor, getRevealMask(revealField, revealFillProgress));
+      #endif
+    #endif
+  #endif
+
+  return outColor;
+}
@@ -0,0 +1,69 @@
+// Attributes and varyings written by wireframe_vertex.
+attribute vec3 barycentric;
+attribute float even;
+// per-triangle data of the indexed layout, held by the triangle's last
+// vertex: (hidden edge mask, triangle index + 1). Zero for un-indexed
+// geometry, see indexWireframeGeometry()
+attribute vec2 wireframeTriangle;
+
+#if defined( WIDTH_UNITS_WORLD )
+  attribute vec3 edgeHeights;
+#elif defined( WIDTH_UNITS_UV )
+  attribute vec3 uvEdgeHeights;
+#endif
+
+#ifdef DASH_UNITS_WORLD
+  attribute vec3 arcLengths;
+  attribute vec3 arcLengthEnds;
+#endif
+
+#ifdef REVEAL_SOURCE_ATTRIBUTE
+  // baked by prepareWireframeGeometry({ reveal }) or set by the application
+  attribute float revealField;
+#endif
+
+#ifdef EDGE_STYLES
+  // per-edge style overrides, see wireframeEdgeStyles.js
+  attribute vec3 edgeStrokes;
+  attribute vec3 edgeThicknesses;
+#endif
+
+#ifdef USE_INSTANCING
+  // per-instance style overrides, see wireframeInstancing.js
+  attribute vec4 instanceStroke;
+  attribute vec4 instanceFill;
+  attribute float instanceThickness;
+  attribute float instanceDashPhase;
+#endif
+
+varying vec3 vBarycentric;
+varying float vEven;
+varying vec3 vWireframePosition;
+varying vec4 vWireframeWorldPosition;
+varying vec4 vInstanceStroke;
+varying vec4 vInstanceFill;
+varying float vInstanceThickness;
+varying float vInstanceDashPhase;
+// per-triangle values are flat, so the indexed layout can keep them on one
+// vertex per triangle
+flat varying highp vec2 vWireframeTriangle;
+#if defined( WIDTH_UNITS_WORLD ) || defined( WIDTH_UNITS_UV )
+  flat varying vec3 vEdgeHeights;
+#endif
+#ifdef DASH_UNITS_WORLD
+  varying vec3 vArcLengths;
+  flat varying vec3 vArcLengthStarts;
+  flat varying vec3 vArcLengthEnds;
+#endif
+#ifdef REVEAL_SOURCE_ATTRIBUTE
+  varying float vRevealField;
+#endif
+#ifdef EDGE_STYLES
+  flat varying vec3 vEdgeStrokes;
+  flat varying vec3 vEdgeThicknesses;
+#endif
+#if defined( WIREFRAME_PICKING ) || defined( WIREFRAME_HIGHLIGHT )
+  // triangle and instance ids, see getWireframePick()
+  flat varying highp float vWireframeTriangleIndex;
+  flat varying highp float vWireframeInstance;
+#endif
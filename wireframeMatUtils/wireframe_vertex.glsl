@@ -0,0 +1,79 @@
+// Expects `transformed` to hold the skinned / morphed object space position.
+vBarycentric = barycentric;
+vEven = even;
+vWireframeTriangle = wireframeTriangle;
+// noise is sampled in the rest pose so it sticks to the deforming surface
+vWireframePosition = position.xyz;
+
+// the fragment stage has no USE_INSTANCING, so always pass "inherit" values
+#ifdef USE_INSTANCING
+  vInstanceStroke = instanceStroke;
+  vInstanceFill = instanceFill;
+  vInstanceThickness = instanceThickness;
+  vInstanceDashPhase = instanceDashPhase;
+#else
+  vInstanceStroke = vec4( 0.0 );
+  vInstanceFill = vec4( 0.0 );
+  vInstanceThickness = -1.0;
+  vInstanceDashPhase = 0.0;
+#endif
+
+vWireframeWorldPosition = vec4( transformed, 1.0 );
+#ifdef USE_BATCHING
+  vWireframeWorldPosition = batchingMatrix * vWireframeWorldPosition;
+#endif
+#ifdef USE_INSTANCING
+  vWireframeWorldPosition = instanceMatrix * vWireframeWorldPosition;
+#endif
+vWireframeWorldPosition = modelMatrix * vWireframeWorldPosition;
+
+#if defined( WIDTH_UNITS_WORLD ) || defined( DASH_UNITS_WORLD )
+  // edge heights and arc lengths are baked in object space, scale them
+  // like the mesh is scaled
+  mat3 wireframeScaleMatrix = mat3( modelMatrix );
+  #ifdef USE_INSTANCING
+    wireframeScaleMatrix *= mat3( instanceMatrix );
+  #endif
+  #ifdef USE_BATCHING
+    wireframeScaleMatrix *= mat3( batchingMatrix );
+  #endif
+  float wireframeScale = (
+    length( wireframeScaleMatrix[ 0 ] ) +
+    length( wireframeScaleMatrix[ 1 ] ) +
+    length( wireframeScaleMatrix[ 2 ] )
+  ) / 3.0;
+#endif
+
+#if defined( WIDTH_UNITS_WORLD )
+  vEdgeHeights = edgeHeights * wireframeScale;
+#elif defined( WIDTH_UNITS_UV )
+  vEdgeHeights = uvEdgeHeights;
+#endif
+
+#ifdef DASH_UNITS_WORLD
+  vArcLengths = arcLengths * wireframeScale;
+  vArcLengthStarts = vArcLengths;
+  vArcLengthEnds = arcLengthEnds * wireframeScale;
+#endif
+
+#ifdef REVEAL_SOURCE_ATTRIBUTE
+  vRevealField = revealField;
+#endif
+
+#ifdef EDGE_STYLES
+  vEdgeStrokes = edgeStrokes;
+  vEdgeThicknesses = edgeThicknesses;
+#endif
+
+#if defined( WIREFRAME_PICKING ) || defined( WIREFRAME_HIGHLIGHT )
+  // the indexed layout stores triangle indices, un-indexed geometry has
+  // three vertices per triangle
+  vWireframeTriangleIndex = wireframeTriangle.y > 0.0
+    ? wireframeTriangle.y - 1.0
+    : float( gl_VertexID / 3 );
+  #ifdef USE_INSTANCING
+    vWireframeInstance = float( gl_InstanceID );
+  #else
+    vWireframeInstance = 0.0;
+  #endif
+#endif